@@ -0,0 +1,262 @@
+const { connect } = require("../lib/mongo");
+const { loginSchema, refreshSchema, cambioPasswordSchema, aceptarInvitacionSchema } = require("../lib/validate");
+const { buscarPorToken } = require("../lib/invitaciones");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { verificarBloqueo, registrarFalloAuth, limpiarFallosAuth } = require("../lib/rateLimit");
+const { responderBloqueo } = require("../middlewares/rateLimit");
+const {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  puedeAutenticarse,
+  publicUser,
+} = require("../lib/auth");
+
+// ============================
+// Helper: emite access + refresh y registra la sesión
+// ============================
+async function emitirTokens(db, usuario, req) {
+  const access_token = signAccessToken(usuario);
+  const refresh = signRefreshToken(usuario);
+
+  await db.collection("sesiones").insertOne({
+    jti: refresh.jti,
+    usuario_id: usuario._id,
+    expiraEn: refresh.expiraEn,
+    revocadaEn: null,
+    ip: req.ip,
+    userAgent: req.header("user-agent") || null,
+    createdAt: new Date(),
+  });
+
+  return { access_token, refresh_token: refresh.token, token_type: "Bearer", jti: refresh.jti };
+}
+
+// ===============================================
+// POST /api/auth/login
+// Body: { correo | userId, password }
+// ===============================================
+exports.login = async (req, res) => {
+  try {
+    const { correo, userId, password } = loginSchema.parse(req.body);
+
+    // Bloqueo por IP y por cuenta tras varios intentos fallidos
+    const claves = [`ip:${req.ip}`, `cred:${String(correo || userId).toLowerCase()}`];
+    const bloqueo = await verificarBloqueo(claves);
+    if (bloqueo.bloqueado) return responderBloqueo(res, bloqueo);
+
+    const db = await connect();
+    const col = db.collection("usuarios");
+
+    const usuario = await col.findOne(correo ? { correo } : { userId });
+
+    // Mismo mensaje para usuario inexistente o contraseña errónea
+    if (!usuario || !(await verifyPassword(password, usuario.password_hash))) {
+      await registrarFalloAuth(claves);
+      return res.status(401).json({ ok: false, error: "Credenciales inválidas" });
+    }
+    await limpiarFallosAuth(claves.slice(1));
+    if (!puedeAutenticarse(usuario)) {
+      return res.status(403).json({ ok: false, error: `Usuario ${usuario.estado}` });
+    }
+
+    const { jti, ...tokens } = await emitirTokens(db, usuario, req);
+    await col.updateOne({ _id: usuario._id }, { $set: { ultimoLogin: new Date() } });
+
+    res.json({ ok: true, ...tokens, usuario: publicUser(usuario) });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    res.status(400).json({ ok: false, error: msg });
+  }
+};
+
+// ===============================================
+// POST /api/auth/refresh
+// Body: { refresh_token }  -> rota el refresh (el anterior queda revocado)
+// ===============================================
+exports.refresh = async (req, res) => {
+  try {
+    const { refresh_token } = refreshSchema.parse(req.body);
+
+    let payload;
+    try {
+      payload = verifyToken(refresh_token, "refresh");
+    } catch (e) {
+      if (e.name !== "TokenExpiredError") await registrarFalloAuth([`ip:${req.ip}`]);
+      return res.status(401).json({ ok: false, error: "Refresh token inválido o expirado" });
+    }
+
+    const db = await connect();
+    const sesiones = db.collection("sesiones");
+    const sesion = await sesiones.findOne({ jti: payload.jti });
+    if (!sesion || sesion.revocadaEn) {
+      return res.status(401).json({ ok: false, error: "Sesión revocada" });
+    }
+
+    const usuario = await db.collection("usuarios").findOne({ _id: sesion.usuario_id });
+    if (!usuario || !puedeAutenticarse(usuario)) {
+      await sesiones.updateOne({ _id: sesion._id }, { $set: { revocadaEn: new Date() } });
+      return res.status(401).json({ ok: false, error: "Usuario no habilitado" });
+    }
+
+    const { jti, ...tokens } = await emitirTokens(db, usuario, req);
+    await sesiones.updateOne(
+      { _id: sesion._id },
+      { $set: { revocadaEn: new Date(), reemplazadaPor: jti } }
+    );
+
+    res.json({ ok: true, ...tokens });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    res.status(400).json({ ok: false, error: msg });
+  }
+};
+
+// ===============================================
+// POST /api/auth/logout
+// Body: { refresh_token }  -> revoca esa sesión
+// ===============================================
+exports.logout = async (req, res) => {
+  try {
+    const { refresh_token } = refreshSchema.parse(req.body);
+
+    let payload;
+    try {
+      payload = verifyToken(refresh_token, "refresh");
+    } catch {
+      // Token ya inválido: nada que revocar
+      return res.json({ ok: true, revoked: false });
+    }
+
+    const db = await connect();
+    const r = await db.collection("sesiones").updateOne(
+      { jti: payload.jti, revocadaEn: null },
+      { $set: { revocadaEn: new Date() } }
+    );
+    res.json({ ok: true, revoked: r.modifiedCount > 0 });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+};
+
+// ===============================================
+// GET /api/auth/me  (requiere access token)
+// ===============================================
+exports.me = async (req, res) => {
+  if (!req.user) {
+    return res.status(400).json({ ok: false, error: "La credencial actual no es un usuario" });
+  }
+  res.json({ ok: true, data: req.user });
+};
+
+// ===============================================
+// POST /api/auth/password  (requiere access token)
+// Body: { password_actual, password_nueva }
+// Cambia la contraseña y revoca todas las sesiones del usuario.
+// ===============================================
+exports.cambiarPassword = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(400).json({ ok: false, error: "La credencial actual no es un usuario" });
+    }
+    const { password_actual, password_nueva } = cambioPasswordSchema.parse(req.body);
+
+    const db = await connect();
+    const col = db.collection("usuarios");
+    const usuario = await col.findOne({ _id: req.user._id });
+    if (!usuario || !(await verifyPassword(password_actual, usuario.password_hash))) {
+      return res.status(401).json({ ok: false, error: "Credenciales inválidas" });
+    }
+
+    const now = new Date();
+    await col.updateOne(
+      { _id: usuario._id },
+      { $set: { password_hash: await hashPassword(password_nueva), passwordUpdatedAt: now, updatedAt: now } }
+    );
+    await db.collection("sesiones").updateMany(
+      { usuario_id: usuario._id, revocadaEn: null },
+      { $set: { revocadaEn: now } }
+    );
+
+    res.json({ ok: true });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    res.status(400).json({ ok: false, error: msg });
+  }
+};
+
+// ===============================================
+// GET /api/auth/invitaciones/verificar?token=
+// Para que el front muestre a quién va dirigida antes de aceptar.
+// ===============================================
+exports.verificarInvitacion = async (req, res) => {
+  try {
+    const db = await connect();
+    const usuario = await buscarPorToken(db, String(req.query.token || ""));
+    if (!usuario) {
+      await registrarFalloAuth([`ip:${req.ip}`]);
+      return res.status(404).json({ ok: false, error: "Invitación inválida o expirada" });
+    }
+
+    res.json({
+      ok: true,
+      data: {
+        nombres: usuario.nombres,
+        apellidos: usuario.apellidos,
+        correo: usuario.correo,
+        rol: usuario.rol,
+        expiraEn: usuario.invitacion.expiraEn,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+};
+
+// ===============================================
+// POST /api/auth/invitaciones/aceptar
+// Body: { token, password }  -> activa la cuenta e inicia sesión
+// ===============================================
+exports.aceptarInvitacion = async (req, res) => {
+  try {
+    const { token, password } = aceptarInvitacionSchema.parse(req.body);
+    const db = await connect();
+    const col = db.collection("usuarios");
+
+    const antes = await buscarPorToken(db, token);
+    if (!antes) {
+      await registrarFalloAuth([`ip:${req.ip}`]);
+      return res.status(404).json({ ok: false, error: "Invitación inválida o expirada" });
+    }
+
+    const now = new Date();
+    // Filtro por token_hash: si dos requests llegan a la vez solo uno activa
+    const r = await col.updateOne(
+      { _id: antes._id, "invitacion.token_hash": antes.invitacion.token_hash, estado: "invitado" },
+      {
+        $set: {
+          estado: "activo",
+          password_hash: await hashPassword(password),
+          passwordUpdatedAt: now,
+          "invitacion.estado": "aceptada",
+          "invitacion.token_hash": null,
+          "invitacion.aceptadaEn": now,
+          updatedAt: now,
+        },
+      }
+    );
+    if (r.modifiedCount === 0) return res.status(404).json({ ok: false, error: "Invitación inválida o expirada" });
+
+    const usuario = await col.findOne({ _id: antes._id });
+    req.user = publicUser(usuario); // el actor de la auditoría es el propio invitado
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: usuario._id, accion: "update", antes, despues: usuario });
+
+    const { jti, ...tokens } = await emitirTokens(db, usuario, req);
+    res.json({ ok: true, ...tokens, usuario: publicUser(usuario) });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    res.status(400).json({ ok: false, error: msg });
+  }
+};
@@ -1,4 +1,7 @@
 const { connect, oidMaybe } = require("../lib/mongo");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { pacienteVisible, filtroPacientesVisibles } = require("../lib/sedes");
+const { motivoAcceso, registrarAcceso } = require("../lib/accesos");
 
 // ============================
 // Helper para normalizar fechas
@@ -41,9 +44,11 @@ function normalizeArray(value) {
 
 // ===============================================
 // GET /api/historias-clinicas
+// Devuelve historias completas: cada paciente listado queda en accesos_pacientes
 // ===============================================
 exports.listarHistorias = async (req, res) => {
   try {
+    const motivo = motivoAcceso(req);
     const db = await connect();
     const col = db.collection("historias_clinicas");
 
@@ -52,7 +57,10 @@ exports.listarHistorias = async (req, res) => {
     limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
     page = Math.max(parseInt(page ?? "1", 10), 1);
 
-    const q = pacienteId ? { paciente_id: pacienteId } : {};
+    const visibles = await filtroPacientesVisibles(db, req);
+    const q = pacienteId
+      ? { $and: [{ paciente_id: pacienteId }, visibles || {}] }
+      : visibles || {};
 
     const cursor = col.find(q).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit);
     const [data, total] = await Promise.all([
@@ -60,9 +68,11 @@ exports.listarHistorias = async (req, res) => {
       col.countDocuments(q),
     ]);
 
+    await registrarAcceso(db, req, { paciente_id: data.map(h => h.paciente_id), recurso: "historias_clinicas", motivo });
+
     res.json({ ok: true, total, page, pageSize: limit, data });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 };
 
@@ -71,18 +81,23 @@ exports.listarHistorias = async (req, res) => {
 // ===============================================
 exports.obtenerHistoria = async (req, res) => {
   try {
+    const motivo = motivoAcceso(req);
     const db = await connect();
     const col = db.collection("historias_clinicas");
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "ID inválido" });
 
     const doc = await col.findOne({ _id: oid });
-    if (!doc) return res.status(404).json({ ok: false, error: "Historia clínica no encontrada" });
+    if (!doc || !(await pacienteVisible(db, req, doc.paciente_id))) {
+      return res.status(404).json({ ok: false, error: "Historia clínica no encontrada" });
+    }
+
+    await registrarAcceso(db, req, { paciente_id: doc.paciente_id, recurso: "historias_clinicas", recurso_id: doc._id, motivo });
 
     doc._id = doc._id.toString();
     res.json({ ok: true, data: doc });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 };
 
@@ -105,6 +120,9 @@ exports.crearHistoria = async (req, res) => {
     if (!paciente_id) {
       return res.status(400).json({ ok: false, error: "El campo paciente_id es obligatorio" });
     }
+    if (!(await pacienteVisible(db, req, paciente_id))) {
+      return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    }
 
     const now = new Date();
     const doc = {
@@ -118,6 +136,7 @@ exports.crearHistoria = async (req, res) => {
     };
 
     const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "historias_clinicas", entidad_id: r.insertedId, accion: "create", despues: doc });
     res.status(201).json({ ok: true, id: r.insertedId.toString() });
   } catch (e) {
     res.status(400).json({ ok: false, error: e.message });
@@ -159,11 +178,19 @@ exports.actualizarHistoria = async (req, res) => {
 
     updateData.updatedAt = new Date();
 
+    const antes = await col.findOne({ _id: oid });
+    if (!antes || !(await pacienteVisible(db, req, antes.paciente_id))) {
+      return res.status(404).json({ ok: false, error: "Historia clínica no encontrada" });
+    }
+
     const r = await col.updateOne({ _id: oid }, { $set: updateData });
     if (r.matchedCount === 0) {
       return res.status(404).json({ ok: false, error: "Historia clínica no encontrada" });
     }
 
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "historias_clinicas", entidad_id: oid, accion: "update", antes, despues });
+
     res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     res.status(400).json({ ok: false, error: e.message });
@@ -180,10 +207,15 @@ exports.eliminarHistoria = async (req, res) => {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "ID inválido" });
 
+    const antes = await col.findOne({ _id: oid });
+    if (!antes || !(await pacienteVisible(db, req, antes.paciente_id))) {
+      return res.status(404).json({ ok: false, error: "Historia clínica no encontrada" });
+    }
     const r = await col.deleteOne({ _id: oid });
     if (r.deletedCount === 0) {
       return res.status(404).json({ ok: false, error: "Historia clínica no encontrada" });
     }
+    await registrarAuditoria(db, req, { entidad: "historias_clinicas", entidad_id: oid, accion: "delete", antes });
 
     res.json({ ok: true, deleted: r.deletedCount });
   } catch (e) {
@@ -1,6 +1,16 @@
 const { connect, oidMaybe } = require("../lib/mongo");
 const { usuarioSchemaCreate, usuarioSchemaPatch } = require("../lib/validate");
 const { normalizeRole } = require("../lib/roles");
+const { hashPassword, publicUser, ESTADOS_BLOQUEADOS } = require("../lib/auth");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, resolverSedeIds } = require("../lib/sedes");
+const { generarInvitacion, urlInvitacion } = require("../lib/invitaciones");
+const { ROL_ODONTOLOGO, filtroCitasFuturas } = require("../lib/agenda");
+const { generarTokenCalendario, urlCalendario } = require("../lib/ical");
+
+// ¿El usuario autenticado opera sobre sí mismo?
+const esPropio = (req, oid) => !!req.user?._id && String(req.user._id) === String(oid);
+exports.esPropio = esPropio;
 
 exports.listarUsuarios = async (req, res) => {
   try {
@@ -29,7 +39,7 @@ exports.listarUsuarios = async (req, res) => {
     if (rolFilter)   $and.push({ rol: rolFilter });
     if (estadoFilter)$and.push({ estado: estadoFilter });
 
-    const q = $and.length ? { $and } : {};
+    const q = scopeSede(req, $and.length ? { $and } : {}, "sede_ids");
 
     const cursor = col.aggregate([
       { $match: q },
@@ -48,6 +58,7 @@ exports.listarUsuarios = async (req, res) => {
           rol: 1,
           rol_id: 1,
           especialidad: 1,
+          sede_ids: 1,
         }
       },
       { $sort: { apellidos: 1, nombres: 1 } },
@@ -73,23 +84,26 @@ exports.obtenerUsuario = async (req, res) => {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
 
-    const doc = await col.findOne({ _id: oid });
+    const doc = await col.findOne(scopeSede(req, { _id: oid }, "sede_ids"));
     if (!doc) return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
 
     doc._id = doc._id.toString();
-    res.json({ ok: true, data: doc });
+    res.json({ ok: true, data: publicUser(doc) });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 };
 
+// Sin password => el usuario queda "invitado" y recibe un token para activarse
+// (POST /api/auth/invitaciones/aceptar). Con password => queda activo.
 exports.crearUsuario = async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("usuarios");
     const parsed = usuarioSchemaCreate.parse(req.body);
 
-    const withRole = await normalizeRole(db, { ...parsed });
+    const { password, ...rest } = parsed;
+    const withRole = await normalizeRole(db, rest);
 
     const especialidad = Array.isArray(withRole.especialidad)
       ? withRole.especialidad
@@ -98,20 +112,32 @@ exports.crearUsuario = async (req, res) => {
       : [];
 
     const now = new Date();
+    const inv = password ? null : generarInvitacion(req);
     const doc = {
       ...withRole,
       especialidad,
+      sede_ids: await resolverSedeIds(db, req, withRole.sede_ids),
+      ...(password
+        ? { password_hash: await hashPassword(password), passwordUpdatedAt: now }
+        : { estado: "invitado", invitacion: inv.invitacion }),
       createdAt: now,
       updatedAt: now,
     };
 
     const r = await col.insertOne(doc);
-    res.status(201).json({ ok: true, id: r.insertedId.toString() });
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: r.insertedId, accion: "create", despues: doc });
+    res.status(201).json({
+      ok: true,
+      id: r.insertedId.toString(),
+      ...(inv
+        ? { invitacion: { token: inv.token, url: urlInvitacion(inv.token), expiraEn: inv.invitacion.expiraEn } }
+        : {}),
+    });
   } catch (e) {
     if (String(e.message).includes("duplicate key") && String(e.message).includes("correo")) {
       return res.status(400).json({ ok: false, error: "Correo ya registrado" });
     }
-    res.status(400).json({ ok: false, error: e.message });
+    res.status(e.status || 400).json({ ok: false, error: e.message });
   }
 };
 
@@ -145,21 +171,54 @@ exports.actualizarUsuario = async (req, res) => {
         : [normPatch.especialidad];
     }
 
+    if (normPatch.sede_ids != null) {
+      $set.sede_ids = await resolverSedeIds(db, req, normPatch.sede_ids);
+    }
+
+    if (normPatch.password != null) {
+      $set.password_hash = await hashPassword(normPatch.password);
+      $set.passwordUpdatedAt = $set.updatedAt;
+    }
+
     const fieldsToUpdate = Object.keys($set).filter(k => k !== "updatedAt");
     if (fieldsToUpdate.length === 0) {
       return res.status(400).json({ ok: false, error: "Nada para actualizar" });
     }
 
-    const r = await col.updateOne(filter, { $set });
+    const antes = await col.findOne(scopeSede(req, filter, "sede_ids"));
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    }
+
+    const r = await col.updateOne({ _id: antes._id }, { $set });
     if (r.matchedCount === 0) {
       return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
     }
+
+    const despues = await col.findOne({ _id: antes._id });
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: antes._id, accion: "update", antes, despues });
+
+    // Cambio de contraseña o suspensión => se cierran las sesiones abiertas
+    if ($set.password_hash || ESTADOS_BLOQUEADOS.includes($set.estado)) {
+      await db.collection("sesiones").updateMany(
+        { usuario_id: antes._id, revocadaEn: null },
+        { $set: { revocadaEn: new Date() } }
+      );
+    }
+
+    // Odontólogo dado de baja con agenda pendiente: se avisa para reasignar
+    // (ver GET/POST /api/citas/reasignacion)
+    if ($set.estado && $set.estado !== "activo" && despues.rol === ROL_ODONTOLOGO) {
+      const citas_futuras = await db.collection("citas").countDocuments(filtroCitasFuturas(antes._id));
+      return res.json({ ok: true, modified: r.modifiedCount, citas_futuras });
+    }
+
     res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     if (String(e.message).includes("duplicate key") && String(e.message).includes("correo")) {
       return res.status(400).json({ ok: false, error: "Correo ya registrado" });
     }
-    res.status(400).json({ ok: false, error: e.message });
+    res.status(e.status || 400).json({ ok: false, error: e.message });
   }
 };
 
@@ -170,12 +229,143 @@ exports.eliminarUsuario = async (req, res) => {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
 
+    const antes = await col.findOne(scopeSede(req, { _id: oid }, "sede_ids"));
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    }
     const r = await col.deleteOne({ _id: oid });
     if (r.deletedCount === 0) {
       return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
     }
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: oid, accion: "delete", antes });
     res.json({ ok: true, deleted: r.deletedCount });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 };
+
+// ===============================================
+// POST /api/usuarios/:id/invitacion/reenviar
+// Genera un token nuevo (el anterior deja de servir) y renueva la expiración.
+// ===============================================
+exports.reenviarInvitacion = async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("usuarios");
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const antes = await col.findOne(scopeSede(req, { _id: oid }, "sede_ids"));
+    if (!antes) return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    if (antes.estado !== "invitado" || antes.invitacion?.estado !== "pendiente") {
+      return res.status(409).json({ ok: false, error: "El usuario no tiene una invitación pendiente" });
+    }
+
+    const inv = generarInvitacion(req, { reenvios: (antes.invitacion?.reenvios || 0) + 1 });
+    await col.updateOne({ _id: oid }, { $set: { invitacion: inv.invitacion, updatedAt: new Date() } });
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: oid, accion: "update", antes, despues });
+
+    res.json({
+      ok: true,
+      invitacion: { token: inv.token, url: urlInvitacion(inv.token), expiraEn: inv.invitacion.expiraEn },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+};
+
+// ===============================================
+// DELETE /api/usuarios/:id/invitacion
+// Cancela la invitación pendiente; el usuario pasa a "inactivo".
+// ===============================================
+exports.cancelarInvitacion = async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("usuarios");
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const antes = await col.findOne(scopeSede(req, { _id: oid }, "sede_ids"));
+    if (!antes) return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    if (antes.estado !== "invitado" || antes.invitacion?.estado !== "pendiente") {
+      return res.status(409).json({ ok: false, error: "El usuario no tiene una invitación pendiente" });
+    }
+
+    const now = new Date();
+    await col.updateOne(
+      { _id: oid },
+      {
+        $set: {
+          estado: "inactivo",
+          "invitacion.estado": "cancelada",
+          "invitacion.token_hash": null,
+          "invitacion.canceladaEn": now,
+          "invitacion.canceladaPor": req.user?._id ?? null,
+          updatedAt: now,
+        },
+      }
+    );
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: oid, accion: "update", antes, despues });
+
+    res.json({ ok: true, cancelled: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+};
+
+// ===============================================
+// POST /api/usuarios/:id/calendario
+// Genera (o rota) el token del feed iCalendar del usuario. El token en claro
+// solo se devuelve aquí; el anterior deja de servir.
+// ===============================================
+exports.generarCalendario = async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("usuarios");
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const antes = await col.findOne(esPropio(req, oid) ? { _id: oid } : scopeSede(req, { _id: oid }, "sede_ids"));
+    if (!antes) return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+
+    const { token, calendario } = generarTokenCalendario(req);
+    await col.updateOne({ _id: oid }, { $set: { calendario, updatedAt: new Date() } });
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: oid, accion: "update", antes, despues });
+
+    res.status(201).json({ ok: true, calendario: { token, url: urlCalendario(req, token), creadoEn: calendario.creadoEn } });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+};
+
+// ===============================================
+// DELETE /api/usuarios/:id/calendario
+// Revoca el feed iCalendar (la URL suscrita deja de responder)
+// ===============================================
+exports.revocarCalendario = async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("usuarios");
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const antes = await col.findOne(esPropio(req, oid) ? { _id: oid } : scopeSede(req, { _id: oid }, "sede_ids"));
+    if (!antes) return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    if (!antes.calendario) return res.status(409).json({ ok: false, error: "El usuario no tiene calendario publicado" });
+
+    await col.updateOne({ _id: oid }, { $unset: { calendario: "" }, $set: { updatedAt: new Date() } });
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "usuarios", entidad_id: oid, accion: "update", antes, despues });
+
+    res.json({ ok: true, revoked: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+};
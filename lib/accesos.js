@@ -0,0 +1,65 @@
+// lib/accesos.js
+const { actorDe } = require("./auditoria");
+
+// Códigos de motivo aceptados para abrir información clínica
+const MOTIVOS_ACCESO = [
+  "atencion_clinica",
+  "urgencia",
+  "administrativo",
+  "facturacion",
+  "auditoria",
+  "solicitud_paciente",
+  "otro",
+];
+
+// Leer sin motivo responde 400; ACCESO_MOTIVO_OBLIGATORIO=false lo relaja
+// (se registra "no_indicado", p. ej. mientras se adaptan los clientes)
+const motivoObligatorio = () =>
+  String(process.env.ACCESO_MOTIVO_OBLIGATORIO || "true").toLowerCase() !== "false";
+
+/**
+ * Lee el motivo de acceso del header "x-motivo-acceso" o de ?motivo_acceso=.
+ * Lanza Error con .status = 400 si es inválido (o falta y es obligatorio).
+ */
+function motivoAcceso(req) {
+  const raw = (req.header("x-motivo-acceso") || req.query.motivo_acceso || "").trim().toLowerCase();
+  if (!raw) {
+    if (motivoObligatorio()) {
+      throw Object.assign(new Error(`Motivo de acceso obligatorio (x-motivo-acceso): ${MOTIVOS_ACCESO.join(", ")}`), { status: 400 });
+    }
+    return "no_indicado";
+  }
+  if (!MOTIVOS_ACCESO.includes(raw)) {
+    throw Object.assign(new Error(`Motivo de acceso inválido. Use: ${MOTIVOS_ACCESO.join(", ")}`), { status: 400 });
+  }
+  return raw;
+}
+
+/**
+ * Registra una lectura de datos clínicos/del paciente en "accesos_pacientes".
+ * recurso: "historias_clinicas" | "pacientes"
+ * Falla cerrado: si no se puede registrar lanza { status: 503 } y la ruta no
+ * devuelve los datos (se llama antes de responder).
+ */
+async function registrarAcceso(db, req, { paciente_id, recurso, recurso_id = null, motivo }) {
+  try {
+    const ids = Array.isArray(paciente_id) ? paciente_id : [paciente_id];
+    const ts = new Date();
+    const docs = ids.filter(Boolean).map((pid) => ({
+      ts,
+      paciente_id: String(pid),
+      recurso,
+      recurso_id,
+      motivo: motivo || "no_indicado",
+      actor: actorDe(req),
+      ruta: `${req.method} ${req.originalUrl}`,
+      ip: req.ip,
+    }));
+    if (docs.length) await db.collection("accesos_pacientes").insertMany(docs);
+  } catch (e) {
+    console.error("[accesos]", e);
+    throw Object.assign(new Error("No se pudo registrar el acceso; intenta de nuevo"), { status: 503 });
+  }
+}
+
+module.exports = { MOTIVOS_ACCESO, motivoAcceso, registrarAcceso };
@@ -0,0 +1,203 @@
+// lib/agenda.js
+const { ObjectId } = require("mongodb");
+const { puedeVerSede } = require("./sedes");
+
+const ROL_ODONTOLOGO = "Odontologo";
+
+// Citas que todavía ocupan agenda (las finalizadas no se reasignan)
+const ESTADOS_ABIERTOS = ["Pendiente", "Confirmada", "En consulta"];
+// Citas que NO bloquean el horario al buscar solapamientos
+// ("No asistió" deja libre el resto del turno, p. ej. para un paciente sin cita)
+const ESTADOS_LIBERAN_AGENDA = ["Cancelada", "No asistió"];
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : def);
+// Duración cuando no viene explícita ni se puede deducir de los procedimientos
+const DURACION_DEFAULT_MIN = num(process.env.CITA_DURACION_MIN, 30);
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+// No se importa oidMaybe de ./mongo: lib/mongo carga este módulo para el seed
+function toOid(v) {
+  if (v instanceof ObjectId) return v;
+  try {
+    return new ObjectId(String(v));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifica que `usuarioId` sea un odontólogo activo que atiende en `sedeId`.
+ * Lanza { status } si no; devuelve el usuario si todo está bien.
+ */
+async function validarOdontologo(db, usuarioId, sedeId = null) {
+  const oid = toOid(usuarioId);
+  if (!oid) throw httpError(400, "usuario_id inválido");
+
+  const usuario = await db.collection("usuarios").findOne(
+    { _id: oid },
+    { projection: { nombres: 1, apellidos: 1, rol: 1, estado: 1, sede_ids: 1 } }
+  );
+  if (!usuario) throw httpError(404, "Odontólogo no encontrado");
+  if (usuario.rol !== ROL_ODONTOLOGO) {
+    throw httpError(400, "usuario_id no corresponde a un odontólogo");
+  }
+
+  const estado = String(usuario.estado || "activo").toLowerCase();
+  if (estado !== "activo") throw httpError(409, `El odontólogo está ${estado}`);
+
+  if (sedeId && Array.isArray(usuario.sede_ids) && usuario.sede_ids.length) {
+    if (!usuario.sede_ids.some((s) => String(s) === String(sedeId))) {
+      throw httpError(400, "El odontólogo no atiende en esa sede");
+    }
+  }
+  return usuario;
+}
+
+// Filtro de citas futuras y abiertas de un odontólogo
+function filtroCitasFuturas(usuarioOid, desde = new Date()) {
+  return { usuario_id: usuarioOid, fecha: { $gte: desde }, estado: { $in: ESTADOS_ABIERTOS } };
+}
+
+// ============================
+// Duración
+// ============================
+const sumarMinutos = (fecha, min) => new Date(fecha.getTime() + min * 60 * 1000);
+
+/**
+ * Duración de una cita en minutos:
+ * 1) duracion_min explícita
+ * 2) suma de procedimientos.duracion_min (por procedimiento_id, o nombre en citas antiguas) × cantidad
+ * 3) CITA_DURACION_MIN (30 por defecto)
+ * Devuelve { duracion_min, origen: "manual" | "procedimientos" | "default" }.
+ */
+async function calcularDuracion(db, { duracion_min, procedimientos }) {
+  if (duracion_min) return { duracion_min, origen: "manual" };
+
+  const procs = Array.isArray(procedimientos) ? procedimientos : [];
+  if (procs.length) {
+    const ids = procs.map((p) => p.procedimiento_id && toOid(p.procedimiento_id)).filter(Boolean);
+    const nombres = [...new Set(procs.map((p) => p.nombre))];
+    const catalogo = await db.collection("procedimientos")
+      .find(
+        { $or: [{ _id: { $in: ids } }, { tipo_procedimiento: { $in: nombres } }] },
+        { projection: { tipo_procedimiento: 1, duracion_min: 1 } }
+      )
+      .toArray();
+    const porId = new Map(catalogo.map((c) => [String(c._id), c.duracion_min]));
+    const porNombre = new Map(catalogo.map((c) => [c.tipo_procedimiento, c.duracion_min]));
+    const duracionDe = (p) => (p.procedimiento_id ? porId.get(String(p.procedimiento_id)) : porNombre.get(p.nombre));
+
+    const total = procs.reduce((acc, p) => acc + (duracionDe(p) || 0) * (p.cantidad ?? 1), 0);
+    if (total > 0) return { duracion_min: total, origen: "procedimientos" };
+  }
+  return { duracion_min: DURACION_DEFAULT_MIN, origen: "default" };
+}
+
+// ============================
+// Solapamientos
+// ============================
+
+/**
+ * Citas que se cruzan con [fecha, fin) para el mismo odontólogo, el mismo paciente
+ * o alguno de los mismos recursos (sillón, sala...).
+ * Ignora las canceladas y los ids de `excluir` (la propia cita al editar).
+ * Cada conflicto indica `con`: "odontologo" | "paciente" | "recurso".
+ */
+async function buscarConflictos(db, { fecha, fin, usuario_id, paciente_id, recurso_ids = [], excluir = [] }) {
+  const quien = [];
+  if (usuario_id) quien.push({ usuario_id: toOid(usuario_id) });
+  if (paciente_id) quien.push({ paciente_id: String(paciente_id) });
+  const recursos = (recurso_ids || []).map(toOid).filter(Boolean);
+  if (recursos.length) quien.push({ recurso_ids: { $in: recursos } });
+  if (!quien.length) return [];
+
+  const q = {
+    fecha: { $lt: fin },
+    fin: { $gt: fecha },
+    estado: { $nin: ESTADOS_LIBERAN_AGENDA },
+    $or: quien,
+  };
+  const ids = excluir.map(toOid).filter(Boolean);
+  if (ids.length) q._id = { $nin: ids };
+
+  const citas = await db.collection("citas")
+    .find(q, { projection: { fecha: 1, fin: 1, usuario_id: 1, paciente_id: 1, sede_id: 1, estado: 1, recurso_ids: 1 } })
+    .sort({ fecha: 1 })
+    .limit(50)
+    .toArray();
+
+  const con = (c) => {
+    if (usuario_id && String(c.usuario_id) === String(usuario_id)) return "odontologo";
+    if (paciente_id && String(c.paciente_id) === String(paciente_id)) return "paciente";
+    return "recurso";
+  };
+  return citas.map((c) => ({ ...c, con: con(c) }));
+}
+
+/**
+ * Lanza 409 (con e.conflictos) si la cita se cruza con otra, salvo que `forzar`
+ * (sobrecupo autorizado; quien llama valida el permiso "citas:sobrecupo").
+ * Devuelve null si no hay cruces, o los ids cruzados si se forzó.
+ */
+async function verificarCruces(db, cita, { forzar = false, excluir = [] } = {}) {
+  if (ESTADOS_LIBERAN_AGENDA.includes(cita.estado)) return null;
+
+  const conflictos = await buscarConflictos(db, { ...cita, excluir });
+  if (!conflictos.length) return null;
+  if (!forzar) {
+    const err = httpError(409, "La cita se cruza con otras citas del odontólogo, del paciente o de sus recursos");
+    err.conflictos = conflictos;
+    throw err;
+  }
+  return conflictos.map((c) => c._id);
+}
+
+/**
+ * Conflictos para las respuestas. El cruce se busca en todas las sedes (un
+ * odontólogo o un paciente no pueden estar en dos a la vez), pero de las citas
+ * de sedes que quien llama no ve solo se dice con qué chocan: { con, otra_sede }.
+ * Acepta también los agrupados por ocurrencia ({ ..., conflictos: [...] }).
+ */
+function conflictosParaRespuesta(req, conflictos) {
+  return (conflictos || []).map((c) => {
+    if (Array.isArray(c?.conflictos)) return { ...c, conflictos: conflictosParaRespuesta(req, c.conflictos) };
+    if (!c?.sede_id || puedeVerSede(req, c.sede_id)) return c;
+    return { con: c.con, otra_sede: true };
+  });
+}
+
+/**
+ * Backfill: citas anteriores a las duraciones no tienen `fin`.
+ * Se les asigna la duración por defecto para que entren en la detección de cruces.
+ */
+async function ensureDuracionesSeed(db) {
+  await db.collection("citas").updateMany(
+    { fin: { $exists: false }, fecha: { $type: "date" } },
+    [
+      {
+        $set: {
+          duracion_min: { $ifNull: ["$duracion_min", DURACION_DEFAULT_MIN] },
+          fin: {
+            $add: ["$fecha", { $multiply: [{ $ifNull: ["$duracion_min", DURACION_DEFAULT_MIN] }, 60 * 1000] }],
+          },
+        },
+      },
+    ]
+  );
+}
+
+module.exports = {
+  ROL_ODONTOLOGO,
+  ESTADOS_ABIERTOS,
+  ESTADOS_LIBERAN_AGENDA,
+  DURACION_DEFAULT_MIN,
+  validarOdontologo,
+  filtroCitasFuturas,
+  sumarMinutos,
+  calcularDuracion,
+  buscarConflictos,
+  verificarCruces,
+  conflictosParaRespuesta,
+  ensureDuracionesSeed,
+};
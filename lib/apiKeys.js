@@ -0,0 +1,94 @@
+// lib/apiKeys.js
+const crypto = require("crypto");
+const { PERMISOS, permisoValido } = require("./permisos");
+
+// Formato: dfk_<prefijo>_<secreto>. Solo se guarda el prefijo (para buscar) y el hash.
+const KEY_PREFIX = "dfk";
+
+// Scopes predefinidos => lista de permisos
+const SCOPES_PRESET = {
+  "read-only": Object.keys(PERMISOS).filter((p) => p.endsWith(":read") && p !== "debug:read"),
+  "citas-only": ["citas:*", "pacientes:read", "usuarios:read", "procedimientos:read", "sedes:read"],
+};
+
+function scopeValido(s) {
+  return !!SCOPES_PRESET[s] || permisoValido(s);
+}
+
+// Expande presets a permisos concretos
+function expandirScopes(scopes) {
+  const out = new Set();
+  for (const s of scopes || []) {
+    for (const p of SCOPES_PRESET[s] || [s]) out.add(p);
+  }
+  return [...out];
+}
+
+const hashKey = (raw) => crypto.createHash("sha256").update(String(raw)).digest("hex");
+
+// Genera una key nueva; el valor en claro solo se devuelve una vez
+function generarApiKey() {
+  const prefijo = crypto.randomBytes(6).toString("hex");
+  const secreto = crypto.randomBytes(24).toString("base64url");
+  const key = `${KEY_PREFIX}_${prefijo}_${secreto}`;
+  return { key, prefijo, hash: hashKey(key) };
+}
+
+function parsePrefijo(raw) {
+  const [pfx, prefijo] = String(raw || "").split("_");
+  return pfx === KEY_PREFIX && prefijo ? prefijo : null;
+}
+
+function igualesSeguro(a, b) {
+  const ba = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Busca y valida una key de la colección api_keys.
+ * Devuelve el documento si es válida (no revocada, no expirada), o null.
+ * Acepta también el hash anterior durante la ventana de gracia tras una rotación.
+ */
+async function verificarApiKey(db, raw) {
+  const prefijo = parsePrefijo(raw);
+  if (!prefijo) return null;
+
+  const col = db.collection("api_keys");
+  const doc = await col.findOne({ $or: [{ prefijo }, { prefijo_anterior: prefijo }] });
+  if (!doc || doc.revocadaEn) return null;
+
+  const now = new Date();
+  if (doc.expiraEn && doc.expiraEn <= now) return null;
+
+  const h = hashKey(raw);
+  const actual = doc.prefijo === prefijo && igualesSeguro(h, doc.hash);
+  const anterior =
+    doc.prefijo_anterior === prefijo &&
+    doc.anteriorExpiraEn && doc.anteriorExpiraEn > now &&
+    igualesSeguro(h, doc.hash_anterior);
+  if (!actual && !anterior) return null;
+
+  // lastUsedAt con resolución de 1 min para no escribir en cada request
+  if (!doc.lastUsedAt || now - doc.lastUsedAt > 60 * 1000) {
+    await col.updateOne({ _id: doc._id }, { $set: { lastUsedAt: now } });
+  }
+  return doc;
+}
+
+// Vista pública (sin hashes)
+function publicApiKey(doc) {
+  if (!doc) return doc;
+  const { hash, hash_anterior, ...rest } = doc;
+  return rest;
+}
+
+module.exports = {
+  SCOPES_PRESET,
+  scopeValido,
+  expandirScopes,
+  generarApiKey,
+  parsePrefijo,
+  verificarApiKey,
+  publicApiKey,
+};
@@ -0,0 +1,179 @@
+// lib/asistencia.js
+// Inasistencias ("No asistió") y confiabilidad de pacientes.
+// - Un worker marca como "No asistió" las citas Pendiente/Confirmada que terminaron
+//   hace más de NO_SHOW_MARGEN_MIN sin que nadie las iniciara.
+// - Por paciente se cuentan inasistencias, cancelaciones tardías (menos de
+//   CANCELACION_TARDIA_HORAS antes de la cita) y la tasa de asistencia; al agendar
+//   a un paciente con mal historial la respuesta incluye una advertencia.
+const { transicionarCita } = require("./citas");
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : def);
+
+const CONFIG = {
+  margenMin: num(process.env.NO_SHOW_MARGEN_MIN, 30),
+  intervaloMs: num(process.env.NO_SHOW_INTERVALO_MIN, 10) * 60 * 1000,
+  lote: num(process.env.NO_SHOW_LOTE, 100),
+  cancelacionTardiaHoras: num(process.env.CANCELACION_TARDIA_HORAS, 24),
+  // Historial que se evalúa (días hacia atrás)
+  ventanaDias: num(process.env.ASISTENCIA_VENTANA_DIAS, 365),
+  // Con menos citas evaluables no se califica (salvo que ya tenga inasistencias)
+  minCitas: num(process.env.ASISTENCIA_MIN_CITAS, 3),
+  tasaMala: num(process.env.ASISTENCIA_TASA_MALA, 0.7),
+  tasaRegular: num(process.env.ASISTENCIA_TASA_REGULAR, 0.9),
+  maxInasistencias: num(process.env.ASISTENCIA_MAX_INASISTENCIAS, 3),
+};
+
+const autoMarcar = () => (process.env.NO_SHOW_AUTO ?? "true").toLowerCase() !== "false";
+
+// Quien marca en automático (auditoría e historial_estados)
+const REQ_SISTEMA = { auth: { tipo: "sistema" }, method: "WORKER", originalUrl: "asistencia" };
+
+const NIVELES = ["sin_historial", "buena", "regular", "mala"];
+
+// ============================
+// Marcado automático
+// ============================
+
+/**
+ * Marca como "No asistió" las citas que ya terminaron (más el margen) y siguen
+ * Pendiente o Confirmada. Si otra petición cambió la cita entre medio se omite.
+ * `sedes` (ObjectIds) limita el marcado a esas sedes; null = todas (el worker).
+ */
+async function marcarInasistencias(db, { ahora = new Date(), sedes = null } = {}) {
+  const limite = new Date(ahora.getTime() - CONFIG.margenMin * 60 * 1000);
+  const q = { estado: { $in: ["Pendiente", "Confirmada"] }, fin: { $lt: limite } };
+  if (sedes) q.sede_id = { $in: sedes };
+  const vencidas = await db
+    .collection("citas")
+    .find(q)
+    .sort({ fin: 1 })
+    .limit(CONFIG.lote)
+    .toArray();
+
+  let marcadas = 0;
+  for (const antes of vencidas) {
+    try {
+      await transicionarCita(db, REQ_SISTEMA, antes, "No asistió", { nota: "Marcada automáticamente: la cita no se inició" });
+      marcadas++;
+    } catch (e) {
+      if (e.status !== 409) console.error("[asistencia] cita", String(antes._id), e.message);
+    }
+  }
+  return { revisadas: vencidas.length, marcadas };
+}
+
+let timer = null;
+let corriendo = false;
+
+// NO_SHOW_AUTO=false desactiva el marcado automático (solo manual vía /no-asistio)
+function iniciarWorker(connect) {
+  if (timer || !autoMarcar()) return;
+  timer = setInterval(async () => {
+    if (corriendo) return;
+    corriendo = true;
+    try {
+      await marcarInasistencias(await connect());
+    } catch (e) {
+      console.error("[asistencia] worker:", e.message);
+    } finally {
+      corriendo = false;
+    }
+  }, CONFIG.intervaloMs);
+  timer.unref?.();
+}
+
+// ============================
+// Confiabilidad
+// ============================
+
+function nivelDe({ evaluables, no_asistio, tasa_asistencia }) {
+  if (no_asistio >= CONFIG.maxInasistencias) return "mala";
+  if (evaluables < CONFIG.minCitas && no_asistio === 0) return "sin_historial";
+  if (tasa_asistencia < CONFIG.tasaMala) return "mala";
+  if (tasa_asistencia < CONFIG.tasaRegular) return "regular";
+  return "buena";
+}
+
+/**
+ * Resumen de asistencia del paciente en la ventana configurada (solo citas ya pasadas).
+ * Tasa de asistencia = asistidas / (asistidas + inasistencias + cancelaciones tardías).
+ */
+async function confiabilidadPaciente(db, paciente_id, { ahora = new Date() } = {}) {
+  const desde = new Date(ahora.getTime() - CONFIG.ventanaDias * 24 * 60 * 60 * 1000);
+  const tardiaMs = CONFIG.cancelacionTardiaHoras * 60 * 60 * 1000;
+
+  const [r] = await db
+    .collection("citas")
+    .aggregate([
+      { $match: { paciente_id: String(paciente_id), fecha: { $gte: desde, $lt: ahora } } },
+      {
+        $group: {
+          _id: null,
+          citas: { $sum: 1 },
+          asistidas: { $sum: { $cond: [{ $in: ["$estado", ["En consulta", "Completada"]] }, 1, 0] } },
+          no_asistio: { $sum: { $cond: [{ $eq: ["$estado", "No asistió"] }, 1, 0] } },
+          canceladas: { $sum: { $cond: [{ $eq: ["$estado", "Cancelada"] }, 1, 0] } },
+          cancelaciones_tardias: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$estado", "Cancelada"] },
+                    { $gt: ["$canceledAt", { $subtract: ["$fecha", tardiaMs] }] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          ultima_inasistencia: { $max: { $cond: [{ $eq: ["$estado", "No asistió"] }, "$fecha", null] } },
+        },
+      },
+    ])
+    .toArray();
+
+  const s = r || { citas: 0, asistidas: 0, no_asistio: 0, canceladas: 0, cancelaciones_tardias: 0, ultima_inasistencia: null };
+  const evaluables = s.asistidas + s.no_asistio + s.cancelaciones_tardias;
+  const tasa_asistencia = evaluables ? Math.round((s.asistidas / evaluables) * 1000) / 1000 : null;
+  const out = {
+    paciente_id: String(paciente_id),
+    desde,
+    citas: s.citas,
+    asistidas: s.asistidas,
+    no_asistio: s.no_asistio,
+    canceladas: s.canceladas,
+    cancelaciones_tardias: s.cancelaciones_tardias,
+    evaluables,
+    tasa_asistencia,
+    ultima_inasistencia: s.ultima_inasistencia,
+  };
+  out.nivel = nivelDe(out);
+  return out;
+}
+
+/**
+ * Advertencia para la respuesta al agendar (null si el historial es bueno o no hay).
+ * No bloquea la cita: solo informa a recepción.
+ */
+async function advertenciaAlAgendar(db, paciente_id) {
+  const c = await confiabilidadPaciente(db, paciente_id);
+  if (c.nivel !== "mala" && c.nivel !== "regular") return null;
+  const partes = [`${c.no_asistio} inasistencia(s)`, `${c.cancelaciones_tardias} cancelación(es) tardía(s)`];
+  if (c.tasa_asistencia != null) partes.push(`asistencia ${Math.round(c.tasa_asistencia * 100)}%`);
+  return {
+    tipo: "confiabilidad",
+    nivel: c.nivel,
+    mensaje: `Historial de asistencia ${c.nivel}: ${partes.join(", ")}`,
+    confiabilidad: c,
+  };
+}
+
+module.exports = {
+  CONFIG,
+  NIVELES,
+  marcarInasistencias,
+  iniciarWorker,
+  confiabilidadPaciente,
+  advertenciaAlAgendar,
+};
@@ -0,0 +1,160 @@
+// lib/auditoria.js
+const crypto = require("crypto");
+
+// Campos que nunca se copian al log de auditoría (admite un nivel de anidación)
+const CAMPOS_SENSIBLES = ["password_hash", "invitacion.token_hash", "calendario.token_hash"];
+// Campos que cambian en cada escritura y no aportan al diff
+const CAMPOS_IGNORADOS = ["updatedAt"];
+
+function limpiar(doc) {
+  if (!doc || typeof doc !== "object") return doc ?? null;
+  const out = { ...doc };
+  for (const path of CAMPOS_SENSIBLES) {
+    const [k, sub] = path.split(".");
+    if (!sub) {
+      if (k in out) out[k] = "[oculto]";
+    } else if (out[k] && typeof out[k] === "object" && sub in out[k]) {
+      out[k] = { ...out[k], [sub]: "[oculto]" };
+    }
+  }
+  return out;
+}
+
+// Comparación por valor (sirve para ObjectId, Date, arrays y subdocumentos)
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Diff superficial (campos de primer nivel) entre dos versiones del documento.
+ * Devuelve { campo: { antes, despues } } solo con lo que cambió.
+ */
+function diff(antes, despues) {
+  const a = limpiar(antes) || {};
+  const d = limpiar(despues) || {};
+  const out = {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(d)]);
+  for (const k of keys) {
+    if (CAMPOS_IGNORADOS.includes(k)) continue;
+    if (!same(a[k], d[k])) out[k] = { antes: a[k] ?? null, despues: d[k] ?? null };
+  }
+  return out;
+}
+
+// Quién hizo el cambio (usuario autenticado o API key)
+function actorDe(req) {
+  if (req?.user) {
+    return {
+      tipo: "usuario",
+      usuario_id: req.user._id,
+      nombre: `${req.user.nombres ?? ""} ${req.user.apellidos ?? ""}`.trim(),
+      rol: req.user.rol ?? null,
+    };
+  }
+  if (req?.auth?.tipo === "integracion") {
+    return { tipo: "integracion", usuario_id: null, api_key_id: req.auth.api_key_id, nombre: req.auth.nombre };
+  }
+  return { tipo: req?.auth?.tipo || "anonimo", usuario_id: null };
+}
+
+// Copia sin campos undefined: el driver los guardaría como null y la entrada
+// leída de vuelta ya no daría el mismo hash
+function sinUndefined(v) {
+  if (Array.isArray(v)) return v.map((x) => (x === undefined ? null : sinUndefined(x)));
+  if (v && typeof v === "object" && !(v instanceof Date) && !v._bsontype) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) if (x !== undefined) out[k] = sinUndefined(x);
+    return out;
+  }
+  return v;
+}
+
+// Serialización estable: claves ordenadas; Date, ObjectId y demás tipos BSON
+// con la misma forma en memoria que leídos de Mongo
+function canonico(v) {
+  if (v === undefined || v === null) return "null";
+  if (v instanceof Date) return JSON.stringify({ $date: Number.isNaN(v.getTime()) ? null : v.toISOString() });
+  if (v._bsontype) return JSON.stringify({ [`$${v._bsontype}`]: v.toString() });
+  if (Array.isArray(v)) return `[${v.map(canonico).join(",")}]`;
+  if (typeof v === "object") {
+    const claves = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${claves.map((k) => `${JSON.stringify(k)}:${canonico(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+// Hash encadenado: cada entrada incluye el hash de la anterior.
+// v: 2 = serialización canónica; las entradas sin v se hashearon con JSON.stringify
+const VERSION_HASH = 2;
+function hashEntrada(entrada, prevHash) {
+  const { _id, hash, ...contenido } = entrada;
+  return crypto
+    .createHash("sha256")
+    .update(String(prevHash || ""))
+    .update(contenido.v === VERSION_HASH ? canonico(contenido) : JSON.stringify(contenido))
+    .digest("hex");
+}
+
+/**
+ * Registra una mutación en la colección "auditoria".
+ * accion: "create" | "update" | "delete"
+ * Nunca lanza: si falla se deja constancia en consola (la mutación ya ocurrió).
+ */
+async function registrarAuditoria(db, req, { entidad, entidad_id, accion, antes = null, despues = null }) {
+  const col = db.collection("auditoria");
+  const cambios = diff(antes, despues);
+  if (accion === "update" && Object.keys(cambios).length === 0) return null;
+
+  // Reintenta si otra escritura tomó el mismo seq (índice único)
+  for (let intento = 0; intento < 5; intento++) {
+    try {
+      const [ultima] = await col.find({}, { projection: { seq: 1, hash: 1 } }).sort({ seq: -1 }).limit(1).toArray();
+
+      const entrada = sinUndefined({
+        v: VERSION_HASH,
+        seq: (ultima?.seq || 0) + 1,
+        ts: new Date(),
+        actor: actorDe(req),
+        ruta: req ? `${req.method} ${req.originalUrl}` : null,
+        entidad,
+        entidad_id: entidad_id ?? null,
+        accion,
+        cambios,
+        antes: limpiar(antes),
+        despues: limpiar(despues),
+        prev_hash: ultima?.hash || null,
+      });
+      entrada.hash = hashEntrada(entrada, entrada.prev_hash);
+
+      await col.insertOne(entrada);
+      return entrada;
+    } catch (e) {
+      if (e?.code === 11000) continue;
+      console.error("[auditoria]", e);
+      return null;
+    }
+  }
+  console.error("[auditoria] no se pudo registrar tras varios intentos", { entidad, entidad_id, accion });
+  return null;
+}
+
+/**
+ * Recorre la cadena desde `desde` (seq) y devuelve la primera entrada
+ * alterada o con hueco en la secuencia, si la hay.
+ */
+async function verificarCadena(db, { desde = 1, limite = 10000 } = {}) {
+  const col = db.collection("auditoria");
+  const cursor = col.find({ seq: { $gte: desde } }).sort({ seq: 1 }).limit(limite);
+
+  let prev = desde > 1 ? await col.findOne({ seq: desde - 1 }) : null;
+  let revisadas = 0;
+  for await (const e of cursor) {
+    const esperadoSeq = prev ? prev.seq + 1 : e.seq;
+    if (e.seq !== esperadoSeq) return { ok: false, revisadas, seq: esperadoSeq, motivo: "hueco en la secuencia" };
+    if (e.prev_hash !== (prev?.hash || null)) return { ok: false, revisadas, seq: e.seq, motivo: "prev_hash no coincide" };
+    if (hashEntrada(e, e.prev_hash) !== e.hash) return { ok: false, revisadas, seq: e.seq, motivo: "contenido alterado" };
+    prev = e;
+    revisadas++;
+  }
+  return { ok: true, revisadas, ultimoSeq: prev?.seq ?? null };
+}
+
+module.exports = { registrarAuditoria, verificarCadena, diff, actorDe };
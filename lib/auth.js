@@ -0,0 +1,98 @@
+// lib/auth.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+
+// Estados de usuario que NO pueden autenticarse
+// ("invitado" aún no ha aceptado la invitación ni definido contraseña)
+const ESTADOS_BLOQUEADOS = ["suspendido", "inactivo", "invitado"];
+
+const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TTL = process.env.REFRESH_TOKEN_TTL || "7d";
+
+function secret() {
+  const s = process.env.JWT_SECRET;
+  if (!s) throw new Error("JWT_SECRET missing in .env");
+  return s;
+}
+
+// ============================
+// Contraseñas
+// ============================
+async function hashPassword(plain) {
+  return bcrypt.hash(String(plain), 10);
+}
+
+async function verifyPassword(plain, hash) {
+  if (!hash) return false;
+  return bcrypt.compare(String(plain), hash);
+}
+
+// ============================
+// Tokens
+// ============================
+function signAccessToken(usuario) {
+  return jwt.sign(
+    {
+      typ: "access",
+      rol: usuario.rol ?? null,
+      rol_id: usuario.rol_id ? String(usuario.rol_id) : null,
+      userId: usuario.userId ?? null,
+    },
+    secret(),
+    { subject: String(usuario._id), expiresIn: ACCESS_TTL }
+  );
+}
+
+// El refresh lleva un jti que se guarda en "sesiones" para poder revocarlo/rotarlo
+function signRefreshToken(usuario) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ typ: "refresh" }, secret(), {
+    subject: String(usuario._id),
+    expiresIn: REFRESH_TTL,
+    jwtid: jti,
+  });
+  const { exp } = jwt.decode(token);
+  return { token, jti, expiraEn: new Date(exp * 1000) };
+}
+
+// Lanza si la firma/expiración no es válida o si el tipo no coincide
+function verifyToken(token, typ) {
+  const payload = jwt.verify(token, secret());
+  if (payload.typ !== typ) throw new Error("Tipo de token inválido");
+  return payload;
+}
+
+// ============================
+// Helpers de usuario
+// ============================
+function puedeAutenticarse(usuario) {
+  const estado = String(usuario?.estado || "activo").toLowerCase();
+  return !ESTADOS_BLOQUEADOS.includes(estado);
+}
+
+// Nunca exponer el hash de la contraseña ni el de los tokens (invitación, calendario)
+function publicUser(doc) {
+  if (!doc) return doc;
+  const { password_hash, ...rest } = doc;
+  if (rest.invitacion) {
+    const { token_hash, ...invitacion } = rest.invitacion;
+    rest.invitacion = invitacion;
+  }
+  if (rest.calendario) {
+    const { token_hash, ...calendario } = rest.calendario;
+    rest.calendario = calendario;
+  }
+  return rest;
+}
+
+module.exports = {
+  ESTADOS_BLOQUEADOS,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  puedeAutenticarse,
+  publicUser,
+};
@@ -0,0 +1,374 @@
+// lib/citas.js
+// Helpers y schemas de citas compartidos por routes/citas.js y routes/series_citas.js
+const { z } = require("zod");
+const { ObjectId } = require("mongodb");
+const { tienePermisoReq } = require("../middlewares/permisos");
+const { registrarAuditoria, actorDe } = require("./auditoria");
+const { resolverSedeId, costoEnSede, pacienteVisible } = require("./sedes");
+const {
+  validarOdontologo,
+  sumarMinutos,
+  calcularDuracion,
+  verificarCruces,
+  ESTADOS_LIBERAN_AGENDA,
+  DURACION_DEFAULT_MIN,
+  conflictosParaRespuesta,
+} = require("./agenda");
+const { notificarCita } = require("./notificaciones");
+const { publicarCita } = require("./eventos");
+const { validarRecursos } = require("./recursos");
+const { liberarPagosDeCita } = require("./pagos");
+const { parseFecha, isoLocal } = require("./zonaHoraria");
+
+// ============================
+// Helpers
+// ============================
+const toOid = (v) => {
+  try {
+    return v instanceof ObjectId ? v : new ObjectId(String(v).trim());
+  } catch {
+    return null;
+  }
+};
+
+const ESTADOS = ["Pendiente", "Confirmada", "En consulta", "Cancelada", "Completada", "No asistió"];
+
+// ============================
+// Máquina de estados
+// Pendiente -> Confirmada -> En consulta -> Completada
+// Pendiente | Confirmada -> Cancelada (motivo obligatorio)
+// Pendiente | Confirmada -> No asistió (solo desde la hora de la cita; ver lib/asistencia.js)
+// No asistió -> En consulta: corrección si el paciente sí vino (llegó tarde o no se marcó)
+// Completada y Cancelada son finales.
+// ============================
+const TRANSICIONES = {
+  Pendiente: ["Confirmada", "Cancelada", "No asistió"],
+  Confirmada: ["En consulta", "Cancelada", "No asistió"],
+  "En consulta": ["Completada"],
+  Completada: [],
+  Cancelada: [],
+  "No asistió": ["En consulta"],
+};
+
+// Sello de tiempo que deja cada estado (se fija una sola vez: no hay vuelta atrás)
+const SELLOS = {
+  Confirmada: "confirmedAt",
+  "En consulta": "startedAt",
+  Completada: "finishedAt",
+  Cancelada: "canceledAt",
+  "No asistió": "noShowAt",
+};
+
+// Estados con los que se puede crear una cita
+const ESTADOS_INICIALES = ["Pendiente", "Confirmada"];
+
+function validarTransicion(de, a, { motivo } = {}) {
+  if (!(TRANSICIONES[de] || []).includes(a)) {
+    throw Object.assign(new Error(`No se puede pasar de "${de}" a "${a}"`), { status: 409, permitidos: TRANSICIONES[de] || [] });
+  }
+  if (a === "Cancelada" && !String(motivo || "").trim()) {
+    throw Object.assign(new Error("El motivo es obligatorio para cancelar"), { status: 400 });
+  }
+}
+
+// Entrada de historial_estados
+const entradaHistorial = (req, de, a, { nota, motivo, en = new Date() } = {}) => ({
+  de,
+  a,
+  en,
+  actor: actorDe(req),
+  nota: nota?.trim() || null,
+  ...(a === "Cancelada" ? { motivo: motivo.trim() } : {}),
+});
+
+/**
+ * Update de Mongo para pasar `antes` a `a` (valida la transición).
+ * Devuelve { $set, $push } para combinar con otros cambios.
+ */
+function cambioDeEstado(req, antes, a, { nota, motivo } = {}) {
+  validarTransicion(antes.estado, a, { motivo });
+  const now = new Date();
+  if (a === "No asistió" && antes.fecha > now) {
+    throw Object.assign(new Error("La cita aún no empieza: no se puede marcar como no asistida"), { status: 409 });
+  }
+  const $set = { estado: a, [SELLOS[a]]: now, updatedAt: now };
+  if (a === "Cancelada") $set.motivo_cancelacion = motivo.trim();
+  return { $set, $push: { historial_estados: entradaHistorial(req, antes.estado, a, { nota, motivo, en: now }) } };
+}
+
+/**
+ * Aplica una transición a una cita ya leída y la audita.
+ * Filtra por el estado leído: si otro request la cambió entre medio responde 409.
+ * Si la cita vuelve a ocupar agenda (No asistió -> En consulta) se revisan cruces:
+ * su hueco pudo darse a otro paciente (opts.forzar lo deja como sobrecupo).
+ */
+async function transicionarCita(db, req, antes, a, opts = {}) {
+  const col = db.collection("citas");
+  const update = cambioDeEstado(req, antes, a, opts);
+  if (ESTADOS_LIBERAN_AGENDA.includes(antes.estado) && !ESTADOS_LIBERAN_AGENDA.includes(a)) {
+    const fin = antes.fin || sumarMinutos(antes.fecha, antes.duracion_min || DURACION_DEFAULT_MIN);
+    const cruces = await verificarCruces(db, { ...antes, fin, estado: a }, { forzar: opts.forzar, excluir: [antes._id] });
+    if (cruces) update.$set.sobrecupo = { conflictos: cruces, autorizadoPor: req.user?._id ?? null, en: new Date() };
+  }
+  const r = await col.updateOne({ _id: antes._id, estado: antes.estado }, update);
+  if (r.matchedCount === 0) {
+    throw Object.assign(new Error("La cita cambió de estado; vuelve a cargarla"), { status: 409 });
+  }
+  const despues = await col.findOne({ _id: antes._id });
+  await registrarAuditoria(db, req, { entidad: "citas", entidad_id: antes._id, accion: "update", antes, despues });
+  await liberarPagosDeCita(db, req, despues);
+  await notificarCita(db, antes, despues);
+  await publicarCita(db, antes, despues);
+  return despues;
+}
+
+// Fechas sin zona ("2025-03-04T10:30") se interpretan en la zona de la clínica
+const parseDateStrict = (v) => {
+  const d = parseFecha(v);
+  if (!d) throw new Error("fecha inválida");
+  return d;
+};
+
+const asNumber = (v) => {
+  const n = typeof v === "string" ? Number(v) : v;
+  if (Number.isNaN(n)) throw new Error("valor numérico inválido");
+  return n;
+};
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+// Quién y cuándo fijó un precio a mano
+const sello = (req) => ({ por: actorDe(req), en: new Date() });
+
+/**
+ * Convierte los procedimientos recibidos en líneas ligadas al catálogo:
+ * - se buscan por procedimiento_id (o por nombre exacto, para clientes antiguos)
+ * - nombre y precio salen del catálogo (precio de la sede); los inactivos se rechazan
+ * - el precio queda congelado en la cita (costo_catalogo)
+ * - un costo_unitario distinto al del catálogo es un override: queda en precio_manual
+ * `previos` son las líneas actuales de la cita: las que siguen conservan su precio
+ * (y se aceptan aunque el procedimiento se haya desactivado después).
+ * `porItem` (alineado con items, null = línea nueva) empareja cada ítem con su línea
+ * anterior en vez de buscarla por procedimiento: lo usan los planes, que pueden
+ * repetir un procedimiento con precios distintos.
+ */
+async function resolverProcedimientos(db, req, items, sedeId, { previos = [], porItem = null } = {}) {
+  const list = Array.isArray(items) ? items : [];
+  if (!list.length) return [];
+
+  const ids = list.map((p) => p.procedimiento_id && toOid(p.procedimiento_id)).filter(Boolean);
+  const nombres = list.filter((p) => !p.procedimiento_id).map((p) => String(p.nombre).trim());
+  const catalogo = await db.collection("procedimientos")
+    .find({ $or: [{ _id: { $in: ids } }, { tipo_procedimiento: { $in: nombres } }] })
+    .toArray();
+  const porId = new Map(catalogo.map((c) => [String(c._id), c]));
+  const porNombre = new Map(catalogo.map((c) => [c.tipo_procedimiento, c]));
+  const previo = new Map(previos.filter((p) => p.procedimiento_id).map((p) => [String(p.procedimiento_id), p]));
+
+  return list.map((p, i) => {
+    const cat = p.procedimiento_id ? porId.get(String(p.procedimiento_id)) : porNombre.get(String(p.nombre).trim());
+    if (!cat) throw httpError(400, `Procedimiento no encontrado en el catálogo: ${p.procedimiento_id || p.nombre}`);
+    // Con porItem, la línea anterior solo cuenta si el ítem sigue siendo el mismo procedimiento
+    const ant = porItem
+      ? (porItem[i] && String(porItem[i].procedimiento_id) === String(cat._id) ? porItem[i] : null)
+      : previo.get(String(cat._id));
+    if (cat.activo === false && !ant) throw httpError(400, `Procedimiento inactivo: ${cat.tipo_procedimiento}`);
+
+    const costoCatalogo = ant ? ant.costo_catalogo ?? ant.costo_unitario : costoEnSede(cat, sedeId);
+    const linea = {
+      procedimiento_id: cat._id,
+      nombre: cat.tipo_procedimiento,
+      costo_unitario: costoCatalogo,
+      costo_catalogo: costoCatalogo,
+      cantidad: p.cantidad ?? 1,
+    };
+    if (p.costo_unitario == null) {
+      if (ant?.precio_manual) Object.assign(linea, { costo_unitario: ant.costo_unitario, precio_manual: ant.precio_manual });
+    } else if (p.costo_unitario !== costoCatalogo) {
+      linea.costo_unitario = p.costo_unitario;
+      linea.precio_manual = ant?.precio_manual && ant.costo_unitario === p.costo_unitario ? ant.precio_manual : sello(req);
+    }
+    return linea;
+  });
+}
+
+const computeTotal = (procs) =>
+  (procs || []).reduce((acc, p) => acc + (p.costo_unitario * (p.cantidad ?? 1)), 0);
+
+// Total fijado a mano (distinto de la suma de las líneas): null si coincide
+const totalManual = (req, total, calculado) => (total === calculado ? null : { calculado, ...sello(req) });
+
+// Respuesta de error común; los 409 por cruce de agenda incluyen las citas en conflicto
+// (sin los datos de las de sedes que quien llama no ve)
+const sendError = (res, e) => {
+  const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+  return res.status(e.status || 400).json({
+    ok: false,
+    error: msg,
+    ...(e.conflictos ? { conflictos: conflictosParaRespuesta(res.req, e.conflictos) } : {}),
+    ...(e.permitidos ? { permitidos: e.permitidos } : {}),
+  });
+};
+
+// "forzar" (sobrecupo) exige un permiso adicional
+const assertPuedeForzar = (req, forzar) => {
+  if (forzar && !tienePermisoReq(req, "citas:sobrecupo")) {
+    throw Object.assign(new Error("Permiso requerido: citas:sobrecupo"), { status: 403 });
+  }
+};
+
+// ============================
+// Schemas (Zod)
+// ============================
+// Línea de procedimiento: referencia al catálogo; costo_unitario solo para fijar un precio a mano
+const Proc = z.object({
+  procedimiento_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  nombre: z.string().min(1).optional(), // sin procedimiento_id se busca por nombre en el catálogo
+  costo_unitario: z.preprocess((v) => (v == null ? v : asNumber(v)), z.number().nonnegative()).optional(),
+  cantidad: z.preprocess((v) => (v == null ? 1 : Number.parseInt(v, 10)), z.number().int().min(1)).optional().default(1),
+}).refine((p) => p.procedimiento_id || p.nombre, { message: "procedimiento_id es requerido" });
+
+const CitaCreate = z.object({
+  fecha: z.preprocess(parseDateStrict, z.date()),
+  paciente_id: z.string().min(1), // cédula (string) — decisión actual
+  usuario_id: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  sede_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(), // si falta se deduce (ver resolverSedeId)
+  recurso_ids: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).max(5).optional(), // sillón, sala... de la sede
+  estado: z.enum(ESTADOS_INICIALES).optional(),
+  motivo: z.string().optional(),
+  procedimientos: z.array(Proc).optional(),
+  total: z.preprocess(asNumber, z.number().nonnegative()).optional(), // si falta: suma de los procedimientos
+  duracion_min: z.preprocess((v) => (v == null ? v : Number(v)), z.number().int().min(5).max(600)).optional(),
+  forzar: z.boolean().optional(), // sobrecupo: agenda aunque se cruce (permiso citas:sobrecupo)
+});
+
+
+// Agrega la hora de la clínica a la respuesta ("2025-03-04T10:30:00-05:00")
+const conHoraLocal = (cita) => ({ ...cita, fecha_local: isoLocal(cita.fecha), fin_local: isoLocal(cita.fin) });
+
+// Etapas de aggregate que agregan paciente_nombre a cada cita
+// (listados, detalle y exportación iCalendar)
+const CON_NOMBRE_PACIENTE = [
+  {
+    $lookup: {
+      from: "pacientes",
+      localField: "paciente_id",
+      foreignField: "_id",
+      as: "paciente",
+    },
+  },
+  { $unwind: { path: "$paciente", preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      paciente_nombre: {
+        $concat: [
+          { $ifNull: ["$paciente.nombres", ""] },
+          " ",
+          { $ifNull: ["$paciente.apellidos", ""] },
+        ],
+      },
+    },
+  },
+  { $project: { paciente: 0 } }, // no se devuelve el objeto completo del paciente
+];
+
+// ============================
+// Alta de citas
+// ============================
+
+/**
+ * El paciente debe existir y ser visible para quien agenda (404 / 403):
+ * agendarlo en una sede lo vincula a ella, así que no puede ser uno ajeno.
+ */
+async function validarPaciente(db, req, pacienteId) {
+  const id = String(pacienteId).trim();
+  if (!(await db.collection("pacientes").countDocuments({ _id: id }))) throw httpError(404, "Paciente no encontrado");
+  if (!(await pacienteVisible(db, req, id))) throw httpError(403, "Sin acceso a ese paciente");
+  return id;
+}
+
+/**
+ * Arma el documento de una cita nueva (sin insertarlo): resuelve la sede,
+ * valida el odontólogo y los recursos y calcula duración y fin.
+ * `previos` / `porItem`: líneas ya cotizadas que conservan su precio (ver resolverProcedimientos).
+ */
+async function prepararCita(db, req, parsed, { previos = [], porItem = null } = {}) {
+  const usuarioOid = toOid(parsed.usuario_id);
+  if (!usuarioOid) throw Object.assign(new Error("usuario_id inválido"), { status: 400 });
+
+  const pacienteId = await validarPaciente(db, req, parsed.paciente_id);
+  const sedeId = await resolverSedeId(db, req, parsed.sede_id);
+  await validarOdontologo(db, usuarioOid, sedeId);
+  const recursoIds = await validarRecursos(db, parsed.recurso_ids, sedeId);
+
+  const procs = await resolverProcedimientos(db, req, parsed.procedimientos, sedeId, { previos, porItem });
+  const totalCalc = computeTotal(procs);
+  const total = parsed.total ?? totalCalc;
+  const duracion = await calcularDuracion(db, { duracion_min: parsed.duracion_min, procedimientos: procs });
+
+  const now = new Date();
+  const estado = parsed.estado || "Pendiente";
+  return {
+    fecha: parsed.fecha,
+    fin: sumarMinutos(parsed.fecha, duracion.duracion_min),
+    duracion_min: duracion.duracion_min,
+    duracion_origen: duracion.origen,
+    paciente_id: pacienteId,
+    usuario_id: usuarioOid,
+    sede_id: sedeId,
+    recurso_ids: recursoIds,
+    estado,
+    ...(SELLOS[estado] ? { [SELLOS[estado]]: now } : {}),
+    historial_estados: [entradaHistorial(req, null, estado, { en: now })],
+    motivo: parsed.motivo?.trim() || null,
+    procedimientos: procs,
+    total,
+    total_manual: totalManual(req, total, totalCalc),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Inserta una cita ya preparada: revisa cruces (409 salvo sobrecupo),
+ * audita y vincula al paciente con la sede.
+ */
+async function insertarCita(db, req, doc, { forzar = false } = {}) {
+  // Cruces con otras citas del odontólogo o del paciente
+  const cruces = await verificarCruces(db, doc, { forzar });
+  if (cruces) doc.sobrecupo = { conflictos: cruces, autorizadoPor: req.user?._id ?? null, en: new Date() };
+
+  const r = await db.collection("citas").insertOne(doc);
+  await registrarAuditoria(db, req, { entidad: "citas", entidad_id: r.insertedId, accion: "create", despues: doc });
+
+  // El paciente queda vinculado a la sede donde se le agenda
+  await db.collection("pacientes").updateOne({ _id: doc.paciente_id }, { $addToSet: { sede_ids: doc.sede_id } });
+
+  // Recordatorios (y aviso si nace confirmada)
+  await notificarCita(db, null, { ...doc, _id: r.insertedId });
+  await publicarCita(db, null, { ...doc, _id: r.insertedId });
+
+  return { id: r.insertedId, doc };
+}
+
+module.exports = {
+  ESTADOS,
+  TRANSICIONES,
+  validarTransicion,
+  cambioDeEstado,
+  transicionarCita,
+  Proc,
+  CitaCreate,
+  parseDateStrict,
+  asNumber,
+  resolverProcedimientos,
+  validarPaciente,
+  computeTotal,
+  totalManual,
+  sendError,
+  assertPuedeForzar,
+  prepararCita,
+  insertarCita,
+  CON_NOMBRE_PACIENTE,
+  conHoraLocal,
+};
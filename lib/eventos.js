@@ -0,0 +1,223 @@
+// lib/eventos.js
+// Eventos de agenda en vivo (stream SSE en routes/eventos.js).
+// Cada evento se guarda en `eventos` (su _id es el id SSE, creciente) para que un
+// cliente que se reconecta con Last-Event-ID reciba lo que se perdió, y se
+// reparte en memoria a las conexiones abiertas de este proceso.
+// Con varias instancias, EVENTOS_SYNC_SEG > 0 hace que cada una lea además de
+// Mongo los eventos emitidos por las otras.
+const { EventEmitter } = require("events");
+const { ObjectId } = require("mongodb");
+const { isoLocal } = require("./zonaHoraria");
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : def);
+
+const CONFIG = {
+  retencionHoras: Math.max(num(process.env.EVENTOS_RETENCION_HORAS, 24), 1),
+  syncMs: num(process.env.EVENTOS_SYNC_SEG, 0) * 1000,
+  maxReenvio: 500, // eventos que se reenvían como máximo al reconectar
+};
+
+const ENTIDADES = ["cita", "orden_laboratorio"];
+const TIPOS = [
+  "cita.creada",
+  "cita.actualizada",
+  "cita.estado",
+  "cita.eliminada",
+  "orden_laboratorio.creada",
+  "orden_laboratorio.estado",
+  "orden_laboratorio.eliminada",
+];
+
+// Identifica a este proceso (para no reenviar lo propio al sincronizar)
+const INSTANCIA = new ObjectId().toHexString();
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const ids = (...vals) => [...new Set(vals.filter(Boolean).map(String))].map((v) => new ObjectId(v));
+
+/**
+ * Guarda y reparte un evento. Nunca lanza: un fallo aquí no debe tumbar la
+ * operación que lo originó (a lo sumo el evento no se podrá reenviar).
+ */
+async function publicar(db, { tipo, entidad_id, usuario_ids = [], sede_ids = [], data }) {
+  const ev = {
+    _id: new ObjectId(),
+    tipo,
+    entidad: tipo.split(".")[0],
+    entidad_id,
+    usuario_ids,
+    sede_ids,
+    data,
+    ts: new Date(),
+    origen: INSTANCIA,
+  };
+  try {
+    await db.collection("eventos").insertOne(ev);
+  } catch (e) {
+    console.error("[eventos] No se pudo guardar:", e.message);
+  }
+  bus.emit("evento", ev);
+  return ev;
+}
+
+// Datos de la cita que viajan en el evento (sin datos clínicos)
+const resumenCita = (c) => ({
+  _id: c._id,
+  fecha: c.fecha,
+  fin: c.fin,
+  fecha_local: isoLocal(c.fecha),
+  fin_local: isoLocal(c.fin),
+  estado: c.estado,
+  paciente_id: c.paciente_id,
+  usuario_id: c.usuario_id,
+  sede_id: c.sede_id ?? null,
+  recurso_ids: c.recurso_ids ?? [],
+  updatedAt: c.updatedAt,
+});
+
+/**
+ * Evento tras crear (antes = null), modificar o borrar (despues = null) una cita.
+ * Si cambia de odontólogo o sede el evento llega a ambos (para que la quiten de su agenda).
+ */
+async function publicarCita(db, antes, despues) {
+  const cita = despues || antes;
+  if (!cita) return null;
+  let tipo = "cita.actualizada";
+  if (!antes) tipo = "cita.creada";
+  else if (!despues) tipo = "cita.eliminada";
+  else if (antes.estado !== despues.estado) tipo = "cita.estado";
+
+  return publicar(db, {
+    tipo,
+    entidad_id: cita._id,
+    usuario_ids: ids(antes?.usuario_id, despues?.usuario_id),
+    sede_ids: ids(antes?.sede_id, despues?.sede_id),
+    data: { ...resumenCita(cita), ...(tipo === "cita.estado" ? { estado_anterior: antes.estado } : {}) },
+  });
+}
+
+// Órdenes de laboratorio: alta, cambio de estado y borrado (otras ediciones no se emiten)
+async function publicarOrdenLab(db, antes, despues) {
+  const orden = despues || antes;
+  if (!orden) return null;
+  let tipo = null;
+  if (!antes) tipo = "orden_laboratorio.creada";
+  else if (!despues) tipo = "orden_laboratorio.eliminada";
+  else if (antes.estado !== despues.estado) tipo = "orden_laboratorio.estado";
+  if (!tipo) return null;
+
+  return publicar(db, {
+    tipo,
+    entidad_id: orden._id,
+    usuario_ids: ids(orden.usuario_id),
+    sede_ids: ids(orden.sede_id),
+    data: {
+      _id: orden._id,
+      cita_id: orden.cita_id,
+      estado: orden.estado,
+      ...(tipo === "orden_laboratorio.estado" ? { estado_anterior: antes.estado } : {}),
+      usuario_id: orden.usuario_id,
+      sede_id: orden.sede_id ?? null,
+      updatedAt: orden.updatedAt,
+    },
+  });
+}
+
+// ============================
+// Suscripción
+// ============================
+// filtro: { entidades: [...], usuario_id?, sede_id?, sedes: ObjectId[] | null (null = todas) }
+
+function coincide(ev, filtro) {
+  if (!filtro.entidades.includes(ev.entidad)) return false;
+  const tiene = (lista, id) => (lista || []).some((x) => String(x) === String(id));
+  if (filtro.usuario_id && !tiene(ev.usuario_ids, filtro.usuario_id)) return false;
+  if (filtro.sede_id && !tiene(ev.sede_ids, filtro.sede_id)) return false;
+  if (filtro.sedes && !filtro.sedes.some((s) => tiene(ev.sede_ids, s))) return false;
+  return true;
+}
+
+function consulta(filtro) {
+  const q = { entidad: { $in: filtro.entidades } };
+  const and = [];
+  if (filtro.usuario_id) and.push({ usuario_ids: new ObjectId(String(filtro.usuario_id)) });
+  if (filtro.sede_id) and.push({ sede_ids: new ObjectId(String(filtro.sede_id)) });
+  if (filtro.sedes) and.push({ sede_ids: { $in: filtro.sedes } });
+  return and.length ? { ...q, $and: and } : q;
+}
+
+/**
+ * Eventos posteriores a `desdeId` que cumplen el filtro (para reanudar con Last-Event-ID).
+ * `vencido` = el id es anterior a la retención: el cliente debe recargar la agenda.
+ */
+async function eventosDesde(db, desdeId, filtro) {
+  const oid = ObjectId.isValid(String(desdeId)) ? new ObjectId(String(desdeId)) : null;
+  if (!oid) return { vencido: true, data: [] };
+
+  const limite = Date.now() - CONFIG.retencionHoras * 60 * 60 * 1000;
+  if (oid.getTimestamp().getTime() < limite) return { vencido: true, data: [] };
+
+  const data = await db.collection("eventos")
+    .find({ ...consulta(filtro), _id: { $gt: oid } })
+    .sort({ _id: 1 })
+    .limit(CONFIG.maxReenvio + 1)
+    .toArray();
+  if (data.length > CONFIG.maxReenvio) return { vencido: true, data: [] };
+  return { vencido: false, data };
+}
+
+// Devuelve la función para desuscribirse
+function suscribir(filtro, fn) {
+  const oyente = (ev) => {
+    if (coincide(ev, filtro)) fn(ev);
+  };
+  bus.on("evento", oyente);
+  return () => bus.off("evento", oyente);
+}
+
+// ============================
+// Sincronización entre instancias (opcional)
+// ============================
+let timer = null;
+let ultimo = null;
+let corriendo = false;
+
+function iniciarSync(connect) {
+  if (timer || !CONFIG.syncMs) return;
+  ultimo = new ObjectId();
+  timer = setInterval(async () => {
+    if (corriendo) return;
+    corriendo = true;
+    try {
+      const db = await connect();
+      const nuevos = await db.collection("eventos")
+        .find({ _id: { $gt: ultimo }, origen: { $ne: INSTANCIA } })
+        .sort({ _id: 1 })
+        .limit(1000)
+        .toArray();
+      for (const ev of nuevos) {
+        ultimo = ev._id;
+        bus.emit("evento", ev);
+      }
+    } catch (e) {
+      console.error("[eventos] sync:", e.message);
+    } finally {
+      corriendo = false;
+    }
+  }, CONFIG.syncMs);
+  timer.unref?.();
+}
+
+module.exports = {
+  CONFIG,
+  ENTIDADES,
+  TIPOS,
+  publicar,
+  publicarCita,
+  publicarOrdenLab,
+  coincide,
+  eventosDesde,
+  suscribir,
+  iniciarSync,
+};
@@ -0,0 +1,295 @@
+// lib/facturacion.js
+// Facturas de citas completadas y notas de crédito (colección `facturas`, campo tipo).
+// - Numeración correlativa y sin huecos por sede y tipo: el número se toma del último
+//   emitido al insertar (índice único + reintento, como el seq de auditoría), así que
+//   un fallo no consume número. Nada se borra: una factura se anula con una nota de crédito.
+// - Los datos del cliente (pacientes), del emisor (sede) y las líneas se copian al emitir.
+// - Los precios del catálogo se consideran sin impuesto; el impuesto se suma al subtotal.
+const { ObjectId } = require("mongodb");
+const { actorDe } = require("./auditoria");
+const { redondear } = require("./pagos");
+const { fechaISO } = require("./zonaHoraria");
+const { crearPdf } = require("./pdf");
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : def);
+
+const CONFIG = {
+  impuesto: {
+    nombre: process.env.FACTURA_IMPUESTO_NOMBRE || "IVA",
+    tasa: num(process.env.FACTURA_IMPUESTO_TASA, 0), // 0.15 = 15 %
+  },
+  moneda: process.env.FACTURA_MONEDA || "USD",
+  emisor: {
+    nombre: process.env.FACTURA_EMISOR_NOMBRE || "DentalFlow",
+    identificacion: process.env.FACTURA_EMISOR_ID || null, // RUC / NIT del emisor
+  },
+};
+
+const TIPOS = ["factura", "nota_credito"];
+const PREFIJO = { factura: "F", nota_credito: "NC" };
+const ESTADOS_FACTURA = ["emitida", "anulada"];
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+const numeroCompleto = (tipo, numero) => `${PREFIJO[tipo]}-${String(numero).padStart(6, "0")}`;
+
+// 2025-03-04 -> 04/03/2025 (día en la zona de la clínica)
+const fechaCorta = (d) => fechaISO(d).split("-").reverse().join("/");
+
+const importe = (n) => redondear(n).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+
+/**
+ * Líneas de la factura desde los procedimientos de las citas. Si el total de la
+ * cita se fijó a mano, la diferencia con los procedimientos va como línea de ajuste.
+ */
+function lineasDeCitas(citas) {
+  const lineas = [];
+  for (const c of citas) {
+    const procs = c.procedimientos || [];
+    let suma = 0;
+    for (const p of procs) {
+      const cantidad = p.cantidad ?? 1;
+      const linea = {
+        cita_id: c._id,
+        procedimiento_id: p.procedimiento_id ?? null,
+        descripcion: p.nombre,
+        cantidad,
+        precio_unitario: redondear(p.costo_unitario),
+        importe: redondear(p.costo_unitario * cantidad),
+      };
+      suma += linea.importe;
+      lineas.push(linea);
+    }
+    const ajuste = redondear((c.total ?? suma) - suma);
+    if (ajuste !== 0) {
+      lineas.push({
+        cita_id: c._id,
+        procedimiento_id: null,
+        descripcion: procs.length ? `Ajuste de precio (cita del ${fechaCorta(c.fecha)})` : `Atención odontológica (${fechaCorta(c.fecha)})`,
+        cantidad: 1,
+        precio_unitario: ajuste,
+        importe: ajuste,
+      });
+    }
+  }
+  return lineas;
+}
+
+function totales(lineas, tasa = CONFIG.impuesto.tasa) {
+  const subtotal = redondear(lineas.reduce((acc, l) => acc + l.importe, 0));
+  const impuesto = { nombre: CONFIG.impuesto.nombre, tasa, monto: redondear(subtotal * tasa) };
+  return { subtotal, impuesto, total: redondear(subtotal + impuesto.monto) };
+}
+
+const cliente = (p) => ({
+  identificacion: p._id,
+  nombre: `${p.nombres ?? ""} ${p.apellidos ?? ""}`.trim(),
+  direccion: p.direccion ?? null,
+  telefono: p.telefono ?? null,
+  correo: p.correo ?? null,
+});
+
+const emisor = (sede) => ({
+  ...CONFIG.emisor,
+  sede: sede.nombre,
+  direccion: sede.direccion ?? null,
+  telefono: sede.telefono ?? null,
+});
+
+/**
+ * Inserta el documento con el siguiente número de su sede y tipo.
+ * Reintenta si otra emisión tomó el mismo número (índice único).
+ */
+async function insertarNumerado(db, doc) {
+  const col = db.collection("facturas");
+  for (let intento = 0; intento < 10; intento++) {
+    const [ultima] = await col
+      .find({ sede_id: doc.sede_id, tipo: doc.tipo }, { projection: { numero: 1 } })
+      .sort({ numero: -1 })
+      .limit(1)
+      .toArray();
+    const numero = (ultima?.numero || 0) + 1;
+    const numerado = { ...doc, numero, numero_completo: numeroCompleto(doc.tipo, numero) };
+    try {
+      await col.insertOne(numerado);
+      return numerado;
+    } catch (e) {
+      if (e?.code === 11000) continue;
+      throw e;
+    }
+  }
+  throw httpError(503, "No se pudo asignar el número; reintenta");
+}
+
+/**
+ * Emite una factura para citas Completadas de un mismo paciente y sede que aún no
+ * estén facturadas. Las citas se marcan con factura_id antes de numerar (si otra
+ * factura las tomó primero, no se emite nada).
+ */
+async function emitirFactura(db, req, { citas, paciente, sede, notas = null }) {
+  const _id = new ObjectId();
+  const ids = citas.map((c) => c._id);
+  const colCitas = db.collection("citas");
+
+  const r = await colCitas.updateMany({ _id: { $in: ids }, factura_id: null }, { $set: { factura_id: _id } });
+  const liberar = () => colCitas.updateMany({ _id: { $in: ids }, factura_id: _id }, { $unset: { factura_id: "" } });
+  if (r.modifiedCount !== ids.length) {
+    await liberar();
+    throw httpError(409, "Alguna de las citas ya fue facturada");
+  }
+
+  const lineas = lineasDeCitas(citas);
+  const now = new Date();
+  try {
+    return await insertarNumerado(db, {
+      _id,
+      tipo: "factura",
+      sede_id: sede._id,
+      fecha: now,
+      paciente_id: paciente._id,
+      cliente: cliente(paciente),
+      emisor: emisor(sede),
+      cita_ids: ids,
+      lineas,
+      ...totales(lineas),
+      moneda: CONFIG.moneda,
+      notas,
+      estado: "emitida",
+      emitida_por: actorDe(req),
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (e) {
+    await liberar();
+    throw e;
+  }
+}
+
+/**
+ * Anula una factura emitiendo una nota de crédito por el total (numeración propia).
+ * Las citas quedan libres para volver a facturarse.
+ */
+async function emitirNotaCredito(db, req, factura, motivo) {
+  const col = db.collection("facturas");
+  const now = new Date();
+
+  // Se marca primero para que dos anulaciones simultáneas no emitan dos notas
+  const r = await col.updateOne(
+    { _id: factura._id, tipo: "factura", estado: "emitida" },
+    { $set: { estado: "anulada", anulada: { por: actorDe(req), en: now, motivo }, updatedAt: now } }
+  );
+  if (r.matchedCount === 0) throw httpError(409, "La factura ya estaba anulada");
+
+  let nota;
+  try {
+    nota = await insertarNumerado(db, {
+      _id: new ObjectId(),
+      tipo: "nota_credito",
+      sede_id: factura.sede_id,
+      fecha: now,
+      paciente_id: factura.paciente_id,
+      cliente: factura.cliente,
+      emisor: factura.emisor,
+      factura_id: factura._id,
+      factura_numero: factura.numero_completo,
+      motivo,
+      cita_ids: factura.cita_ids,
+      lineas: factura.lineas,
+      subtotal: factura.subtotal,
+      impuesto: factura.impuesto,
+      total: factura.total,
+      moneda: factura.moneda,
+      estado: "emitida",
+      emitida_por: actorDe(req),
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (e) {
+    await col.updateOne({ _id: factura._id }, { $set: { estado: "emitida", updatedAt: new Date() }, $unset: { anulada: "" } });
+    throw e;
+  }
+
+  await col.updateOne({ _id: factura._id }, { $set: { nota_credito_id: nota._id } });
+  await db.collection("citas").updateMany({ factura_id: factura._id }, { $unset: { factura_id: "" } });
+  return nota;
+}
+
+// ============================
+// PDF
+// ============================
+const MARGEN = 40;
+const COL = { cantidad: 360, precio: 455, importe: 555 };
+const ALTO_LINEA = 16;
+
+function facturaPdf(f) {
+  const doc = crearPdf();
+  const titulo = f.tipo === "nota_credito" ? "NOTA DE CRÉDITO" : "FACTURA";
+  let y = 0;
+
+  const cabecera = () => {
+    doc.pagina();
+    doc.texto(MARGEN, 60, f.emisor?.nombre || "", { size: 16, bold: true });
+    if (f.emisor?.identificacion) doc.texto(MARGEN, 76, `Identificación: ${f.emisor.identificacion}`, { size: 9 });
+    doc.texto(MARGEN, 88, [f.emisor?.sede, f.emisor?.direccion, f.emisor?.telefono].filter(Boolean).join(" · "), { size: 9 });
+    doc.texto(COL.importe, 60, titulo, { size: 14, bold: true, alinear: "derecha" });
+    doc.texto(COL.importe, 76, `Nº ${f.numero_completo}`, { size: 10, bold: true, alinear: "derecha" });
+    doc.texto(COL.importe, 88, `Fecha: ${fechaCorta(f.fecha)}`, { size: 9, alinear: "derecha" });
+    doc.linea(MARGEN, 100, COL.importe, 100);
+
+    doc.texto(MARGEN, 118, "Cliente", { size: 9, bold: true });
+    doc.texto(MARGEN, 132, `${f.cliente?.nombre || ""} · Identificación: ${f.cliente?.identificacion || ""}`, { size: 10 });
+    doc.texto(MARGEN, 146, [f.cliente?.direccion, f.cliente?.telefono, f.cliente?.correo].filter(Boolean).join(" · "), { size: 9 });
+    if (f.tipo === "nota_credito") {
+      doc.texto(MARGEN, 162, `Anula la factura ${f.factura_numero}. Motivo: ${f.motivo}`, { size: 9 });
+    }
+
+    y = 186;
+    doc.texto(MARGEN, y, "Descripción", { size: 9, bold: true });
+    doc.texto(COL.cantidad, y, "Cant.", { size: 9, bold: true, alinear: "derecha" });
+    doc.texto(COL.precio, y, "P. unitario", { size: 9, bold: true, alinear: "derecha" });
+    doc.texto(COL.importe, y, "Importe", { size: 9, bold: true, alinear: "derecha" });
+    doc.linea(MARGEN, y + 5, COL.importe, y + 5);
+    y += ALTO_LINEA + 4;
+  };
+
+  cabecera();
+  for (const l of f.lineas || []) {
+    if (y > doc.alto - 120) cabecera();
+    doc.texto(MARGEN, y, String(l.descripcion).slice(0, 60), { size: 9 });
+    doc.texto(COL.cantidad, y, String(l.cantidad), { size: 9, alinear: "derecha" });
+    doc.texto(COL.precio, y, importe(l.precio_unitario), { size: 9, alinear: "derecha" });
+    doc.texto(COL.importe, y, importe(l.importe), { size: 9, alinear: "derecha" });
+    y += ALTO_LINEA;
+  }
+
+  doc.linea(COL.cantidad - 40, y, COL.importe, y);
+  y += ALTO_LINEA;
+  const fila = (etiqueta, valor, bold = false) => {
+    doc.texto(COL.precio, y, etiqueta, { size: 10, bold, alinear: "derecha" });
+    doc.texto(COL.importe, y, valor, { size: 10, bold, alinear: "derecha" });
+    y += ALTO_LINEA;
+  };
+  fila("Subtotal", importe(f.subtotal));
+  fila(`${f.impuesto?.nombre || "Impuesto"} ${redondear((f.impuesto?.tasa || 0) * 100)}%`, importe(f.impuesto?.monto));
+  fila(`Total ${f.moneda || ""}`.trim(), importe(f.total), true);
+
+  if (f.estado === "anulada") {
+    doc.texto(MARGEN, y + 20, "ANULADA" + (f.anulada?.motivo ? `: ${f.anulada.motivo}` : ""), { size: 11, bold: true });
+  }
+  if (f.notas) doc.texto(MARGEN, y + 40, String(f.notas).slice(0, 100), { size: 9 });
+
+  return doc.buffer();
+}
+
+module.exports = {
+  CONFIG,
+  TIPOS,
+  ESTADOS_FACTURA,
+  numeroCompleto,
+  lineasDeCitas,
+  totales,
+  insertarNumerado,
+  emitirFactura,
+  emitirNotaCredito,
+  facturaPdf,
+};
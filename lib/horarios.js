@@ -0,0 +1,128 @@
+// lib/horarios.js
+// Horarios de trabajo (plantilla semanal + descansos), bloqueos de agenda
+// (vacaciones, bloqueos puntuales, feriados) y búsqueda de huecos libres.
+// Las horas "HH:MM" y los días se interpretan en la zona de la clínica (CLINIC_TZ).
+const { ObjectId } = require("mongodb");
+const { ESTADOS_LIBERAN_AGENDA, DURACION_DEFAULT_MIN } = require("./agenda");
+const { inicioDelDia, diaSiguiente, aLaHora, diaSemana } = require("./zonaHoraria");
+
+const toOid = (v) => {
+  if (v instanceof ObjectId) return v;
+  try {
+    return new ObjectId(String(v));
+  } catch {
+    return null;
+  }
+};
+
+// "08:30" -> 510
+const minutosDe = (hora) => {
+  const [h, m] = String(hora).split(":").map(Number);
+  return h * 60 + m;
+};
+
+// ============================
+// Álgebra de intervalos [inicio, fin)
+// ============================
+
+// Quita de `libres` todos los tramos de `ocupados`
+function restarIntervalos(libres, ocupados) {
+  let out = libres;
+  for (const o of ocupados) {
+    const next = [];
+    for (const l of out) {
+      if (o.fin <= l.inicio || o.inicio >= l.fin) {
+        next.push(l);
+        continue;
+      }
+      if (o.inicio > l.inicio) next.push({ ...l, fin: o.inicio });
+      if (o.fin < l.fin) next.push({ ...l, inicio: o.fin });
+    }
+    out = next;
+  }
+  return out;
+}
+
+// Tramos de trabajo de un día según la plantilla (sin descansos)
+function franjasDelDia(horario, dia, sedeId = null) {
+  const wd = diaSemana(dia);
+  return (horario?.semana || [])
+    .filter((f) => f.dia === wd)
+    .filter((f) => !sedeId || !f.sede_id || String(f.sede_id) === String(sedeId))
+    .map((f) => ({ inicio: aLaHora(dia, f.inicio), fin: aLaHora(dia, f.fin), sede_id: f.sede_id ?? sedeId ?? null }));
+}
+
+function descansosDelDia(horario, dia) {
+  const wd = diaSemana(dia);
+  return (horario?.descansos || [])
+    .filter((d) => d.dia == null || d.dia === wd)
+    .map((d) => ({ inicio: aLaHora(dia, d.inicio), fin: aLaHora(dia, d.fin) }));
+}
+
+// Parte los tramos libres en huecos de `duracion` avanzando de a `paso` minutos
+function generarSlots(libres, duracionMin, pasoMin, desde = null) {
+  const dur = duracionMin * 60 * 1000;
+  const paso = pasoMin * 60 * 1000;
+  const slots = [];
+  for (const l of libres) {
+    for (let t = l.inicio.getTime(); t + dur <= l.fin.getTime(); t += paso) {
+      if (desde && t < desde.getTime()) continue;
+      slots.push({ inicio: new Date(t), fin: new Date(t + dur), sede_id: l.sede_id ?? null });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Bloqueos que tocan [desde, hasta) para un usuario.
+ * Los bloqueos sin usuario_id son de toda la clínica (feriados, cierres),
+ * opcionalmente restringidos a una sede.
+ */
+async function bloqueosEnRango(db, usuarioId, desde, hasta, sedeId = null) {
+  const quien = [{ usuario_id: toOid(usuarioId) }, { usuario_id: null }];
+  const q = { desde: { $lt: hasta }, hasta: { $gt: desde }, $or: quien };
+  const rows = await db.collection("bloqueos_agenda").find(q).toArray();
+  return rows.filter((b) => !b.sede_id || !sedeId || String(b.sede_id) === String(sedeId));
+}
+
+/**
+ * Huecos reservables de un odontólogo entre `desde` y `hasta`.
+ * Plantilla semanal - descansos - bloqueos - citas que ocupan agenda.
+ */
+async function disponibilidadUsuario(db, { usuario_id, horario, desde, hasta, duracion_min, paso_min, sede_id = null }) {
+  const usuarioOid = toOid(usuario_id);
+  const duracion = duracion_min || DURACION_DEFAULT_MIN;
+  const paso = paso_min || duracion;
+
+  const [bloqueos, citas] = await Promise.all([
+    bloqueosEnRango(db, usuarioOid, desde, hasta, sede_id),
+    db.collection("citas")
+      .find(
+        { usuario_id: usuarioOid, fecha: { $lt: hasta }, fin: { $gt: desde }, estado: { $nin: ESTADOS_LIBERAN_AGENDA } },
+        { projection: { fecha: 1, fin: 1 } }
+      )
+      .toArray(),
+  ]);
+  const ocupados = [
+    ...bloqueos.map((b) => ({ inicio: b.desde, fin: b.hasta })),
+    ...citas.map((c) => ({ inicio: c.fecha, fin: c.fin })),
+  ];
+
+  const slots = [];
+  for (let dia = inicioDelDia(desde); dia < hasta; dia = diaSiguiente(dia)) {
+    let libres = restarIntervalos(franjasDelDia(horario, dia, sede_id), descansosDelDia(horario, dia));
+    libres = restarIntervalos(libres, ocupados);
+    slots.push(...generarSlots(libres, duracion, paso, desde));
+  }
+  return slots.filter((s) => s.fin <= hasta);
+}
+
+module.exports = {
+  minutosDe,
+  restarIntervalos,
+  franjasDelDia,
+  descansosDelDia,
+  generarSlots,
+  bloqueosEnRango,
+  disponibilidadUsuario,
+};
@@ -0,0 +1,149 @@
+// lib/ical.js
+// Exportación de citas a iCalendar (RFC 5545): feed por odontólogo con token
+// secreto (para suscribirse desde el calendario del teléfono) y .ics por cita.
+const crypto = require("crypto");
+
+const PRODID = "-//DentalFlow//Agenda//ES";
+// Ventana del feed: desde hace N días hasta dentro de M días
+const FEED_DIAS_ATRAS = Number(process.env.ICAL_DIAS_ATRAS) || 30;
+const FEED_DIAS_ADELANTE = Number(process.env.ICAL_DIAS_ADELANTE) || 180;
+
+const hashToken = (t) => crypto.createHash("sha256").update(String(t)).digest("hex");
+
+// Estado de la cita -> STATUS del VEVENT. Las canceladas (y las no asistidas) se
+// publican como CANCELLED (no se quitan) para que el calendario del cliente las retire.
+const STATUS_ICAL = {
+  Pendiente: "TENTATIVE",
+  Confirmada: "CONFIRMED",
+  "En consulta": "CONFIRMED",
+  Completada: "CONFIRMED",
+  Cancelada: "CANCELLED",
+  "No asistió": "CANCELLED",
+};
+
+// Etapas de aggregate: nombre de la sede para LOCATION
+const CON_NOMBRE_SEDE = [
+  { $lookup: { from: "sedes", localField: "sede_id", foreignField: "_id", as: "sede" } },
+  { $addFields: { sede_nombre: { $first: "$sede.nombre" } } },
+  { $project: { sede: 0 } },
+];
+
+// ============================
+// Formato
+// ============================
+
+// 2025-03-04T15:00:00.000Z -> 20250304T150000Z
+const fechaIcal = (d) => new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapar = (s) =>
+  String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Líneas de más de 75 octetos se parten con CRLF + espacio (sin cortar caracteres UTF-8)
+function plegar(linea) {
+  if (Buffer.byteLength(linea) <= 75) return linea;
+  const out = [];
+  let actual = "";
+  for (const ch of linea) {
+    const limite = out.length ? 74 : 75; // las continuaciones llevan el espacio inicial
+    if (Buffer.byteLength(actual + ch) > limite) {
+      out.push(actual);
+      actual = "";
+    }
+    actual += ch;
+  }
+  out.push(actual);
+  return out.join("\r\n ");
+}
+
+/**
+ * VEVENT de una cita. Espera `paciente_nombre` (mismo $lookup que GET /api/citas).
+ * SEQUENCE = segundos entre createdAt y updatedAt: crece con cada cambio, así
+ * la versión nueva gana sobre la que ya tiene el calendario.
+ */
+function eventoDeCita(cita) {
+  const actualizado = cita.updatedAt || cita.createdAt || new Date();
+  const creado = cita.createdAt || actualizado;
+  const paciente = String(cita.paciente_nombre || "").trim() || cita.paciente_id;
+  const descripcion = [
+    cita.motivo ? `Motivo: ${cita.motivo}` : null,
+    `Estado: ${cita.estado}`,
+    cita.estado === "Cancelada" && cita.motivo_cancelacion ? `Motivo de cancelación: ${cita.motivo_cancelacion}` : null,
+  ].filter(Boolean).join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:cita-${cita._id}@dentalflow`,
+    `DTSTAMP:${fechaIcal(actualizado)}`,
+    `LAST-MODIFIED:${fechaIcal(actualizado)}`,
+    `SEQUENCE:${Math.max(0, Math.floor((new Date(actualizado) - new Date(creado)) / 1000))}`,
+    `DTSTART:${fechaIcal(cita.fecha)}`,
+    `DTEND:${fechaIcal(cita.fin || cita.fecha)}`,
+    `SUMMARY:${escapar(`${STATUS_ICAL[cita.estado] === "CANCELLED" ? `[${cita.estado}] ` : ""}Cita: ${paciente}`)}`,
+    `DESCRIPTION:${escapar(descripcion)}`,
+    `STATUS:${STATUS_ICAL[cita.estado] || "CONFIRMED"}`,
+    ...(cita.sede_nombre ? [`LOCATION:${escapar(cita.sede_nombre)}`] : []),
+    "END:VEVENT",
+  ];
+}
+
+// Documento VCALENDAR completo (CRLF, líneas plegadas)
+function calendario(citas, { nombre = "DentalFlow" } = {}) {
+  const lineas = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapar(nombre)}`,
+    ...citas.flatMap(eventoDeCita),
+    "END:VCALENDAR",
+  ];
+  return lineas.map(plegar).join("\r\n") + "\r\n";
+}
+
+// ============================
+// Token del feed
+// ============================
+
+/**
+ * Token nuevo para usuarios.calendario. El valor en claro solo se devuelve aquí;
+ * se guarda su hash (rotar = generar otro: el anterior deja de servir).
+ */
+function generarTokenCalendario(req) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return {
+    token,
+    calendario: { token_hash: hashToken(token), creadoEn: new Date(), creadoPor: req?.user?._id ?? null },
+  };
+}
+
+// URL de suscripción: ICAL_URL_BASE o el host de la request
+function urlCalendario(req, token) {
+  const base = process.env.ICAL_URL_BASE || `${req.protocol}://${req.get("host")}/ical`;
+  return `${base.replace(/\/$/, "")}/${encodeURIComponent(token)}.ics`;
+}
+
+async function buscarPorTokenCalendario(db, token) {
+  if (!token) return null;
+  return db.collection("usuarios").findOne(
+    { "calendario.token_hash": hashToken(token) },
+    { projection: { nombres: 1, apellidos: 1, estado: 1 } }
+  );
+}
+
+module.exports = {
+  FEED_DIAS_ATRAS,
+  FEED_DIAS_ADELANTE,
+  STATUS_ICAL,
+  CON_NOMBRE_SEDE,
+  fechaIcal,
+  eventoDeCita,
+  calendario,
+  generarTokenCalendario,
+  urlCalendario,
+  buscarPorTokenCalendario,
+};
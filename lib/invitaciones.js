@@ -0,0 +1,43 @@
+// lib/invitaciones.js
+const crypto = require("crypto");
+
+const TTL_HORAS = Number(process.env.INVITACION_TTL_HORAS) || 72;
+
+const hashToken = (t) => crypto.createHash("sha256").update(String(t)).digest("hex");
+
+/**
+ * Crea una invitación nueva. El token en claro solo se devuelve aquí;
+ * en usuarios.invitacion se guarda su hash.
+ */
+function generarInvitacion(req, { reenvios = 0 } = {}) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const invitacion = {
+    estado: "pendiente",
+    token_hash: hashToken(token),
+    expiraEn: new Date(now.getTime() + TTL_HORAS * 60 * 60 * 1000),
+    enviadaEn: now,
+    enviadaPor: req?.user?._id ?? null,
+    reenvios,
+  };
+  return { token, invitacion };
+}
+
+// Link para el correo de invitación (si hay INVITACION_URL_BASE)
+function urlInvitacion(token) {
+  const base = process.env.INVITACION_URL_BASE;
+  return base ? `${base}${base.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}` : null;
+}
+
+// Busca al usuario con una invitación pendiente y vigente para ese token
+async function buscarPorToken(db, token) {
+  if (!token) return null;
+  return db.collection("usuarios").findOne({
+    "invitacion.token_hash": hashToken(token),
+    "invitacion.estado": "pendiente",
+    "invitacion.expiraEn": { $gt: new Date() },
+    estado: "invitado",
+  });
+}
+
+module.exports = { generarInvitacion, urlInvitacion, buscarPorToken };
@@ -0,0 +1,115 @@
+// lib/listaEspera.js
+// Lista de espera: pacientes que quieren adelantar su cita y aceptan un hueco
+// que se libere (cancelación). Cada entrada guarda sus preferencias: odontólogo,
+// sede, días de la semana y franjas horarias "HH:MM" (zona de la clínica).
+const { ObjectId } = require("mongodb");
+const { tienePermisoReq } = require("../middlewares/permisos");
+const { buscarConflictos } = require("./agenda");
+const { minutosDe } = require("./horarios");
+const { diaSemana, minutosDelDia } = require("./zonaHoraria");
+const { sedesPermitidas } = require("./sedes");
+
+const URGENCIAS = ["baja", "media", "alta"];
+const ESTADOS_ESPERA = ["activa", "agendada", "retirada"];
+
+const toOid = (v) => {
+  if (v instanceof ObjectId) return v;
+  try {
+    return new ObjectId(String(v));
+  } catch {
+    return null;
+  }
+};
+
+const mismoId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Hueco que deja libre una cita cancelada
+const huecoDeCita = (cita) => ({
+  fecha: cita.fecha,
+  fin: cita.fin,
+  usuario_id: cita.usuario_id,
+  sede_id: cita.sede_id ?? null,
+  recurso_ids: cita.recurso_ids ?? [], // sillón/sala que quedan libres con ella
+});
+
+/**
+ * ¿La entrada acepta el hueco? Preferencias vacías = cualquiera.
+ * La duración que necesita el paciente debe caber en el hueco.
+ */
+function encajaEnHueco(entrada, hueco) {
+  if (entrada.usuario_id && !mismoId(entrada.usuario_id, hueco.usuario_id)) return false;
+  if (entrada.sede_id && hueco.sede_id && !mismoId(entrada.sede_id, hueco.sede_id)) return false;
+  if (entrada.vigente_hasta && entrada.vigente_hasta < hueco.fecha) return false;
+
+  const duracion = (hueco.fin - hueco.fecha) / 60000;
+  if (entrada.duracion_min && entrada.duracion_min > duracion) return false;
+
+  if (entrada.dias?.length && !entrada.dias.includes(diaSemana(hueco.fecha))) return false;
+  if (entrada.franjas?.length) {
+    const ini = minutosDelDia(hueco.fecha);
+    const fin = ini + (entrada.duracion_min || duracion);
+    if (!entrada.franjas.some((f) => minutosDe(f.inicio) <= ini && fin <= minutosDe(f.fin))) return false;
+  }
+  return true;
+}
+
+/**
+ * Orden de prioridad:
+ * 1) urgencia (alta > media > baja)
+ * 2) quien pidió específicamente ese odontólogo
+ * 3) antigüedad en la lista
+ */
+function compararCandidatos(a, b) {
+  const u = URGENCIAS.indexOf(b.urgencia) - URGENCIAS.indexOf(a.urgencia);
+  if (u) return u;
+  const p = Number(!!b.usuario_id) - Number(!!a.usuario_id);
+  if (p) return p;
+  return a.createdAt - b.createdAt;
+}
+
+/**
+ * Pacientes en espera que encajan en el hueco, ordenados por prioridad.
+ * Descarta a quienes ya tienen otra cita que se cruza con ese horario.
+ */
+async function candidatosParaHueco(db, hueco, { limit = 10, sedes = null } = {}) {
+  const q = {
+    estado: "activa",
+    $and: [{ $or: [{ usuario_id: null }, { usuario_id: toOid(hueco.usuario_id) }] }],
+  };
+  // Como en encajaEnHueco: un hueco sin sede no descarta por sede
+  if (hueco.sede_id) q.$and.push({ $or: [{ sede_id: null }, { sede_id: toOid(hueco.sede_id) }] });
+  if (sedes) q.$and.push({ $or: [{ sede_id: null }, { sede_id: { $in: sedes } }] });
+
+  const entradas = (await db.collection("lista_espera").find(q).toArray())
+    .filter((e) => encajaEnHueco(e, hueco))
+    .sort(compararCandidatos);
+
+  const out = [];
+  for (const e of entradas) {
+    if (out.length >= limit) break;
+    const cruces = await buscarConflictos(db, { fecha: hueco.fecha, fin: hueco.fin, paciente_id: e.paciente_id });
+    if (cruces.length) continue;
+    out.push({ ...e, posicion: out.length + 1 });
+  }
+  return out;
+}
+
+/**
+ * Sugerencias para la respuesta de una cancelación (vacío si quien cancela
+ * no puede ver la lista de espera).
+ */
+async function sugerenciasTrasCancelar(db, req, cita, { limit = 5 } = {}) {
+  if (!cita?.fin || !tienePermisoReq(req, "lista_espera:read")) return [];
+  if (cita.fin <= new Date()) return [];
+  return candidatosParaHueco(db, huecoDeCita(cita), { limit, sedes: sedesPermitidas(req) });
+}
+
+module.exports = {
+  URGENCIAS,
+  ESTADOS_ESPERA,
+  huecoDeCita,
+  encajaEnHueco,
+  compararCandidatos,
+  candidatosParaHueco,
+  sugerenciasTrasCancelar,
+};
@@ -1,7 +1,9 @@
 // lib/mongo.js
 const { MongoClient, ObjectId } = require("mongodb");
 const dotenv = require("dotenv");
-const { ensureRolesSeed } = require("./roles");
+const { ensureRolesSeed, ensurePermisosSeed } = require("./roles");
+const { ensureSedesSeed } = require("./sedes");
+const { ensureDuracionesSeed } = require("./agenda");
 dotenv.config();
 
 let client;
@@ -27,19 +29,87 @@ async function ensureBaseIndexes(db) {
   // ROLES  <-- NUEVO índice único
   await createIndexSafe(db.collection("roles"), { nombre: 1 }, { name: "uq_roles_nombre", unique: true });
 
+  // SEDES
+  await createIndexSafe(db.collection("sedes"), { nombre: 1 }, { name: "uq_sedes_nombre", unique: true });
+
   // USUARIOS
   await createIndexSafe(db.collection("usuarios"), { correo: 1 }, { name: "uq_usuarios_correo", unique: true });
   await createIndexSafe(db.collection("usuarios"), { userId: 1 }, { name: "ix_usuarios_userId" });
   await createIndexSafe(db.collection("usuarios"), { rol: 1 }, { name: "ix_usuarios_rol" });
   await createIndexSafe(db.collection("usuarios"), { rol_id: 1 }, { name: "ix_usuarios_rol_id" });
+  await createIndexSafe(db.collection("usuarios"), { sede_ids: 1 }, { name: "ix_usuarios_sedes" });
+  await createIndexSafe(db.collection("usuarios"), { "invitacion.token_hash": 1 }, { name: "ix_usuarios_invitacion_token", sparse: true });
+  await createIndexSafe(db.collection("usuarios"), { "calendario.token_hash": 1 }, { name: "ix_usuarios_calendario_token", sparse: true });
+
+  // SESIONES (refresh tokens)
+  await createIndexSafe(db.collection("sesiones"), { jti: 1 }, { name: "uq_sesiones_jti", unique: true });
+  await createIndexSafe(db.collection("sesiones"), { usuario_id: 1 }, { name: "ix_sesiones_usuario" });
+  await createIndexSafe(db.collection("sesiones"), { expiraEn: 1 }, { name: "ttl_sesiones_expira", expireAfterSeconds: 0 });
+
+  // AUDITORÍA
+  await createIndexSafe(db.collection("auditoria"), { seq: 1 }, { name: "uq_auditoria_seq", unique: true });
+  await createIndexSafe(db.collection("auditoria"), { entidad: 1, entidad_id: 1, ts: -1 }, { name: "ix_auditoria_entidad" });
+  await createIndexSafe(db.collection("auditoria"), { "actor.usuario_id": 1, ts: -1 }, { name: "ix_auditoria_actor" });
+  await createIndexSafe(db.collection("auditoria"), { ts: -1 }, { name: "ix_auditoria_ts" });
+
+  // ACCESOS A DATOS DE PACIENTES
+  await createIndexSafe(db.collection("accesos_pacientes"), { paciente_id: 1, ts: -1 }, { name: "ix_accesos_paciente_ts" });
+  await createIndexSafe(db.collection("accesos_pacientes"), { "actor.usuario_id": 1, ts: -1 }, { name: "ix_accesos_actor_ts" });
+
+  // API KEYS DE INTEGRACIÓN
+  await createIndexSafe(db.collection("api_keys"), { prefijo: 1 }, { name: "uq_api_keys_prefijo", unique: true });
+  await createIndexSafe(db.collection("api_keys"), { prefijo_anterior: 1 }, { name: "ix_api_keys_prefijo_anterior", sparse: true });
 
   // PACIENTES
   await createIndexSafe(db.collection("pacientes"), { apellidos: 1, nombres: 1 }, { name: "ix_pacientes_nombre" });
   await createIndexSafe(db.collection("pacientes"), { correo: 1 }, { name: "ix_pacientes_correo" });
+  await createIndexSafe(db.collection("pacientes"), { sede_ids: 1 }, { name: "ix_pacientes_sedes" });
 
   // CITAS
   await createIndexSafe(db.collection("citas"), { paciente_id: 1, fecha: -1 }, { name: "ix_citas_paciente_fecha" });
   await createIndexSafe(db.collection("citas"), { usuario_id: 1, fecha: -1 }, { name: "ix_citas_usuario_fecha" });
+  await createIndexSafe(db.collection("citas"), { sede_id: 1, fecha: -1 }, { name: "ix_citas_sede_fecha" });
+  await createIndexSafe(db.collection("citas"), { serie_id: 1, fecha: 1 }, { name: "ix_citas_serie_fecha", sparse: true });
+  await createIndexSafe(db.collection("citas"), { estado: 1, fin: 1 }, { name: "ix_citas_estado_fin" }); // marcado de inasistencias
+  await createIndexSafe(db.collection("citas"), { recurso_ids: 1, fecha: 1 }, { name: "ix_citas_recursos_fecha" });
+  await createIndexSafe(db.collection("series_citas"), { paciente_id: 1, fecha_inicio: -1 }, { name: "ix_series_paciente" });
+
+  // NOTIFICACIONES (outbox)
+  await createIndexSafe(db.collection("notificaciones"), { clave: 1 }, { name: "uq_notificaciones_clave", unique: true });
+  await createIndexSafe(db.collection("notificaciones"), { estado: 1, proximo_intento: 1 }, { name: "ix_notificaciones_cola" });
+  await createIndexSafe(db.collection("notificaciones"), { cita_id: 1, estado: 1 }, { name: "ix_notificaciones_cita" });
+  await createIndexSafe(db.collection("plantillas_notificacion"), { tipo: 1, canal: 1 }, { name: "uq_plantillas_tipo_canal", unique: true });
+
+  // LISTA DE ESPERA
+  await createIndexSafe(db.collection("lista_espera"), { estado: 1, usuario_id: 1 }, { name: "ix_espera_estado_usuario" });
+  await createIndexSafe(db.collection("lista_espera"), { paciente_id: 1, estado: 1 }, { name: "ix_espera_paciente" });
+
+  // EVENTOS (stream SSE): se borran solos tras EVENTOS_RETENCION_HORAS
+  const retencionEventos = Math.max(Number(process.env.EVENTOS_RETENCION_HORAS) || 24, 1) * 3600;
+  await createIndexSafe(db.collection("eventos"), { ts: 1 }, { name: "ttl_eventos_ts", expireAfterSeconds: retencionEventos });
+  await createIndexSafe(db.collection("eventos"), { entidad: 1, _id: 1 }, { name: "ix_eventos_entidad" });
+
+  // RECURSOS (sillones, salas)
+  await createIndexSafe(db.collection("recursos"), { sede_id: 1, nombre: 1 }, { name: "uq_recursos_sede_nombre", unique: true });
+
+  // PAGOS
+  await createIndexSafe(db.collection("pagos"), { paciente_id: 1, fecha: -1 }, { name: "ix_pagos_paciente_fecha" });
+  await createIndexSafe(db.collection("pagos"), { "aplicaciones.cita_id": 1 }, { name: "ix_pagos_cita" });
+  await createIndexSafe(db.collection("pagos"), { sede_id: 1, fecha: -1 }, { name: "ix_pagos_sede_fecha" });
+
+  // FACTURAS Y NOTAS DE CRÉDITO: numeración correlativa por sede y tipo
+  await createIndexSafe(db.collection("facturas"), { sede_id: 1, tipo: 1, numero: 1 }, { name: "uq_facturas_sede_tipo_numero", unique: true });
+  await createIndexSafe(db.collection("facturas"), { paciente_id: 1, fecha: -1 }, { name: "ix_facturas_paciente_fecha" });
+  await createIndexSafe(db.collection("facturas"), { cita_ids: 1 }, { name: "ix_facturas_citas" });
+
+  // PLANES DE TRATAMIENTO / PRESUPUESTOS
+  await createIndexSafe(db.collection("planes_tratamiento"), { paciente_id: 1, createdAt: -1 }, { name: "ix_planes_paciente" });
+  await createIndexSafe(db.collection("planes_tratamiento"), { estado: 1, vence_en: 1 }, { name: "ix_planes_estado_vence" });
+  await createIndexSafe(db.collection("citas"), { plan_tratamiento_id: 1 }, { name: "ix_citas_plan", sparse: true });
+
+  // HORARIOS Y BLOQUEOS DE AGENDA
+  await createIndexSafe(db.collection("horarios"), { usuario_id: 1 }, { name: "uq_horarios_usuario", unique: true });
+  await createIndexSafe(db.collection("bloqueos_agenda"), { usuario_id: 1, desde: 1 }, { name: "ix_bloqueos_usuario_desde" });
 
   // HISTORIAS CLÍNICAS
   await createIndexSafe(db.collection("historias_clinicas"), { paciente_id: 1 }, { name: "uq_historia_por_paciente", unique: true });
@@ -53,10 +123,12 @@ async function ensureBaseIndexes(db) {
   // ÓRDENES DE COMPRA
   await createIndexSafe(db.collection("ordenes_compras"), { fecha_expedicion: -1 }, { name: "ix_oc_fecha" });
   await createIndexSafe(db.collection("ordenes_compras"), { proveedor_id: 1, fecha_expedicion: -1 }, { name: "ix_oc_proveedor_fecha" });
+  await createIndexSafe(db.collection("ordenes_compras"), { sede_id: 1, fecha_expedicion: -1 }, { name: "ix_oc_sede_fecha" });
 
   // ÓRDENES DE LABORATORIO
   await createIndexSafe(db.collection("ordenes_laboratorio"), { fecha_creacion: -1 }, { name: "ix_ol_fecha" });
   await createIndexSafe(db.collection("ordenes_laboratorio"), { cita_id: 1 }, { name: "ix_ol_cita" });
+  await createIndexSafe(db.collection("ordenes_laboratorio"), { sede_id: 1, fecha_creacion: -1 }, { name: "ix_ol_sede_fecha" });
 
   // PROVEEDORES
   await createIndexSafe(db.collection("proveedores"), { nombre: 1 }, { name: "uq_proveedor_nombre", unique: true });
@@ -88,6 +160,9 @@ async function connect() {
   if (!skipIndexSeed) {
     await ensureBaseIndexes(db);
     await ensureRolesSeed(db);
+    await ensurePermisosSeed(db);
+    await ensureSedesSeed(db);
+    await ensureDuracionesSeed(db);
   }
 
   return db;
@@ -0,0 +1,298 @@
+// lib/notificaciones.js
+// Outbox de notificaciones a pacientes (recordatorios y avisos de citas).
+// Los mensajes se renderizan al encolarse y se guardan en `notificaciones`;
+// un worker los envía con el transporte de su canal (lib/transportes.js),
+// reintentando con espera exponencial hasta NOTIF_MAX_INTENTOS.
+const { transporteDeCanal, canalesConfigurados, CANALES } = require("./transportes");
+const { formatearFecha, formatearHora } = require("./zonaHoraria");
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : def);
+const lista = (v, def) => String(v ?? def).split(",").map((s) => s.trim()).filter(Boolean);
+
+const CONFIG = {
+  // Horas antes de la cita en que sale cada recordatorio ("48,2")
+  recordatoriosHoras: lista(process.env.NOTIF_RECORDATORIOS_HORAS, "48,2").map(Number).filter((h) => h > 0),
+  // Canales a usar si el paciente tiene el dato (correo => email, telefono => sms/whatsapp)
+  canales: lista(process.env.NOTIF_CANALES, "email,sms").filter((c) => CANALES.includes(c)),
+  maxIntentos: num(process.env.NOTIF_MAX_INTENTOS, 5),
+  intervaloMs: num(process.env.NOTIF_INTERVALO_SEG, 60) * 1000,
+  lote: num(process.env.NOTIF_LOTE, 50),
+};
+
+const enabled = () => (process.env.NOTIF_ENABLED ?? "true").toLowerCase() !== "false";
+
+const TIPOS = ["recordatorio", "confirmada", "reprogramada", "cancelada"];
+const ESTADOS_NOTIF = ["pendiente", "enviando", "enviada", "fallida", "cancelada"];
+
+// ============================
+// Plantillas
+// ============================
+// Variables: {{paciente}} {{fecha}} {{hora}} {{odontologo}} {{sede}} {{motivo_cancelacion}}
+// Se pueden sobrescribir por tipo (y opcionalmente por canal) en `plantillas_notificacion`.
+const PLANTILLAS_DEFAULT = {
+  recordatorio: {
+    asunto: "Recordatorio de su cita",
+    cuerpo: "Hola {{paciente}}, le recordamos su cita el {{fecha}} a las {{hora}} con {{odontologo}} en {{sede}}.",
+  },
+  confirmada: {
+    asunto: "Cita confirmada",
+    cuerpo: "Hola {{paciente}}, su cita del {{fecha}} a las {{hora}} con {{odontologo}} en {{sede}} está confirmada.",
+  },
+  reprogramada: {
+    asunto: "Su cita fue reprogramada",
+    cuerpo: "Hola {{paciente}}, su cita se movió al {{fecha}} a las {{hora}} con {{odontologo}} en {{sede}}.",
+  },
+  cancelada: {
+    asunto: "Cita cancelada",
+    cuerpo: "Hola {{paciente}}, su cita del {{fecha}} a las {{hora}} fue cancelada. Motivo: {{motivo_cancelacion}}.",
+  },
+};
+
+const renderizar = (texto, vars) =>
+  String(texto ?? "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] ?? "").toString());
+
+// Plantilla del canal > plantilla del tipo (canal null) > default
+async function plantillaDe(db, tipo, canal) {
+  const rows = await db.collection("plantillas_notificacion")
+    .find({ tipo, canal: { $in: [canal, null] } })
+    .toArray();
+  const propia = rows.find((r) => r.canal === canal) || rows.find((r) => r.canal == null);
+  return { ...PLANTILLAS_DEFAULT[tipo], ...(propia ? { asunto: propia.asunto, cuerpo: propia.cuerpo } : {}) };
+}
+
+// Paciente, odontólogo y sede de la cita => variables y destinos por canal
+async function contextoCita(db, cita) {
+  const [paciente, odontologo, sede] = await Promise.all([
+    db.collection("pacientes").findOne({ _id: cita.paciente_id }, { projection: { nombres: 1, apellidos: 1, correo: 1, telefono: 1 } }),
+    db.collection("usuarios").findOne({ _id: cita.usuario_id }, { projection: { nombres: 1, apellidos: 1 } }),
+    cita.sede_id ? db.collection("sedes").findOne({ _id: cita.sede_id }, { projection: { nombre: 1 } }) : null,
+  ]);
+  const nombre = (x) => `${x?.nombres ?? ""} ${x?.apellidos ?? ""}`.trim();
+  return {
+    vars: {
+      paciente: nombre(paciente),
+      fecha: formatearFecha(cita.fecha),
+      hora: formatearHora(cita.fecha),
+      odontologo: nombre(odontologo),
+      sede: sede?.nombre ?? "",
+      motivo_cancelacion: cita.motivo_cancelacion ?? "",
+    },
+    destinos: {
+      email: paciente?.correo || null,
+      sms: paciente?.telefono || null,
+      whatsapp: paciente?.telefono || null,
+    },
+  };
+}
+
+// ============================
+// Encolado
+// ============================
+
+/**
+ * Encola un mensaje por cada canal configurado para el que el paciente tenga destino.
+ * `clave` evita duplicados (índice único): reintentar el mismo evento no duplica envíos.
+ */
+async function encolar(db, { tipo, cita, ctx, enviarEn = new Date(), clave }) {
+  const now = new Date();
+  let n = 0;
+  for (const canal of CONFIG.canales) {
+    const destino = ctx.destinos[canal];
+    if (!destino) continue;
+    const p = await plantillaDe(db, tipo, canal);
+    const doc = {
+      tipo,
+      canal,
+      destino,
+      cita_id: cita._id,
+      paciente_id: cita.paciente_id,
+      sede_id: cita.sede_id ?? null,
+      asunto: renderizar(p.asunto, ctx.vars),
+      cuerpo: renderizar(p.cuerpo, ctx.vars),
+      // Para los canales que envían plantillas del proveedor con parámetros (WhatsApp)
+      variables: ctx.vars,
+      estado: "pendiente",
+      intentos: 0,
+      proximo_intento: enviarEn,
+      ultimo_error: null,
+      clave: `${clave}:${canal}`,
+      createdAt: now,
+      updatedAt: now,
+    };
+    try {
+      await db.collection("notificaciones").insertOne(doc);
+      n++;
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+    }
+  }
+  return n;
+}
+
+// Recordatorios de la cita (los que ya quedaron en el pasado no se encolan)
+async function programarRecordatorios(db, cita, ctx) {
+  const ahora = Date.now();
+  let n = 0;
+  for (const h of CONFIG.recordatoriosHoras) {
+    const enviarEn = new Date(cita.fecha.getTime() - h * 60 * 60 * 1000);
+    if (enviarEn.getTime() <= ahora) continue;
+    n += await encolar(db, { tipo: "recordatorio", cita, ctx, enviarEn, clave: `${cita._id}:recordatorio:${h}h:${cita.fecha.getTime()}` });
+  }
+  return n;
+}
+
+// Anula los mensajes aún no enviados de una cita (p. ej. recordatorios tras cancelar)
+async function cancelarPendientes(db, citaId, tipos = ["recordatorio"]) {
+  const r = await db.collection("notificaciones").updateMany(
+    { cita_id: citaId, estado: "pendiente", tipo: { $in: tipos } },
+    { $set: { estado: "cancelada", updatedAt: new Date() } }
+  );
+  return r.modifiedCount;
+}
+
+/**
+ * Punto único de enganche tras crear o modificar una cita (antes = null al crear):
+ * - alta: programa recordatorios (y aviso si nace Confirmada)
+ * - Confirmada: aviso de confirmación
+ * - Cancelada: anula recordatorios y avisa
+ * - cambio de fecha: reprograma recordatorios y avisa
+ * - En consulta / Completada / No asistió: anula recordatorios pendientes
+ * Nunca lanza: un fallo al encolar no debe tumbar la operación sobre la cita.
+ */
+async function notificarCita(db, antes, despues) {
+  if (!enabled() || !despues) return;
+  try {
+    const ctx = await contextoCita(db, despues);
+    const cambioEstado = antes?.estado !== despues.estado ? despues.estado : null;
+    const movida = antes && despues.fecha && antes.fecha?.getTime() !== despues.fecha.getTime();
+    const evento = (tipo) => `${despues._id}:${tipo}:${(despues.updatedAt || despues.createdAt || new Date()).getTime()}`;
+
+    if (cambioEstado === "Cancelada") {
+      // Avisos previos que aún no salieron ya no tienen sentido
+      await cancelarPendientes(db, despues._id, ["recordatorio", "confirmada", "reprogramada"]);
+      await encolar(db, { tipo: "cancelada", cita: despues, ctx, clave: evento("cancelada") });
+      return;
+    }
+    if (["En consulta", "Completada", "No asistió"].includes(cambioEstado)) {
+      await cancelarPendientes(db, despues._id);
+      return;
+    }
+    if (!antes) await programarRecordatorios(db, despues, ctx);
+    if (movida) {
+      await cancelarPendientes(db, despues._id, ["recordatorio", "reprogramada"]);
+      await programarRecordatorios(db, despues, ctx);
+      await encolar(db, { tipo: "reprogramada", cita: despues, ctx, clave: evento("reprogramada") });
+    }
+    if (cambioEstado === "Confirmada") {
+      await encolar(db, { tipo: "confirmada", cita: despues, ctx, clave: evento("confirmada") });
+    }
+  } catch (e) {
+    console.error("[notificaciones] No se pudo encolar:", e.message);
+  }
+}
+
+// ============================
+// Envío
+// ============================
+
+// Espera antes del reintento n (1 min, 2, 4, 8... tope 6 h)
+const esperaReintento = (intentos) => Math.min(60 * 1000 * 2 ** Math.max(intentos - 1, 0), 6 * 60 * 60 * 1000);
+
+// Envía un mensaje ya reservado (estado "enviando") y deja registrado el resultado
+async function entregar(db, msg) {
+  const col = db.collection("notificaciones");
+  const intentos = (msg.intentos || 0) + 1;
+  const now = new Date();
+  try {
+    const t = transporteDeCanal(msg.canal);
+    const r = await t.enviar(msg);
+    await col.updateOne(
+      { _id: msg._id },
+      { $set: { estado: "enviada", intentos, enviadaEn: now, transporte: t.nombre, proveedor_id: r?.id ?? null, ultimo_error: null, updatedAt: now } }
+    );
+    return true;
+  } catch (e) {
+    const agotado = intentos >= (msg.max_intentos || CONFIG.maxIntentos);
+    await col.updateOne(
+      { _id: msg._id },
+      {
+        $set: {
+          estado: agotado ? "fallida" : "pendiente",
+          intentos,
+          ultimo_error: String(e.message || e).slice(0, 500),
+          proximo_intento: agotado ? null : new Date(now.getTime() + esperaReintento(intentos)),
+          updatedAt: now,
+        },
+      }
+    );
+    return false;
+  }
+}
+
+/**
+ * Procesa los mensajes vencidos. Cada uno se reserva con findOneAndUpdate
+ * (pendiente -> enviando) para que dos instancias no lo envíen dos veces;
+ * los que quedaron "enviando" por una caída se liberan tras 10 minutos.
+ * Solo se toman los de canales con transporte configurado: el resto sigue
+ * pendiente (sin gastar intentos) hasta que se configure uno.
+ */
+async function procesarPendientes(db, { lote = CONFIG.lote } = {}) {
+  const col = db.collection("notificaciones");
+  const now = new Date();
+  const canales = canalesConfigurados();
+  await col.updateMany(
+    { estado: "enviando", reservadaEn: { $lt: new Date(now.getTime() - 10 * 60 * 1000) } },
+    { $set: { estado: "pendiente", updatedAt: now } }
+  );
+
+  const out = { enviadas: 0, fallidas: 0 };
+  if (!canales.length) return out;
+  for (let i = 0; i < lote; i++) {
+    const msg = await col.findOneAndUpdate(
+      { estado: "pendiente", canal: { $in: canales }, proximo_intento: { $lte: new Date() } },
+      { $set: { estado: "enviando", reservadaEn: new Date() } },
+      { sort: { proximo_intento: 1 }, returnDocument: "after" }
+    );
+    if (!msg) break;
+    if (await entregar(db, msg)) out.enviadas++;
+    else out.fallidas++;
+  }
+  return out;
+}
+
+let timer = null;
+let corriendo = false;
+
+// Worker en proceso: NOTIF_WORKER=false para desactivarlo (p. ej. si corre aparte)
+function iniciarWorker(connect) {
+  if (timer || !enabled() || (process.env.NOTIF_WORKER ?? "true").toLowerCase() === "false") return;
+  timer = setInterval(async () => {
+    if (corriendo) return;
+    corriendo = true;
+    try {
+      await procesarPendientes(await connect());
+    } catch (e) {
+      console.error("[notificaciones] worker:", e.message);
+    } finally {
+      corriendo = false;
+    }
+  }, CONFIG.intervaloMs);
+  timer.unref?.();
+}
+
+module.exports = {
+  CONFIG,
+  TIPOS,
+  ESTADOS_NOTIF,
+  PLANTILLAS_DEFAULT,
+  renderizar,
+  plantillaDe,
+  contextoCita,
+  encolar,
+  programarRecordatorios,
+  cancelarPendientes,
+  notificarCita,
+  entregar,
+  procesarPendientes,
+  iniciarWorker,
+};
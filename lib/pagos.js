@@ -0,0 +1,201 @@
+// lib/pagos.js
+// Pagos y abonos de pacientes. Un pago se aplica a una o más citas
+// (aplicaciones: [{ cita_id, monto }]); lo que no se aplica queda como saldo a
+// favor del paciente y se puede aplicar después. Cada cita lleva `pagado`
+// (suma de lo aplicado con pagos vigentes); lo pendiente se calcula contra `total`.
+// Si la cita se cancela o el paciente no asiste, lo aplicado se libera
+// (pago.liberadas) y vuelve a ser saldo a favor.
+const { ObjectId } = require("mongodb");
+const { registrarAuditoria } = require("./auditoria");
+
+const METODOS = ["efectivo", "tarjeta", "transferencia"];
+const ESTADOS_PAGO = ["registrado", "anulado"];
+
+// Citas a las que no se aplican pagos nuevos
+const ESTADOS_SIN_COBRO = ["Cancelada", "No asistió"];
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+// Montos en la moneda local con 2 decimales
+const redondear = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const toOid = (v) => {
+  if (v instanceof ObjectId) return v;
+  try {
+    return new ObjectId(String(v));
+  } catch {
+    return null;
+  }
+};
+
+/** Pagado, pendiente y estado de pago de una cita (para las respuestas) */
+function saldoDeCita(cita) {
+  const total = redondear(cita.total);
+  const pagado = redondear(cita.pagado);
+  const pendiente = redondear(Math.max(total - pagado, 0));
+  let estado_pago = "pendiente";
+  if (total <= 0) estado_pago = "sin_cargo";
+  else if (pendiente === 0) estado_pago = "pagado";
+  else if (pagado > 0) estado_pago = "parcial";
+  return { pagado, pendiente, estado_pago };
+}
+
+// Descuenta lo aplicado (al anular o si falla una aplicación a medias)
+async function revertirAplicaciones(db, aplicaciones) {
+  for (const a of aplicaciones) {
+    await db.collection("citas").updateOne({ _id: a.cita_id }, { $inc: { pagado: -a.monto } });
+  }
+}
+
+/**
+ * Aplica montos a citas del paciente. Cada monto debe caber en lo pendiente de
+ * la cita (se comprueba en el mismo update para no pasarse con pagos simultáneos).
+ * Todo o nada: si una falla se revierten las anteriores. Devuelve las aplicaciones normalizadas.
+ */
+async function aplicarACitas(db, paciente_id, aplicaciones, { filtroCita = (q) => q } = {}) {
+  const col = db.collection("citas");
+  const hechas = [];
+  try {
+    for (const a of aplicaciones) {
+      const cita_id = toOid(a.cita_id);
+      const monto = redondear(a.monto);
+      if (!cita_id) throw httpError(400, "cita_id inválido");
+      if (monto <= 0) throw httpError(400, "El monto aplicado debe ser mayor que cero");
+
+      const cita = await col.findOne(filtroCita({ _id: cita_id }));
+      if (!cita) throw httpError(404, `Cita no encontrada: ${cita_id}`);
+      if (cita.paciente_id !== paciente_id) throw httpError(400, `La cita ${cita_id} es de otro paciente`);
+      if (ESTADOS_SIN_COBRO.includes(cita.estado)) throw httpError(409, `La cita ${cita_id} está ${cita.estado}`);
+
+      const r = await col.updateOne(
+        {
+          _id: cita_id,
+          $expr: { $lte: [{ $add: [{ $ifNull: ["$pagado", 0] }, monto] }, { $add: [{ $ifNull: ["$total", 0] }, 0.001] }] },
+        },
+        { $inc: { pagado: monto } }
+      );
+      if (r.matchedCount === 0) {
+        const { pendiente } = saldoDeCita(await col.findOne({ _id: cita_id }));
+        throw Object.assign(httpError(409, `El monto supera lo pendiente de la cita ${cita_id}`), { pendiente });
+      }
+      hechas.push({ cita_id, monto, en: new Date() });
+    }
+  } catch (e) {
+    await revertirAplicaciones(db, hechas);
+    throw e;
+  }
+  return hechas;
+}
+
+/**
+ * Devuelve al saldo a favor lo aplicado a una cita que pasó a Cancelada/No asistió:
+ * quita sus aplicaciones de cada pago (quedan en `liberadas`) y descuenta `pagado`.
+ * Filtra por updatedAt del pago para no cruzarse con /aplicar o /anular; si el
+ * pago cambió entre medio se vuelve a leer.
+ */
+async function liberarPagosDeCita(db, req, cita) {
+  if (!(cita.pagado > 0) || !ESTADOS_SIN_COBRO.includes(cita.estado)) return;
+  const col = db.collection("pagos");
+
+  for (let intento = 0; intento < 3; intento++) {
+    const pagos = await col.find({ "aplicaciones.cita_id": cita._id, estado: "registrado" }).toArray();
+    if (!pagos.length) return;
+
+    let pendientes = 0;
+    for (const antes of pagos) {
+      const now = new Date();
+      const liberadas = antes.aplicaciones
+        .filter((a) => String(a.cita_id) === String(cita._id))
+        .map((a) => ({ ...a, liberada_en: now, motivo: cita.estado }));
+
+      const r = await col.updateOne(
+        { _id: antes._id, estado: "registrado", updatedAt: antes.updatedAt },
+        { $pull: { aplicaciones: { cita_id: cita._id } }, $push: { liberadas: { $each: liberadas } }, $set: { updatedAt: now } }
+      );
+      if (r.matchedCount === 0) {
+        pendientes++;
+        continue;
+      }
+      await revertirAplicaciones(db, liberadas);
+      const despues = await col.findOne({ _id: antes._id });
+      await registrarAuditoria(db, req, { entidad: "pagos", entidad_id: antes._id, accion: "update", antes, despues });
+    }
+    if (!pendientes) return;
+  }
+  console.warn("[pagos] No se pudieron liberar los pagos de la cita", String(cita._id));
+}
+
+const aplicado = (pago) => redondear((pago.aplicaciones || []).reduce((acc, a) => acc + a.monto, 0));
+
+/**
+ * Estado de cuenta: cargos (citas) y pagos ordenados por fecha con saldo corrido.
+ * Cargo = cita con total > 0 que no está Cancelada/No asistió y ya ocurrió o tiene
+ * algo pagado (las futuras sin pagos aún no se deben). Saldo > 0: el paciente debe;
+ * < 0: saldo a favor.
+ */
+async function estadoDeCuenta(db, paciente_id) {
+  const ahora = new Date();
+  const [citas, pagos] = await Promise.all([
+    db.collection("citas")
+      .find(
+        {
+          paciente_id,
+          total: { $gt: 0 },
+          estado: { $nin: ESTADOS_SIN_COBRO },
+          $or: [{ fecha: { $lte: ahora } }, { pagado: { $gt: 0 } }],
+        },
+        { projection: { fecha: 1, total: 1, pagado: 1, estado: 1, procedimientos: 1, sede_id: 1 } }
+      )
+      .toArray(),
+    db.collection("pagos").find({ paciente_id, estado: "registrado" }).toArray(),
+  ]);
+
+  const movimientos = [
+    ...citas.map((c) => ({
+      tipo: "cargo",
+      fecha: c.fecha,
+      cita_id: c._id,
+      descripcion: (c.procedimientos || []).map((p) => p.nombre).join(", ") || "Cita",
+      monto: redondear(c.total),
+      ...saldoDeCita(c),
+    })),
+    ...pagos.map((p) => ({
+      tipo: "pago",
+      fecha: p.fecha,
+      pago_id: p._id,
+      descripcion: `${p.metodo}${p.referencia ? ` ${p.referencia}` : ""}`,
+      monto: -redondear(p.monto),
+      sin_aplicar: redondear(p.monto - aplicado(p)),
+    })),
+  ].sort((a, b) => a.fecha - b.fecha || (a.tipo === b.tipo ? 0 : a.tipo === "cargo" ? -1 : 1));
+
+  let saldo = 0;
+  for (const m of movimientos) {
+    saldo = redondear(saldo + m.monto);
+    m.saldo = saldo;
+  }
+
+  const cargos = redondear(citas.reduce((acc, c) => acc + c.total, 0));
+  const abonos = redondear(pagos.reduce((acc, p) => acc + p.monto, 0));
+  return {
+    paciente_id,
+    cargos,
+    pagos: abonos,
+    saldo: redondear(cargos - abonos),
+    saldo_a_favor: redondear(pagos.reduce((acc, p) => acc + p.monto - aplicado(p), 0)),
+    movimientos,
+  };
+}
+
+module.exports = {
+  METODOS,
+  ESTADOS_PAGO,
+  ESTADOS_SIN_COBRO,
+  redondear,
+  saldoDeCita,
+  aplicarACitas,
+  revertirAplicaciones,
+  liberarPagosDeCita,
+  aplicado,
+  estadoDeCuenta,
+};
@@ -0,0 +1,99 @@
+// lib/pdf.js
+// Generador mínimo de PDF (texto y líneas en páginas A4), sin dependencias.
+// Usa las fuentes estándar Helvetica / Helvetica-Bold con WinAnsiEncoding,
+// que cubre tildes y ñ; lo que no sea Latin-1 se imprime como "?".
+// Las coordenadas se dan en puntos desde la esquina superior izquierda.
+const A4 = { ancho: 595.28, alto: 841.89 };
+
+// Anchos de Helvetica (milésimas de em) para alinear a la derecha o centrar;
+// las letras se aproximan con un ancho medio (mayúsculas y minúsculas)
+const ANCHOS = { " ": 278, ".": 278, ",": 278, ":": 278, "/": 278, "-": 333, "(": 333, ")": 333, "%": 889 };
+const anchoLetra = (c, bold) => {
+  if (/[0-9$]/.test(c)) return 556;
+  if (ANCHOS[c] != null) return ANCHOS[c];
+  if (/[A-ZÁÉÍÓÚÑ]/.test(c)) return bold ? 722 : 667;
+  return bold ? 611 : 556;
+};
+const anchoTexto = (s, size, bold) => ([...String(s)].reduce((acc, c) => acc + anchoLetra(c, bold), 0) * size) / 1000;
+
+const escapar = (s) =>
+  String(s ?? "")
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+
+const num = (n) => Number(n.toFixed(2));
+
+const FUENTE = (base) => `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`;
+
+/**
+ * Documento en construcción:
+ *   const doc = crearPdf();
+ *   doc.texto(40, 60, "Factura", { size: 16, bold: true });
+ *   doc.texto(555, 60, "1.234,00", { alinear: "derecha" });
+ *   doc.linea(40, 70, 555, 70);
+ *   const buf = doc.buffer();
+ */
+function crearPdf() {
+  const paginas = [];
+  let actual = null;
+
+  const doc = {
+    ancho: A4.ancho,
+    alto: A4.alto,
+
+    pagina() {
+      actual = [];
+      paginas.push(actual);
+      return doc;
+    },
+
+    // alinear: "izquierda" | "derecha" | "centro" (x es el borde derecho o el centro)
+    texto(x, y, s, { size = 10, bold = false, alinear = "izquierda" } = {}) {
+      if (!actual) doc.pagina();
+      const ancho = alinear === "izquierda" ? 0 : anchoTexto(s, size, bold);
+      const px = alinear === "derecha" ? x - ancho : alinear === "centro" ? x - ancho / 2 : x;
+      actual.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${num(px)} ${num(A4.alto - y)} Td (${escapar(s)}) Tj ET`);
+      return doc;
+    },
+
+    linea(x1, y1, x2, y2, grosor = 0.5) {
+      if (!actual) doc.pagina();
+      actual.push(`${grosor} w ${num(x1)} ${num(A4.alto - y1)} m ${num(x2)} ${num(A4.alto - y2)} l S`);
+      return doc;
+    },
+
+    buffer() {
+      if (!paginas.length) doc.pagina();
+
+      // 1 catálogo, 2 árbol de páginas, 3-4 fuentes, luego contenido y página de cada hoja
+      const objetos = ["<< /Type /Catalog /Pages 2 0 R >>", null, FUENTE("Helvetica"), FUENTE("Helvetica-Bold")];
+      const kids = [];
+      for (const ops of paginas) {
+        const contenido = ops.join("\n");
+        objetos.push(`<< /Length ${Buffer.byteLength(contenido, "latin1")} >>\nstream\n${contenido}\nendstream`);
+        const contenidoId = objetos.length;
+        objetos.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.ancho} ${A4.alto}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contenidoId} 0 R >>`
+        );
+        kids.push(objetos.length);
+      }
+      objetos[1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objetos.map((o, i) => {
+        const offset = Buffer.byteLength(out, "latin1");
+        out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+        return offset;
+      });
+      const xref = Buffer.byteLength(out, "latin1");
+      out += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, "latin1");
+    },
+  };
+  return doc;
+}
+
+module.exports = { crearPdf, anchoTexto, A4 };
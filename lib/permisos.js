@@ -0,0 +1,134 @@
+// lib/permisos.js
+
+// Catálogo de permisos: "<recurso>:<acción>"
+// - "*"           => todos los permisos
+// - "<recurso>:*" => todas las acciones de ese recurso
+const PERMISOS = {
+  "usuarios:read": "Ver usuarios",
+  "usuarios:write": "Crear/editar usuarios",
+  "usuarios:delete": "Eliminar usuarios",
+
+  "pacientes:read": "Ver pacientes",
+  "pacientes:write": "Crear/editar pacientes",
+  "pacientes:delete": "Eliminar pacientes",
+  "pacientes:vincular_sede": "Vincular a una sede pacientes registrados en otra",
+
+  "citas:read": "Ver citas y agenda",
+  "citas:write": "Crear/editar citas",
+  "citas:delete": "Eliminar o cancelar citas",
+  "citas:sobrecupo": "Agendar aunque se cruce con otra cita (sobrecupo)",
+
+  "lista_espera:read": "Ver la lista de espera y los candidatos para huecos libres",
+  "lista_espera:write": "Gestionar la lista de espera y agendar desde ella",
+
+  "notificaciones:read": "Ver el estado de recordatorios y avisos enviados a pacientes",
+  "notificaciones:manage": "Reintentar o anular envíos y editar plantillas de notificación",
+
+  "recursos:read": "Ver sillones, salas y su ocupación",
+  "recursos:write": "Gestionar el catálogo de sillones y salas",
+
+  "pagos:read": "Ver pagos y estados de cuenta de pacientes",
+  "pagos:write": "Registrar pagos y abonos (caja)",
+  "pagos:anular": "Anular pagos registrados",
+
+  "facturas:read": "Ver facturas y notas de crédito",
+  "facturas:write": "Emitir facturas de citas completadas",
+  "facturas:anular": "Anular facturas emitiendo una nota de crédito",
+
+  "planes:read": "Ver planes de tratamiento y presupuestos",
+  "planes:write": "Crear, presentar y agendar planes de tratamiento",
+
+  "horarios:read": "Ver horarios de trabajo y bloqueos de agenda",
+  "horarios:write": "Definir horarios, vacaciones, bloqueos y feriados",
+
+  "historias:read": "Ver historias clínicas",
+  "historias:write": "Crear/editar historias clínicas",
+  "historias:delete": "Eliminar historias clínicas o procedimientos registrados",
+
+  "procedimientos:read": "Ver catálogo de procedimientos",
+  "procedimientos:write": "Crear/editar procedimientos",
+  "procedimientos:delete": "Eliminar procedimientos",
+
+  "roles:read": "Ver roles",
+  "roles:write": "Crear/editar roles y sus permisos",
+  "roles:delete": "Eliminar roles",
+
+  "ordenes_laboratorio:read": "Ver órdenes de laboratorio",
+  "ordenes_laboratorio:write": "Crear/editar órdenes de laboratorio",
+  "ordenes_laboratorio:update_estado": "Cambiar el estado de órdenes de laboratorio",
+  "ordenes_laboratorio:delete": "Eliminar órdenes de laboratorio",
+
+  "ordenes_compras:read": "Ver órdenes de compra",
+  "ordenes_compras:write": "Crear órdenes de compra",
+
+  "auditoria:read": "Consultar el registro de auditoría",
+  "accesos:read": "Consultar quién abrió la información de un paciente",
+
+  "api_keys:manage": "Crear, rotar y revocar API keys de integración",
+  "seguridad:manage": "Ver y levantar bloqueos por intentos fallidos de autenticación",
+
+  "sedes:read": "Ver sedes",
+  "sedes:write": "Crear/editar sedes y precios por sede",
+  "sedes:delete": "Eliminar sedes",
+  "sedes:todas": "Acceso a los datos de todas las sedes",
+
+  "debug:read": "Rutas de diagnóstico",
+};
+
+// Permisos por defecto de los roles base (se usan al sembrar la colección roles)
+const DEFAULT_PERMISOS = {
+  Administrador: ["*"],
+  Odontologo: [
+    "sedes:read",
+    "usuarios:read",
+    "pacientes:read", "pacientes:write",
+    "citas:read", "citas:write",
+    "lista_espera:read",
+    "recursos:read",
+    "pagos:read",
+    "planes:read", "planes:write",
+    "horarios:read",
+    "historias:read", "historias:write",
+    "procedimientos:read",
+    "ordenes_laboratorio:read", "ordenes_laboratorio:write", "ordenes_laboratorio:update_estado",
+  ],
+  Asistente: [
+    "sedes:read",
+    "usuarios:read",
+    "pacientes:read", "pacientes:write",
+    "citas:read", "citas:write", "citas:delete",
+    "lista_espera:read", "lista_espera:write",
+    "notificaciones:read",
+    "recursos:read",
+    "pagos:read", "pagos:write",
+    "facturas:read", "facturas:write",
+    "planes:read", "planes:write",
+    "horarios:read", "horarios:write",
+    "procedimientos:read",
+    "ordenes_laboratorio:read",
+    "ordenes_compras:read", "ordenes_compras:write",
+  ],
+  Laboratorista: [
+    "sedes:read",
+    "procedimientos:read",
+    "ordenes_laboratorio:read", "ordenes_laboratorio:update_estado",
+  ],
+};
+
+// Valida que cada permiso exista en el catálogo (acepta comodines)
+function permisoValido(p) {
+  if (p === "*") return true;
+  if (PERMISOS[p]) return true;
+  const [recurso, accion] = String(p).split(":");
+  return accion === "*" && Object.keys(PERMISOS).some(k => k.startsWith(`${recurso}:`));
+}
+
+// ¿La lista concedida cubre el permiso requerido?
+function tienePermiso(concedidos, requerido) {
+  const list = Array.isArray(concedidos) ? concedidos : [];
+  if (list.includes("*") || list.includes(requerido)) return true;
+  const [recurso] = String(requerido).split(":");
+  return list.includes(`${recurso}:*`);
+}
+
+module.exports = { PERMISOS, DEFAULT_PERMISOS, permisoValido, tienePermiso };
@@ -0,0 +1,197 @@
+// lib/planes.js
+// Planes de tratamiento / presupuestos por paciente (colección `planes_tratamiento`).
+// Un plan tiene fases con ítems cotizados desde el catálogo de procedimientos
+// (mismo criterio de precios que las citas: ver resolverProcedimientos).
+// Los ítems aceptados se agendan en citas (ítem.cita_id); su avance
+// (pendiente, agendado, realizado) se deduce del estado de esa cita.
+const { ObjectId } = require("mongodb");
+const { actorDe } = require("./auditoria");
+const { resolverProcedimientos } = require("./citas");
+const { ESTADOS_LIBERAN_AGENDA } = require("./agenda");
+const { redondear } = require("./pagos");
+const { sumarDias, inicioDelDia } = require("./zonaHoraria");
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : def);
+
+// Días de validez de un presupuesto al presentarlo (si no se fija vence_en)
+const VIGENCIA_DIAS = num(process.env.PRESUPUESTO_VIGENCIA_DIAS, 30);
+
+const ESTADOS_PLAN = ["borrador", "presentado", "aceptado", "rechazado"];
+const ESTADOS_ITEM = ["pendiente", "agendado", "realizado", "no_aceptado"];
+
+// ============================
+// Máquina de estados
+// borrador -> presentado -> aceptado | rechazado
+// presentado | rechazado -> borrador (reabrir para corregir y volver a presentar)
+// aceptado es final: lo que cambie después va en un plan nuevo.
+// ============================
+const TRANSICIONES_PLAN = {
+  borrador: ["presentado"],
+  presentado: ["aceptado", "rechazado", "borrador"],
+  rechazado: ["borrador"],
+  aceptado: [],
+};
+
+// Sello de tiempo de cada estado
+const SELLOS_PLAN = {
+  presentado: "presentadoAt",
+  aceptado: "aceptadoAt",
+  rechazado: "rechazadoAt",
+};
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+function validarTransicionPlan(de, a) {
+  if (!(TRANSICIONES_PLAN[de] || []).includes(a)) {
+    throw Object.assign(httpError(409, `No se puede pasar de "${de}" a "${a}"`), { permitidos: TRANSICIONES_PLAN[de] || [] });
+  }
+}
+
+const vencido = (plan, ahora = new Date()) => plan.estado === "presentado" && !!plan.vence_en && plan.vence_en < ahora;
+
+// Vencimiento por defecto: fin del día, VIGENCIA_DIAS después de presentarlo
+const venceEnPorDefecto = (desde = new Date()) => sumarDias(inicioDelDia(desde), VIGENCIA_DIAS + 1);
+
+const todosLosItems = (plan) => (plan.fases || []).flatMap((f) => f.items || []);
+
+/**
+ * Resuelve las fases recibidas contra el catálogo. Los ítems que ya existían
+ * (item_id) conservan su id, su cita y su precio cotizado.
+ */
+async function construirFases(db, req, fases, sedeId, { anteriores = [] } = {}) {
+  const previos = anteriores.flatMap((f) => f.items || []);
+  const porId = new Map(previos.map((i) => [String(i._id), i]));
+
+  const out = [];
+  for (const [idx, fase] of fases.entries()) {
+    const viejos = fase.items.map((it) => (it.item_id ? porId.get(String(it.item_id)) : null));
+    if (fase.items.some((it, i) => it.item_id && !viejos[i])) throw httpError(400, "item_id no pertenece al plan");
+
+    const lineas = await resolverProcedimientos(db, req, fase.items, sedeId, { porItem: viejos });
+    out.push({
+      numero: idx + 1,
+      nombre: fase.nombre.trim(),
+      items: lineas.map((l, i) => ({
+        _id: viejos[i]?._id ?? new ObjectId(),
+        ...l,
+        importe: redondear(l.costo_unitario * l.cantidad),
+        pieza: fase.items[i].pieza?.trim() || null, // pieza dental (notación FDI), si aplica
+        notas: fase.items[i].notas?.trim() || null,
+        aceptado: viejos[i]?.aceptado ?? null,
+        cita_id: viejos[i]?.cita_id ?? null,
+        citas_previas: viejos[i]?.citas_previas ?? [],
+      })),
+    });
+  }
+  return out;
+}
+
+const totalPlan = (fases) => redondear(fases.flatMap((f) => f.items).reduce((acc, i) => acc + i.importe, 0));
+
+/**
+ * Plan para las respuestas: estado de cada ítem según su cita, totales por fase
+ * y resumen del avance. `vencido` = presentado y pasada la fecha de vencimiento.
+ */
+async function conAvance(db, plan) {
+  const items = todosLosItems(plan);
+  const ids = items.map((i) => i.cita_id).filter(Boolean);
+  const citas = ids.length
+    ? await db.collection("citas").find({ _id: { $in: ids } }, { projection: { estado: 1, fecha: 1 } }).toArray()
+    : [];
+  const porId = new Map(citas.map((c) => [String(c._id), c]));
+
+  const estadoItem = (it) => {
+    if (plan.estado === "aceptado" && it.aceptado === false) return "no_aceptado";
+    const cita = it.cita_id ? porId.get(String(it.cita_id)) : null;
+    if (!cita || ESTADOS_LIBERAN_AGENDA.includes(cita.estado)) return "pendiente";
+    return cita.estado === "Completada" ? "realizado" : "agendado";
+  };
+
+  const avance = Object.fromEntries(ESTADOS_ITEM.map((e) => [e, { items: 0, importe: 0 }]));
+  const fases = (plan.fases || []).map((f) => {
+    const conEstado = f.items.map((it) => {
+      const estado = estadoItem(it);
+      avance[estado].items += 1;
+      avance[estado].importe = redondear(avance[estado].importe + it.importe);
+      const cita = it.cita_id ? porId.get(String(it.cita_id)) : null;
+      return { ...it, estado, cita_fecha: cita && estado !== "pendiente" ? cita.fecha : null };
+    });
+    return { ...f, items: conEstado, total: redondear(f.items.reduce((acc, i) => acc + i.importe, 0)) };
+  });
+
+  const porHacer = avance.pendiente.items + avance.agendado.items;
+  return {
+    ...plan,
+    fases,
+    vencido: vencido(plan),
+    avance: { ...avance, completo: plan.estado === "aceptado" && porHacer === 0 && avance.realizado.items > 0 },
+  };
+}
+
+/**
+ * Update para cambiar el estado del plan. Al presentar se fija vence_en si falta;
+ * al aceptar, `item_ids` (opcional) indica los ítems que el paciente aceptó.
+ */
+function cambioDeEstadoPlan(req, antes, a, { motivo, item_ids, vence_en } = {}) {
+  validarTransicionPlan(antes.estado, a);
+  const now = new Date();
+  const $set = { estado: a, updatedAt: now };
+  if (SELLOS_PLAN[a]) $set[SELLOS_PLAN[a]] = now;
+
+  if (a === "presentado") {
+    // Al volver a presentar un plan reabierto, su vencimiento anterior ya no cuenta si pasó
+    $set.vence_en = vence_en || (antes.vence_en > now ? antes.vence_en : venceEnPorDefecto(now));
+    if ($set.vence_en <= now) throw httpError(400, "vence_en debe ser futura");
+    if (!todosLosItems(antes).length) throw httpError(400, "El plan no tiene ítems");
+  }
+  if (a === "aceptado") {
+    if (vencido(antes, now)) throw httpError(409, "El presupuesto venció: reábrelo y preséntalo de nuevo");
+    const elegidos = item_ids ? new Set(item_ids.map(String)) : null;
+    const items = todosLosItems(antes);
+    if (elegidos && [...elegidos].some((id) => !items.some((i) => String(i._id) === id))) {
+      throw httpError(400, "item_ids contiene ítems que no son del plan");
+    }
+    if (elegidos && !elegidos.size) throw httpError(400, "Debe aceptar al menos un ítem (o rechazar el plan)");
+    $set.fases = antes.fases.map((f) => ({
+      ...f,
+      items: f.items.map((i) => ({ ...i, aceptado: elegidos ? elegidos.has(String(i._id)) : true })),
+    }));
+    $set.total_aceptado = totalPlan($set.fases.map((f) => ({ ...f, items: f.items.filter((i) => i.aceptado) })));
+  }
+  if (a === "rechazado") $set.motivo_rechazo = motivo?.trim() || null;
+  if (a === "borrador") $set.fases = antes.fases.map((f) => ({ ...f, items: f.items.map((i) => ({ ...i, aceptado: null })) }));
+
+  const entrada = { de: antes.estado, a, en: now, actor: actorDe(req), ...(motivo ? { motivo: motivo.trim() } : {}) };
+  return { $set, $push: { historial_estados: entrada } };
+}
+
+/**
+ * Ítems del plan que se pueden agendar ahora: aceptados y sin cita vigente.
+ * Lanza 409 con el primero que no cumpla.
+ */
+async function itemsAgendables(db, plan, itemIds) {
+  if (plan.estado !== "aceptado") throw httpError(409, `El plan está ${plan.estado}: solo se agendan planes aceptados`);
+  const conEstado = todosLosItems(await conAvance(db, plan));
+  const elegidos = [];
+  for (const id of [...new Set(itemIds.map(String))]) {
+    const it = conEstado.find((i) => String(i._id) === id);
+    if (!it) throw httpError(400, `Ítem no encontrado en el plan: ${id}`);
+    if (it.estado !== "pendiente") throw httpError(409, `El ítem ${it.nombre} está ${it.estado.replace("_", " ")}`);
+    elegidos.push(it);
+  }
+  return elegidos;
+}
+
+module.exports = {
+  VIGENCIA_DIAS,
+  ESTADOS_PLAN,
+  ESTADOS_ITEM,
+  TRANSICIONES_PLAN,
+  vencido,
+  todosLosItems,
+  construirFases,
+  totalPlan,
+  conAvance,
+  cambioDeEstadoPlan,
+  itemsAgendables,
+};
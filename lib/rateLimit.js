@@ -0,0 +1,195 @@
+// lib/rateLimit.js
+// Contadores con ventana fija para rate limiting y bloqueo por fallos de auth.
+// Store en memoria (por defecto) o compartido en Mongo (RATE_LIMIT_STORE=mongo),
+// útil cuando hay varias instancias del server.
+
+const num = (v, def) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : def);
+
+const CONFIG = {
+  ipMax: num(process.env.RATE_LIMIT_IP_MAX, 300),
+  credMax: num(process.env.RATE_LIMIT_CRED_MAX, 600),
+  icalMax: num(process.env.RATE_LIMIT_ICAL_MAX, 60),
+  windowMs: num(process.env.RATE_LIMIT_WINDOW_SEC, 60) * 1000,
+  authMaxFallos: num(process.env.AUTH_MAX_FALLOS, 5),
+  authVentanaMs: num(process.env.AUTH_FALLOS_VENTANA_MIN, 15) * 60 * 1000,
+  authBloqueoMs: num(process.env.AUTH_BLOQUEO_MIN, 15) * 60 * 1000,
+};
+
+// ============================
+// Stores
+// ============================
+class MemoryStore {
+  constructor() {
+    this.map = new Map();
+    // Limpieza periódica de entradas vencidas (no mantiene vivo el proceso)
+    this.timer = setInterval(() => this.purge(), 60 * 1000);
+    this.timer.unref?.();
+  }
+
+  purge() {
+    const now = Date.now();
+    for (const [k, v] of this.map) if (v.resetAt.getTime() <= now) this.map.delete(k);
+  }
+
+  async incr(key, windowMs) {
+    const now = Date.now();
+    const curr = this.map.get(key);
+    if (!curr || curr.resetAt.getTime() <= now) {
+      const fresh = { count: 1, resetAt: new Date(now + windowMs) };
+      this.map.set(key, fresh);
+      return { ...fresh };
+    }
+    curr.count++;
+    return { ...curr };
+  }
+
+  async get(key) {
+    const curr = this.map.get(key);
+    if (!curr || curr.resetAt.getTime() <= Date.now()) return null;
+    return { ...curr };
+  }
+
+  async reset(key) {
+    return this.map.delete(key);
+  }
+
+  async list(prefix) {
+    const now = Date.now();
+    return [...this.map.entries()]
+      .filter(([k, v]) => k.startsWith(prefix) && v.resetAt.getTime() > now)
+      .map(([clave, v]) => ({ clave, ...v }));
+  }
+}
+
+class MongoStore {
+  constructor() {
+    this.ready = null;
+  }
+
+  async col() {
+    // require diferido: lib/mongo no debe cargarse si se usa el store en memoria
+    const { connect } = require("./mongo");
+    const db = await connect();
+    const col = db.collection("rate_limits");
+    if (!this.ready) {
+      this.ready = col.createIndex({ resetAt: 1 }, { name: "ttl_rate_limits", expireAfterSeconds: 0 }).catch(() => null);
+    }
+    await this.ready;
+    return col;
+  }
+
+  async incr(key, windowMs) {
+    const col = await this.col();
+    const now = new Date();
+    const vigente = { $gt: ["$resetAt", now] };
+    // Update con pipeline: reinicia el contador si la ventana ya venció
+    const doc = await col.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            count: { $cond: [vigente, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [vigente, "$resetAt", new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+    return { count: doc.count, resetAt: doc.resetAt };
+  }
+
+  async get(key) {
+    const col = await this.col();
+    const doc = await col.findOne({ _id: key, resetAt: { $gt: new Date() } });
+    return doc ? { count: doc.count, resetAt: doc.resetAt } : null;
+  }
+
+  async reset(key) {
+    const col = await this.col();
+    const r = await col.deleteOne({ _id: key });
+    return r.deletedCount > 0;
+  }
+
+  async list(prefix) {
+    const col = await this.col();
+    const rx = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`);
+    const docs = await col.find({ _id: rx, resetAt: { $gt: new Date() } }).toArray();
+    return docs.map((d) => ({ clave: d._id, count: d.count, resetAt: d.resetAt }));
+  }
+}
+
+// Se puede desactivar en desarrollo con RATE_LIMIT_ENABLED=false
+const enabled = () => (process.env.RATE_LIMIT_ENABLED ?? "true").toLowerCase() !== "false";
+
+let store;
+function getStore() {
+  if (!store) {
+    store = String(process.env.RATE_LIMIT_STORE || "memory").toLowerCase() === "mongo"
+      ? new MongoStore()
+      : new MemoryStore();
+  }
+  return store;
+}
+
+// ============================
+// Bloqueo temporal por fallos de autenticación
+// Claves: "ip:<ip>", "cred:<correo|userId|prefijo de key>"
+// ============================
+const segundosHasta = (d) => Math.max(1, Math.ceil((d.getTime() - Date.now()) / 1000));
+
+// Devuelve { bloqueado: true, retryAfter } si alguna de las claves está bloqueada
+async function verificarBloqueo(claves) {
+  if (!enabled()) return { bloqueado: false };
+  const s = getStore();
+  for (const c of claves.filter(Boolean)) {
+    const b = await s.get(`bloqueo:${c}`);
+    if (b) return { bloqueado: true, clave: c, retryAfter: segundosHasta(b.resetAt) };
+  }
+  return { bloqueado: false };
+}
+
+// Suma un fallo a cada clave; al llegar al máximo la bloquea
+async function registrarFalloAuth(claves) {
+  if (!enabled()) return;
+  const s = getStore();
+  for (const c of claves.filter(Boolean)) {
+    const f = await s.incr(`fallos:${c}`, CONFIG.authVentanaMs);
+    if (f.count >= CONFIG.authMaxFallos) {
+      await s.incr(`bloqueo:${c}`, CONFIG.authBloqueoMs);
+      await s.reset(`fallos:${c}`);
+      console.warn("[auth] bloqueo temporal", { clave: c });
+    }
+  }
+}
+
+async function limpiarFallosAuth(claves) {
+  const s = getStore();
+  for (const c of claves.filter(Boolean)) await s.reset(`fallos:${c}`);
+}
+
+async function listarBloqueos() {
+  const rows = await getStore().list("bloqueo:");
+  return rows.map((r) => ({
+    clave: r.clave.slice("bloqueo:".length),
+    hasta: r.resetAt,
+    retryAfter: segundosHasta(r.resetAt),
+  }));
+}
+
+async function quitarBloqueo(clave) {
+  const s = getStore();
+  await s.reset(`fallos:${clave}`);
+  return s.reset(`bloqueo:${clave}`);
+}
+
+module.exports = {
+  CONFIG,
+  enabled,
+  getStore,
+  segundosHasta,
+  verificarBloqueo,
+  registrarFalloAuth,
+  limpiarFallosAuth,
+  listarBloqueos,
+  quitarBloqueo,
+};
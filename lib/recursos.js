@@ -0,0 +1,177 @@
+// lib/recursos.js
+// Recursos reservables de cada sede (sillones, sala de rayos X...).
+// Una cita reserva cero o más recursos (recurso_ids) además del odontólogo:
+// los cruces se revisan en lib/agenda.js (buscarConflictos) y la
+// disponibilidad se filtra aquí.
+const { ObjectId } = require("mongodb");
+const { ESTADOS_LIBERAN_AGENDA } = require("./agenda");
+const { inicioDelDia, diaSiguiente, aLaHora, isoLocal } = require("./zonaHoraria");
+
+const TIPOS_RECURSO = ["sillon", "rayos_x", "sala", "equipo"];
+
+// Horario de referencia para el % de ocupación ("HH:MM-HH:MM")
+const JORNADA = (() => {
+  const [inicio, fin] = String(process.env.RECURSOS_JORNADA || "08:00-18:00").split("-").map((s) => s.trim());
+  return { inicio, fin };
+})();
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+const toOid = (v) => {
+  if (v instanceof ObjectId) return v;
+  try {
+    return new ObjectId(String(v));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Valida los recursos de una cita: existen, están activos y son de la sede.
+ * Devuelve los ObjectId sin repetir ([] si no viene ninguno).
+ */
+async function validarRecursos(db, ids, sedeId) {
+  const unicos = [...new Set((ids || []).map(String))];
+  if (!unicos.length) return [];
+
+  const oids = unicos.map(toOid);
+  if (oids.some((o) => !o)) throw httpError(400, "recurso_ids inválido");
+
+  const recursos = await db.collection("recursos").find({ _id: { $in: oids } }).toArray();
+  const porId = new Map(recursos.map((r) => [String(r._id), r]));
+  for (const id of unicos) {
+    const r = porId.get(id);
+    if (!r) throw httpError(400, `Recurso no encontrado: ${id}`);
+    if (r.activo === false) throw httpError(409, `El recurso ${r.nombre} está inactivo`);
+    if (sedeId && String(r.sede_id) !== String(sedeId)) throw httpError(400, `El recurso ${r.nombre} no está en esa sede`);
+  }
+  return oids;
+}
+
+// Citas que ocupan alguno de los recursos en [desde, hasta)
+function citasConRecursos(db, recursoIds, desde, hasta) {
+  return db.collection("citas")
+    .find(
+      {
+        recurso_ids: { $in: recursoIds },
+        fecha: { $lt: hasta },
+        fin: { $gt: desde },
+        estado: { $nin: ESTADOS_LIBERAN_AGENDA },
+      },
+      { projection: { fecha: 1, fin: 1, recurso_ids: 1, usuario_id: 1, paciente_id: 1, estado: 1 } }
+    )
+    .sort({ fecha: 1 })
+    .toArray();
+}
+
+// Ids de `recursoIds` que no tienen cita en [inicio, fin)
+function libresEn(citas, recursoIds, inicio, fin) {
+  const ocupados = new Set();
+  for (const c of citas) {
+    if (c.fecha < fin && c.fin > inicio) (c.recurso_ids || []).forEach((id) => ocupados.add(String(id)));
+  }
+  return recursoIds.filter((id) => !ocupados.has(String(id)));
+}
+
+/**
+ * Quita de `slots` los huecos en que no están libres los recursos pedidos:
+ * - requeridos: todos deben estar libres
+ * - alternativos: basta uno libre (p. ej. "cualquier sillón"); el slot lleva recursos_libres.
+ *   null = sin condición; [] = se pidió un tipo que la sede no tiene => ningún hueco
+ */
+async function filtrarSlotsPorRecursos(db, slots, { requeridos = [], alternativos = null } = {}) {
+  if (alternativos && !alternativos.length) return [];
+  const todos = [...requeridos, ...(alternativos || [])];
+  if (!slots.length || !todos.length) return slots;
+
+  const desde = slots.reduce((m, s) => (s.inicio < m ? s.inicio : m), slots[0].inicio);
+  const hasta = slots.reduce((m, s) => (s.fin > m ? s.fin : m), slots[0].fin);
+  const citas = await citasConRecursos(db, todos, desde, hasta);
+
+  const out = [];
+  for (const s of slots) {
+    if (libresEn(citas, requeridos, s.inicio, s.fin).length !== requeridos.length) continue;
+    if (!alternativos) {
+      out.push(s);
+      continue;
+    }
+    const libres = libresEn(citas, alternativos, s.inicio, s.fin);
+    if (libres.length) out.push({ ...s, recursos_libres: libres });
+  }
+  return out;
+}
+
+// Minutos cubiertos por la unión de los intervalos, recortados a [desde, hasta)
+function minutosCubiertos(intervalos, desde, hasta) {
+  const recortados = intervalos
+    .map((i) => ({ inicio: i.inicio < desde ? desde : i.inicio, fin: i.fin > hasta ? hasta : i.fin }))
+    .filter((i) => i.inicio < i.fin)
+    .sort((a, b) => a.inicio - b.inicio);
+
+  let total = 0;
+  let actual = null;
+  for (const i of recortados) {
+    if (actual && i.inicio <= actual.fin) {
+      if (i.fin > actual.fin) actual.fin = i.fin;
+      continue;
+    }
+    if (actual) total += actual.fin - actual.inicio;
+    actual = { ...i };
+  }
+  if (actual) total += actual.fin - actual.inicio;
+  return Math.round(total / 60000);
+}
+
+/**
+ * Ocupación de cada recurso de la sede en un día: citas, minutos ocupados dentro
+ * de la jornada (RECURSOS_JORNADA) y porcentaje. Los sobrecupos no se cuentan doble.
+ */
+async function utilizacionDelDia(db, { sede_id, fecha, tipo = null }) {
+  const dia = inicioDelDia(fecha);
+  const finDia = diaSiguiente(dia);
+  const jIni = aLaHora(dia, JORNADA.inicio);
+  const jFin = aLaHora(dia, JORNADA.fin);
+  const minutosJornada = Math.round((jFin - jIni) / 60000);
+
+  const q = { sede_id: toOid(sede_id), activo: { $ne: false } };
+  if (tipo) q.tipo = tipo;
+  const recursos = await db.collection("recursos").find(q).sort({ tipo: 1, nombre: 1 }).toArray();
+  const citas = recursos.length ? await citasConRecursos(db, recursos.map((r) => r._id), dia, finDia) : [];
+
+  return {
+    fecha: dia,
+    jornada: { inicio: JORNADA.inicio, fin: JORNADA.fin, minutos: minutosJornada },
+    data: recursos.map((r) => {
+      const suyas = citas.filter((c) => (c.recurso_ids || []).some((id) => String(id) === String(r._id)));
+      const ocupados = minutosCubiertos(suyas.map((c) => ({ inicio: c.fecha, fin: c.fin })), jIni, jFin);
+      return {
+        recurso_id: r._id,
+        nombre: r.nombre,
+        tipo: r.tipo,
+        citas: suyas.map((c) => ({
+          _id: c._id,
+          fecha: c.fecha,
+          fin: c.fin,
+          fecha_local: isoLocal(c.fecha),
+          fin_local: isoLocal(c.fin),
+          usuario_id: c.usuario_id,
+          paciente_id: c.paciente_id,
+          estado: c.estado,
+        })),
+        minutos_ocupados: ocupados,
+        minutos_libres: Math.max(minutosJornada - ocupados, 0),
+        ocupacion: minutosJornada ? Math.round((ocupados / minutosJornada) * 1000) / 1000 : 0,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  TIPOS_RECURSO,
+  JORNADA,
+  validarRecursos,
+  citasConRecursos,
+  libresEn,
+  filtrarSlotsPorRecursos,
+  utilizacionDelDia,
+};
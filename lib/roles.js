@@ -1,12 +1,27 @@
 // lib/roles.js
 const { ObjectId } = require("mongodb");
+const { DEFAULT_PERMISOS } = require("./permisos");
 
-// Catálogo permitido (coincide con validate.js -> RolEnum)
+// Roles de sistema: se siembran siempre y no se pueden renombrar, retirar ni borrar.
+// El resto de roles (Recepcionista, Higienista...) vive solo en la colección.
 const ROLE_NAMES = ["Administrador", "Odontologo", "Asistente", "Laboratorista"];
 
+const DESCRIPCIONES = {
+  Administrador: "Gestión del sistema",
+  Odontologo: "Atención clínica",
+  Asistente: "Apoyo a operación",
+  Laboratorista: "Laboratorio",
+};
 
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+/**
+ * Deja rol (nombre) y rol_id consistentes validando contra la colección roles.
+ * Si vienen ambos manda el ID. Lanza { status } si el rol no existe o está retirado.
+ */
 async function normalizeRole(db, payload) {
   const out = { ...payload };
+  if (!out.rol && !out.rol_id) return out;
 
   // Helper: parsea un posible ObjectId sin lanzar
   const parseOid = (v) => {
@@ -17,67 +32,71 @@ async function normalizeRole(db, payload) {
     }
   };
 
-  // Solo rol_id
-  if (out.rol_id && !out.rol) {
+  const col = db.collection("roles");
+  let rol = null;
+  if (out.rol_id) {
     const rid = parseOid(out.rol_id);
-    if (rid) {
-      const r = await db.collection("roles").findOne({ _id: rid });
-      if (r && r.nombre) out.rol = r.nombre;
-    }
-    return out;
+    rol = rid ? await col.findOne({ _id: rid }) : null;
   }
-
-  // Solo rol (nombre)
-  if (out.rol && !out.rol_id) {
-    // Asegura que el nombre sea uno permitido (si ya pasó Zod, esto es redundante pero seguro)
-    if (!ROLE_NAMES.includes(out.rol)) return out;
-    const r = await db.collection("roles").findOne({ nombre: out.rol });
-    if (r?._id) out.rol_id = r._id;
-    return out;
+  if (!rol && out.rol) {
+    rol = await col.findOne({ nombre: String(out.rol).trim() });
   }
 
-  // Vienen ambos
-  if (out.rol && out.rol_id) {
-    const rid = parseOid(out.rol_id);
-    if (rid) {
-      const rById = await db.collection("roles").findOne({ _id: rid });
-      if (rById) {
-        // Si el nombre no coincide, confiamos en el ID y corregimos el nombre
-        if (rById.nombre && rById.nombre !== out.rol) {
-          out.rol = rById.nombre;
-        }
-        return out;
-      }
-    }
-    // Si el ID no existe, intentamos resolver por nombre y corregimos el ID
-    if (ROLE_NAMES.includes(out.rol)) {
-      const rByName = await db.collection("roles").findOne({ nombre: out.rol });
-      if (rByName?._id) out.rol_id = rByName._id;
-    }
-  }
+  if (!rol) throw httpError(400, `Rol desconocido: ${out.rol ?? out.rol_id}`);
+  if (rol.activo === false) throw httpError(409, `El rol ${rol.nombre} está retirado`);
 
+  out.rol = rol.nombre;
+  out.rol_id = rol._id;
   return out;
 }
 
 /**
- * (Opcional) Semilla de roles si la colección está vacía.
- * Útil en dev o entornos limpios.
+ * Semilla de roles de sistema: crea los que falten y los marca como protegidos.
  */
 async function ensureRolesSeed(db) {
   const col = db.collection("roles");
-  const count = await col.estimatedDocumentCount();
-  if (count > 0) return;
+  const now = new Date();
+  for (const nombre of ROLE_NAMES) {
+    await col.updateOne(
+      { nombre },
+      {
+        $set: { sistema: true, activo: true },
+        $setOnInsert: {
+          descripcion: DESCRIPCIONES[nombre],
+          permisos: DEFAULT_PERMISOS[nombre] || [],
+          permisos_sembrados: DEFAULT_PERMISOS[nombre] || [],
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  }
+}
 
-  const docs = ROLE_NAMES.map((nombre) => ({
-    nombre,
-    descripcion:
-      nombre === "Administrador" ? "Gestión del sistema" :
-      nombre === "Odontologo"    ? "Atención clínica"    :
-      nombre === "Asistente"     ? "Apoyo a operación"    :
-      "Laboratorio",
-    permisos: [] // si luego quieres detallar permisos, aquí va
-  }));
-  await col.insertMany(docs);
+/**
+ * Agrega a los roles de sistema los permisos por defecto que aún no se les
+ * ofrecieron (p. ej. los de un módulo nuevo). `permisos_sembrados` recuerda los
+ * ya agregados: si un administrador quita uno, no vuelve a aparecer en el
+ * siguiente arranque. Los roles sin ese registro (bases anteriores) reciben
+ * todos los que les falten.
+ */
+async function ensurePermisosSeed(db) {
+  const col = db.collection("roles");
+  for (const nombre of ROLE_NAMES) {
+    const rol = await col.findOne({ nombre }, { projection: { permisos_sembrados: 1 } });
+    if (!rol) continue;
+    const defaults = DEFAULT_PERMISOS[nombre] || [];
+    const nuevos = defaults.filter((p) => !(rol.permisos_sembrados || []).includes(p));
+    if (!nuevos.length) continue;
+    await col.updateOne(
+      { _id: rol._id },
+      {
+        $addToSet: { permisos: { $each: nuevos }, permisos_sembrados: { $each: nuevos } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+  }
 }
 
-module.exports = { normalizeRole, ensureRolesSeed, ROLE_NAMES };
+module.exports = { normalizeRole, ensureRolesSeed, ensurePermisosSeed, ROLE_NAMES };
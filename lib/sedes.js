@@ -0,0 +1,155 @@
+// lib/sedes.js
+const { ObjectId } = require("mongodb");
+const { tienePermiso } = require("./permisos");
+
+// Colecciones que llevan sede_id (un solo valor). El inventario entra por sede con
+// ordenes_compras; insumos, proveedores y proveedores_insumos son catálogos
+// compartidos (como procedimientos) y no guardan existencias por sede.
+const COLECCIONES_CON_SEDE = ["citas", "ordenes_laboratorio", "ordenes_compras"];
+// Colecciones que llevan sede_ids (pueden estar en varias sedes)
+const COLECCIONES_MULTI_SEDE = ["usuarios", "pacientes"];
+
+function toOid(v) {
+  if (v instanceof ObjectId) return v;
+  try {
+    return typeof v === "string" ? new ObjectId(v) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sedes a las que puede acceder quien llama.
+ * - null  => sin restricción (API key legacy, auth desactivada o permiso/scope "sedes:todas")
+ * - [oid] => solo esas sedes (usuarios.sede_ids o api_keys.sede_ids); [] => ninguna
+ * Requiere que requirePermiso haya cargado req.permisos antes.
+ */
+function sedesPermitidas(req) {
+  if (req.auth?.tipo === "integracion") {
+    if (tienePermiso(req.permisos, "sedes:todas")) return null;
+    return (req.auth.sede_ids || []).map(toOid).filter(Boolean);
+  }
+  if (!req.auth || req.auth.tipo !== "usuario") return null;
+  if (tienePermiso(req.permisos, "sedes:todas")) return null;
+  return (req.user?.sede_ids || []).map(toOid).filter(Boolean);
+}
+
+function puedeVerSede(req, sedeId) {
+  const permitidas = sedesPermitidas(req);
+  if (permitidas === null) return true;
+  const oid = toOid(sedeId);
+  return !!oid && permitidas.some((s) => s.equals(oid));
+}
+
+/**
+ * Agrega el filtro de sede a una query de Mongo.
+ * campo: "sede_id" (citas, órdenes) o "sede_ids" (usuarios, pacientes); $in sirve para ambos.
+ */
+function scopeSede(req, q = {}, campo = "sede_id") {
+  const permitidas = sedesPermitidas(req);
+  if (permitidas === null) return q;
+  const filtro = { [campo]: { $in: permitidas } };
+  return Object.keys(q).length ? { $and: [q, filtro] } : filtro;
+}
+
+/**
+ * Resuelve la sede de un documento nuevo:
+ * - si viene sede_id, debe ser válida, existir y estar permitida;
+ * - si no viene, se usa la única sede posible (del usuario o del sistema).
+ * Lanza Error con .status para que la ruta responda 400/403.
+ */
+async function resolverSedeId(db, req, valor) {
+  const fail = (status, msg) => Object.assign(new Error(msg), { status });
+
+  if (valor != null && valor !== "") {
+    const oid = toOid(valor);
+    if (!oid) throw fail(400, "sede_id inválido");
+    const sede = await db.collection("sedes").findOne({ _id: oid });
+    if (!sede || sede.activo === false) throw fail(400, "Sede no encontrada o inactiva");
+    if (!puedeVerSede(req, oid)) throw fail(403, "Sin acceso a esa sede");
+    return oid;
+  }
+
+  const permitidas = sedesPermitidas(req);
+  if (permitidas && permitidas.length === 1) return permitidas[0];
+
+  const activas = await db.collection("sedes").find({ activo: { $ne: false } }, { projection: { _id: 1 } }).limit(2).toArray();
+  if (activas.length === 1 && puedeVerSede(req, activas[0]._id)) return activas[0]._id;
+
+  throw fail(400, "sede_id es obligatorio");
+}
+
+// Igual que resolverSedeId pero para listas (usuarios.sede_ids)
+async function resolverSedeIds(db, req, valores) {
+  if (!Array.isArray(valores) || valores.length === 0) return [await resolverSedeId(db, req, null)];
+  const out = [];
+  for (const v of valores) {
+    const oid = await resolverSedeId(db, req, v);
+    if (!out.some((s) => s.equals(oid))) out.push(oid);
+  }
+  return out;
+}
+
+/**
+ * Las historias clínicas no llevan sede propia: se accede a ellas
+ * a través de las sedes del paciente.
+ */
+async function pacienteVisible(db, req, pacienteId) {
+  if (sedesPermitidas(req) === null) return true;
+  const n = await db.collection("pacientes").countDocuments(scopeSede(req, { _id: String(pacienteId) }, "sede_ids"));
+  return n > 0;
+}
+
+// Filtro { paciente_id: { $in: [...] } } con los pacientes visibles (null = sin restricción)
+async function filtroPacientesVisibles(db, req) {
+  if (sedesPermitidas(req) === null) return null;
+  const ids = await db.collection("pacientes").distinct("_id", scopeSede(req, {}, "sede_ids"));
+  return { paciente_id: { $in: ids } };
+}
+
+// Precio de un procedimiento en una sede (override por sede o costo base)
+function costoEnSede(proc, sedeId) {
+  const oid = toOid(sedeId);
+  const override = oid && (proc?.precios_sede || []).find((p) => toOid(p.sede_id)?.equals(oid));
+  return override ? override.costo : proc?.costo;
+}
+
+/**
+ * Semilla: si no hay sedes, crea la sede principal y asigna a ella
+ * todos los documentos existentes que aún no tienen sede.
+ */
+async function ensureSedesSeed(db) {
+  const col = db.collection("sedes");
+  const count = await col.estimatedDocumentCount();
+  if (count > 0) return;
+
+  const now = new Date();
+  const r = await col.insertOne({
+    nombre: process.env.SEDE_PRINCIPAL_NOMBRE || "Sede principal",
+    direccion: null,
+    telefono: null,
+    activo: true,
+    createdAt: now,
+    updatedAt: now,
+  });
+  const sedeId = r.insertedId;
+
+  for (const c of COLECCIONES_CON_SEDE) {
+    await db.collection(c).updateMany({ sede_id: { $exists: false } }, { $set: { sede_id: sedeId } });
+  }
+  for (const c of COLECCIONES_MULTI_SEDE) {
+    await db.collection(c).updateMany({ sede_ids: { $exists: false } }, { $set: { sede_ids: [sedeId] } });
+  }
+}
+
+module.exports = {
+  sedesPermitidas,
+  puedeVerSede,
+  scopeSede,
+  resolverSedeId,
+  resolverSedeIds,
+  pacienteVisible,
+  filtroPacientesVisibles,
+  costoEnSede,
+  ensureSedesSeed,
+};
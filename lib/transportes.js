@@ -0,0 +1,172 @@
+// lib/transportes.js
+// Transportes de notificaciones (intercambiables por canal).
+// Cada transporte es { canales: [...], enviar(msg) } y lanza Error si falla;
+// el outbox (lib/notificaciones.js) se encarga de los reintentos.
+//
+// Elección por canal con variables de entorno (sin default: consola y archivo
+// son para desarrollo y hay que pedirlos explícitamente):
+//   NOTIF_TRANSPORTE_EMAIL=smtp|archivo|consola
+//   NOTIF_TRANSPORTE_SMS=sms_gateway|archivo|consola
+//   NOTIF_TRANSPORTE_WHATSAPP=whatsapp|archivo|consola
+// Un canal sin transporte configurado no envía: sus mensajes quedan pendientes.
+//
+// WhatsApp solo permite texto libre dentro de las 24 h siguientes a un mensaje
+// del paciente, así que el transporte "whatsapp" envía plantillas aprobadas en Meta:
+//   WHATSAPP_PLANTILLA_<TIPO>=nombre   (RECORDATORIO, CONFIRMADA, REPROGRAMADA, CANCELADA)
+//   WHATSAPP_PLANTILLA=nombre          (la que se usa si el tipo no tiene una propia)
+//   WHATSAPP_PLANTILLA_<TIPO>_PARAMETROS=paciente,fecha,...  (orden de {{1}}, {{2}}...)
+//   WHATSAPP_PLANTILLA_IDIOMA=es       (código de idioma con que se aprobó la plantilla)
+const fs = require("fs/promises");
+const path = require("path");
+
+const CANALES = ["email", "sms", "whatsapp"];
+
+const registro = new Map();
+
+/**
+ * Registra un transporte (los de abajo vienen incluidos; se pueden agregar otros
+ * desde fuera, p. ej. un proveedor de SMS distinto, antes de arrancar el worker).
+ */
+function registrarTransporte(nombre, transporte) {
+  if (typeof transporte?.enviar !== "function") throw new Error(`Transporte ${nombre} sin enviar()`);
+  registro.set(nombre, { canales: CANALES, ...transporte, nombre });
+}
+
+const nombreTransporte = (canal) => process.env[`NOTIF_TRANSPORTE_${canal.toUpperCase()}`]?.trim() || null;
+
+// Canales con transporte configurado (el worker solo toma mensajes de estos)
+const canalesConfigurados = () => CANALES.filter((c) => nombreTransporte(c));
+
+function transporteDeCanal(canal) {
+  const nombre = nombreTransporte(canal);
+  if (!nombre) throw new Error(`Sin transporte configurado para ${canal} (NOTIF_TRANSPORTE_${canal.toUpperCase()})`);
+  const t = registro.get(nombre);
+  if (!t) throw new Error(`Transporte desconocido: ${nombre}`);
+  if (!t.canales.includes(canal)) throw new Error(`El transporte ${nombre} no soporta ${canal}`);
+  return t;
+}
+
+// ============================
+// Desarrollo
+// ============================
+registrarTransporte("consola", {
+  async enviar(msg) {
+    console.log(`[notificaciones] ${msg.canal} -> ${msg.destino}: ${msg.asunto ? `${msg.asunto} | ` : ""}${msg.cuerpo}`);
+    return { id: null };
+  },
+});
+
+// Una línea JSON por mensaje (NOTIF_ARCHIVO, default ./tmp/notificaciones.log)
+registrarTransporte("archivo", {
+  async enviar(msg) {
+    const file = process.env.NOTIF_ARCHIVO || path.join(process.cwd(), "tmp", "notificaciones.log");
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const { canal, destino, asunto, cuerpo } = msg;
+    await fs.appendFile(file, JSON.stringify({ ts: new Date().toISOString(), canal, destino, asunto, cuerpo }) + "\n");
+    return { id: null };
+  },
+});
+
+// ============================
+// Email (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE, SMTP_FROM)
+// ============================
+let smtp = null;
+registrarTransporte("smtp", {
+  canales: ["email"],
+  async enviar(msg) {
+    if (!smtp) {
+      if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST no configurado");
+      const nodemailer = require("nodemailer");
+      smtp = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: String(process.env.SMTP_SECURE || "false").toLowerCase() === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+    const info = await smtp.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: msg.destino,
+      subject: msg.asunto || "DentalFlow",
+      text: msg.cuerpo,
+    });
+    return { id: info.messageId ?? null };
+  },
+});
+
+// ============================
+// HTTP (SMS y WhatsApp)
+// ============================
+async function postJson(url, body, headers = {}) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(15000),
+  });
+  const text = await r.text();
+  if (!r.ok) throw new Error(`HTTP ${r.status}: ${text.slice(0, 300)}`);
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+// Gateway SMS genérico: POST SMS_GATEWAY_URL { to, message } con Bearer SMS_GATEWAY_TOKEN
+registrarTransporte("sms_gateway", {
+  canales: ["sms"],
+  async enviar(msg) {
+    if (!process.env.SMS_GATEWAY_URL) throw new Error("SMS_GATEWAY_URL no configurado");
+    const token = process.env.SMS_GATEWAY_TOKEN;
+    const data = await postJson(
+      process.env.SMS_GATEWAY_URL,
+      { to: msg.destino, message: msg.cuerpo, from: process.env.SMS_GATEWAY_FROM || undefined },
+      token ? { Authorization: `Bearer ${token}` } : {}
+    );
+    return { id: data.id ?? data.message_id ?? null };
+  },
+});
+
+// Parámetros por defecto de cada plantilla, en el orden de los textos de lib/notificaciones.js
+const PARAMETROS_WHATSAPP = {
+  recordatorio: ["paciente", "fecha", "hora", "odontologo", "sede"],
+  confirmada: ["paciente", "fecha", "hora", "odontologo", "sede"],
+  reprogramada: ["paciente", "fecha", "hora", "odontologo", "sede"],
+  cancelada: ["paciente", "fecha", "hora", "motivo_cancelacion"],
+};
+
+function plantillaWhatsapp(msg) {
+  const tipo = String(msg.tipo || "").toUpperCase();
+  const nombre = process.env[`WHATSAPP_PLANTILLA_${tipo}`]?.trim() || process.env.WHATSAPP_PLANTILLA?.trim();
+  if (!nombre) throw new Error(`Sin plantilla de WhatsApp para ${msg.tipo} (WHATSAPP_PLANTILLA_${tipo})`);
+  const env = process.env[`WHATSAPP_PLANTILLA_${tipo}_PARAMETROS`];
+  const claves = env ? env.split(",").map((s) => s.trim()).filter(Boolean) : PARAMETROS_WHATSAPP[msg.tipo] || [];
+  const vars = msg.variables || {};
+  return {
+    name: nombre,
+    language: { code: process.env.WHATSAPP_PLANTILLA_IDIOMA?.trim() || "es" },
+    components: claves.length
+      ? [{ type: "body", parameters: claves.map((k) => ({ type: "text", text: String(vars[k] ?? "") || "-" })) }]
+      : [],
+  };
+}
+
+// WhatsApp Cloud API (WHATSAPP_TOKEN, WHATSAPP_PHONE_ID); ver WHATSAPP_PLANTILLA* arriba
+registrarTransporte("whatsapp", {
+  canales: ["whatsapp"],
+  async enviar(msg) {
+    const { WHATSAPP_TOKEN, WHATSAPP_PHONE_ID } = process.env;
+    if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) throw new Error("WHATSAPP_TOKEN/WHATSAPP_PHONE_ID no configurados");
+    const template = plantillaWhatsapp(msg);
+    const version = process.env.WHATSAPP_API_VERSION || "v19.0";
+    const data = await postJson(
+      `https://graph.facebook.com/${version}/${WHATSAPP_PHONE_ID}/messages`,
+      { messaging_product: "whatsapp", to: msg.destino.replace(/[^\d]/g, ""), type: "template", template },
+      { Authorization: `Bearer ${WHATSAPP_TOKEN}` }
+    );
+    return { id: data.messages?.[0]?.id ?? null };
+  },
+});
+
+module.exports = { CANALES, registrarTransporte, canalesConfigurados, transporteDeCanal };
@@ -4,28 +4,34 @@ const { z } = require("zod");
 /* ===========================
    Enums y normalizadores
    =========================== */
-const EstadoEnum = z.enum(["activo", "inactivo", "suspendido"]);
+const EstadoEnum = z.enum(["activo", "inactivo", "suspendido", "invitado"]);
 const EstadoCi = z.string().transform(s => s.trim().toLowerCase()).pipe(EstadoEnum);
 
-const RolEnum = z.enum(["Administrador", "Odontologo", "Asistente", "Laboratorista"]);
+// Los roles son datos (colección roles); normalizeRole valida que exista y esté activo
+const RolNombre = z.string().min(1).transform(s => s.trim());
 const OidStr  = z.string().regex(/^[0-9a-fA-F]{24}$/, "ObjectId inválido");
 
 // Fecha: acepta Date o string parseable y valida que sea Date válido
 const Fecha = z.preprocess((v) => (v instanceof Date ? v : new Date(v)), z.date());
 
+const Password = z.string().min(8, "password debe tener al menos 8 caracteres");
+
 
 const usuarioSchemaCreate = z.object({
   nombres:  z.string().min(1).transform(s => s.trim()),
   apellidos:z.string().min(1).transform(s => s.trim()),
   correo:   z.string().email().transform(s => s.trim().toLowerCase()),
   estado:   EstadoCi.default("activo"),
-  rol:      RolEnum,
+  rol:      RolNombre.optional(),
   rol_id:   OidStr.optional(),
   direccion: z.string().optional().transform(s => s?.trim() || undefined),
   telefono:  z.string().optional().transform(s => s?.trim() || undefined),
   especialidad: z.union([z.string(), z.array(z.string())]).optional(),
+  sede_ids: z.array(OidStr).optional(),
   userId: z.string().optional().nullable(),
+  password: Password.optional(), // se guarda como password_hash
 }).superRefine((val, ctx) => {
+  if (!val.rol && !val.rol_id) ctx.addIssue({ code: "custom", message: "Debe incluir 'rol' o 'rol_id'" });
   // Solo es obligatoria para Odontólogo
   if (val.rol === "Odontologo") {
     const ok = Array.isArray(val.especialidad)
@@ -41,16 +47,41 @@ const usuarioSchemaPatch = z.object({
   apellidos:z.string().min(1).optional(),
   correo:   z.string().email().optional(),
   estado:   EstadoCi.optional(),
-  rol:      RolEnum.optional(),
+  rol:      RolNombre.optional(),
   rol_id:   OidStr.optional(),
   direccion: z.string().optional(),
   telefono:  z.string().optional(),
   especialidad: z.union([z.string(), z.array(z.string())]).optional(),
+  sede_ids: z.array(OidStr).optional(),
+  password: Password.optional(),
 }).refine(v => {
-  const keys = ["nombres","apellidos","correo","estado","rol","rol_id","direccion","telefono","especialidad"];
+  const keys = ["nombres","apellidos","correo","estado","rol","rol_id","direccion","telefono","especialidad","sede_ids","password"];
   return keys.some(k => v[k] !== undefined);
 }, { message: "Nada para actualizar" });
 
+/* ===========================
+   AUTH
+   =========================== */
+const loginSchema = z.object({
+  correo:   z.string().email().transform(s => s.trim().toLowerCase()).optional(),
+  userId:   z.string().min(1).transform(s => s.trim()).optional(),
+  password: z.string().min(1),
+}).refine(v => v.correo || v.userId, { message: "Debe incluir 'correo' o 'userId'" });
+
+const refreshSchema = z.object({
+  refresh_token: z.string().min(1),
+});
+
+const cambioPasswordSchema = z.object({
+  password_actual: z.string().min(1),
+  password_nueva:  Password,
+});
+
+const aceptarInvitacionSchema = z.object({
+  token:    z.string().min(1),
+  password: Password,
+});
+
 /* ===========================
    PACIENTES
    =========================== */
@@ -64,6 +95,7 @@ const pacienteSchemaUpsert = z.object({
   direccion:  z.string().optional().transform(s => s?.trim() || undefined),
   correo:     z.string().email().optional().transform(s => s?.toLowerCase() || undefined),
   tipo_sangre:z.string().min(1),
+  sede_id:    OidStr.optional(), // sede a la que se vincula (se agrega a sede_ids)
 });
 
 function titleCase(s) {
@@ -162,6 +194,12 @@ module.exports = {
   usuarioSchemaCreate,
   usuarioSchemaPatch,
 
+  // auth
+  loginSchema,
+  refreshSchema,
+  cambioPasswordSchema,
+  aceptarInvitacionSchema,
+
   // pacientes
   pacienteSchemaUpsert,
   normalizePaciente,
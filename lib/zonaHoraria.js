@@ -0,0 +1,181 @@
+// lib/zonaHoraria.js
+// Fechas en la zona horaria de la clínica (CLINIC_TZ, p. ej. "America/Bogota").
+// El servidor puede correr en UTC: todo lo que sea "día", "hora del día" o
+// "día de la semana" se calcula aquí con Intl, nunca con los getters locales de Date.
+// Sin CLINIC_TZ se usa TZ o la zona del sistema (comportamiento anterior).
+
+function zonaValida(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const ZONA = (() => {
+  const tz = process.env.CLINIC_TZ || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  if (zonaValida(tz)) return tz;
+  console.warn(`[zona] CLINIC_TZ inválida (${tz}); se usa UTC`);
+  return "UTC";
+})();
+
+const fmtPartes = new Intl.DateTimeFormat("en-US", {
+  timeZone: ZONA,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  weekday: "short",
+});
+const DIAS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Componentes de `d` en la zona de la clínica: { y, m (1-12), d, h, mi, s, dia (0=domingo) } */
+function partes(fecha) {
+  const p = {};
+  for (const { type, value } of fmtPartes.formatToParts(fecha)) p[type] = value;
+  return {
+    y: Number(p.year),
+    m: Number(p.month),
+    d: Number(p.day),
+    h: Number(p.hour),
+    mi: Number(p.minute),
+    s: Number(p.second),
+    dia: DIAS[p.weekday],
+  };
+}
+
+// Desfase de la zona (ms) en ese instante: hora de pared - UTC
+function desfase(fecha) {
+  const p = partes(fecha);
+  const pared = Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s);
+  return pared - Math.floor(fecha.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instante que corresponde a una hora de pared en la zona de la clínica.
+ * Acepta desbordes (d = 32, mi = 90...) como Date.UTC. Una hora inexistente
+ * (salto de horario de verano) se resuelve a la hora válida contigua.
+ */
+function enZona(y, m, d, h = 0, mi = 0, s = 0) {
+  const pared = Date.UTC(y, m - 1, d, h, mi, s);
+  let t = pared - desfase(new Date(pared));
+  const off2 = desfase(new Date(t));
+  if (pared - off2 !== t) t = pared - off2;
+  return new Date(t);
+}
+
+const inicioDelDia = (fecha) => {
+  const p = partes(fecha);
+  return enZona(p.y, p.m, p.d);
+};
+// Aritmética de calendario (no +24h) para no desfasarse en cambios de horario
+const sumarDias = (fecha, n) => {
+  const p = partes(fecha);
+  return enZona(p.y, p.m, p.d + n, p.h, p.mi, p.s);
+};
+const diaSiguiente = (fecha) => {
+  const p = partes(fecha);
+  return enZona(p.y, p.m, p.d + 1);
+};
+// Misma fecha (en la zona) a la hora "HH:MM"
+const aLaHora = (fecha, hora) => {
+  const p = partes(fecha);
+  const [h, mi] = String(hora).split(":").map(Number);
+  return enZona(p.y, p.m, p.d, h, mi);
+};
+const diaSemana = (fecha) => partes(fecha).dia;
+const minutosDelDia = (fecha) => {
+  const p = partes(fecha);
+  return p.h * 60 + p.mi;
+};
+
+// "YYYY-MM-DD" del instante en la zona de la clínica
+const fechaISO = (fecha = new Date()) => {
+  const p = partes(fecha);
+  return `${p.y}-${pad(p.m)}-${pad(p.d)}`;
+};
+
+// "2025-03-04T10:30:00-05:00": hora de la clínica con su desfase
+function isoLocal(fecha) {
+  if (!fecha) return null;
+  const p = partes(fecha);
+  const off = Math.round(desfase(fecha) / 60000);
+  const signo = off < 0 ? "-" : "+";
+  const abs = Math.abs(off);
+  return `${p.y}-${pad(p.m)}-${pad(p.d)}T${pad(p.h)}:${pad(p.mi)}:${pad(p.s)}${signo}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+const RX_DIA = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Fecha-hora sin zona ("2025-03-04T10:30", con o sin segundos)
+const RX_SIN_ZONA = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+
+/**
+ * Parsea una fecha de entrada interpretándola en la zona de la clínica:
+ * - "YYYY-MM-DD"        => inicio de ese día (o del siguiente si finDeDia, límite exclusivo)
+ * - "YYYY-MM-DDTHH:MM"  => esa hora de pared en la clínica
+ * - con Z u offset      => el instante tal cual
+ * Devuelve null si no es una fecha válida.
+ */
+function parseFecha(v, { finDeDia = false } = {}) {
+  if (v == null || v === "") return null;
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v;
+  const s = String(v).trim();
+
+  let m = RX_DIA.exec(s);
+  if (m) return enZona(Number(m[1]), Number(m[2]), Number(m[3]) + (finDeDia ? 1 : 0));
+
+  m = RX_SIN_ZONA.exec(s);
+  if (m) return enZona(Number(m[1]), Number(m[2]), Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6] || 0));
+
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Filtro Mongo { $gte, $lt } para ?desde=&hasta= (días completos, hasta inclusive).
+ * Devuelve null si no viene ninguno; lanza { status: 400 } si alguno es inválido.
+ */
+function rangoFechas(desde, hasta) {
+  if (!desde && !hasta) return null;
+  const out = {};
+  if (desde) {
+    out.$gte = parseFecha(desde);
+    if (!out.$gte) throw Object.assign(new Error("desde inválido"), { status: 400 });
+  }
+  if (hasta) {
+    out.$lt = parseFecha(hasta, { finDeDia: true });
+    if (!out.$lt) throw Object.assign(new Error("hasta inválido"), { status: 400 });
+  }
+  return out;
+}
+
+const fmtFecha = new Intl.DateTimeFormat("es", { timeZone: ZONA, weekday: "long", day: "numeric", month: "long" });
+const fmtHora = new Intl.DateTimeFormat("es", { timeZone: ZONA, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+
+// Textos para mensajes a pacientes ("martes, 4 de marzo", "10:30")
+const formatearFecha = (fecha) => fmtFecha.format(fecha);
+const formatearHora = (fecha) => fmtHora.format(fecha);
+
+module.exports = {
+  ZONA,
+  partes,
+  enZona,
+  inicioDelDia,
+  diaSiguiente,
+  sumarDias,
+  aLaHora,
+  diaSemana,
+  minutosDelDia,
+  fechaISO,
+  isoLocal,
+  parseFecha,
+  rangoFechas,
+  formatearFecha,
+  formatearHora,
+};
@@ -1,14 +1,95 @@
-module.exports = function apiKeyAuth(req, res, next) {
+const { connect, oidMaybe } = require("../lib/mongo");
+const { verifyToken, puedeAutenticarse, publicUser } = require("../lib/auth");
+const { verificarApiKey, expandirScopes, parsePrefijo } = require("../lib/apiKeys");
+const { verificarBloqueo, registrarFalloAuth, limpiarFallosAuth } = require("../lib/rateLimit");
+const { responderBloqueo } = require("./rateLimit");
+
+// API keys:
+// 1) API_KEY del entorno (legacy, acceso completo)
+// 2) Keys de integración de la colección api_keys (permisos = scopes de la key)
+async function apiKeyAuth(req, res, next) {
   const key = (req.header("x-api-key") || "").trim();
   const expected = (process.env.API_KEY || "").trim();
 
-  if (!expected) {
-    console.warn("[auth] API_KEY not set in env");
-    return res.status(401).json({ ok: false, error: "Unauthorized" });
+  if (expected && key === expected) {
+    req.auth = { tipo: "api_key" };
+    req.user = null;
+    return next();
+  }
+
+  try {
+    // Los fallos y el bloqueo van por key (su prefijo), no por IP: una key vieja
+    // olvidada en un equipo no debe dejar sin API a todos los de esa red
+    const prefijo = parsePrefijo(key);
+    const claves = prefijo ? [`cred:key:${prefijo}`] : [];
+    const bloqueo = await verificarBloqueo(claves);
+    if (bloqueo.bloqueado) return responderBloqueo(res, bloqueo);
+
+    const db = await connect();
+    const doc = await verificarApiKey(db, key);
+    if (!doc) {
+      console.warn("[auth] Bad API key", { gotLen: key.length });
+      await registrarFalloAuth(claves);
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    await limpiarFallosAuth(claves);
+
+    req.auth = { tipo: "integracion", api_key_id: doc._id, nombre: doc.nombre, sede_ids: doc.sede_ids || [] };
+    req.permisos = expandirScopes(doc.scopes);
+    req.user = null;
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+// Autenticación por usuario: Authorization: Bearer <access token>
+// - Verifica firma/expiración del token
+// - Carga el usuario desde BD y respeta su estado (suspendido/inactivo => 401)
+// - Deja el usuario (sin password_hash) en req.user
+// Si no hay Bearer pero sí x-api-key, cae en apiKeyAuth.
+// EventSource (SSE) no puede mandar cabeceras: solo para Accept: text/event-stream
+// se acepta el token en ?access_token= (ver routes/eventos.js).
+async function authenticate(req, res, next) {
+  const header = req.header("authorization") || "";
+  let [scheme, token] = header.split(" ");
+  if (!token && req.query.access_token && String(req.header("accept") || "").includes("text/event-stream")) {
+    [scheme, token] = ["bearer", String(req.query.access_token)];
   }
-  if (key !== expected) {
-    console.warn("[auth] Bad API key", { gotLen: key.length, expLen: expected.length });
+
+  if (scheme?.toLowerCase() !== "bearer" || !token) {
+    if (req.header("x-api-key")) return apiKeyAuth(req, res, next);
     return res.status(401).json({ ok: false, error: "Unauthorized" });
   }
-  next();
-};
+
+  let payload;
+  try {
+    payload = verifyToken(token.trim(), "access");
+  } catch (e) {
+    // Sin fallo de auth: no hay credencial a la que atribuirlo (el sub no está verificado)
+    // y contarlo por IP bloquearía a toda la red, p. ej. tras rotar JWT_SECRET.
+    // La fuerza bruta de firmas no es viable; el límite por IP sigue aplicando.
+    return res.status(401).json({ ok: false, error: "Token inválido o expirado" });
+  }
+
+  try {
+    const oid = oidMaybe(payload.sub);
+    if (!oid) return res.status(401).json({ ok: false, error: "Unauthorized" });
+
+    const db = await connect();
+    const usuario = await db.collection("usuarios").findOne({ _id: oid });
+    if (!usuario) return res.status(401).json({ ok: false, error: "Unauthorized" });
+    if (!puedeAutenticarse(usuario)) {
+      return res.status(401).json({ ok: false, error: `Usuario ${usuario.estado}` });
+    }
+
+    // exp (segundos) lo usan las conexiones largas (SSE) para cerrarse al vencer el token
+    req.auth = { tipo: "usuario", exp: payload.exp ?? null };
+    req.user = publicUser(usuario);
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = { authenticate, apiKeyAuth };
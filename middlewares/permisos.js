@@ -0,0 +1,56 @@
+const { connect } = require("../lib/mongo");
+const { tienePermiso } = require("../lib/permisos");
+
+// Resuelve los permisos del rol del usuario autenticado (por rol_id o por nombre)
+async function permisosDeUsuario(db, user) {
+  const col = db.collection("roles");
+  const rol = user.rol_id
+    ? await col.findOne({ _id: user.rol_id })
+    : user.rol
+    ? await col.findOne({ nombre: user.rol })
+    : null;
+  return rol?.permisos || [];
+}
+
+/**
+ * ¿Quien llama tiene `permiso`? Para chequeos dentro del handler (p. ej. un flag
+ * del body que requiere un permiso extra). Requiere que requirePermiso haya
+ * cargado req.permisos antes.
+ */
+function tienePermisoReq(req, permiso) {
+  if (!req.auth || req.auth.tipo === "api_key") return true;
+  return tienePermiso(req.permisos, permiso);
+}
+
+/**
+ * Middleware: exige un permiso antes de ejecutar el handler.
+ * `permiso` puede ser un string ("citas:write") o una función (req) => string
+ * cuando el permiso depende del body (p. ej. cambiar solo el estado).
+ *
+ * - API key legacy: acceso completo.
+ * - Keys de integración: req.permisos ya viene con sus scopes (middlewares/auth).
+ * - Auth desactivada (ENABLE_AUTH=false): no hay req.auth y se deja pasar.
+ */
+function requirePermiso(permiso) {
+  return async (req, res, next) => {
+    try {
+      if (!req.auth || req.auth.tipo === "api_key") return next();
+
+      const requerido = typeof permiso === "function" ? permiso(req) : permiso;
+
+      if (!req.permisos) {
+        const db = await connect();
+        req.permisos = await permisosDeUsuario(db, req.user || {});
+      }
+
+      if (!tienePermiso(req.permisos, requerido)) {
+        return res.status(403).json({ ok: false, error: `Permiso requerido: ${requerido}` });
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+module.exports = { requirePermiso, tienePermisoReq };
@@ -0,0 +1,70 @@
+const { CONFIG, enabled, getStore, segundosHasta, verificarBloqueo } = require("../lib/rateLimit");
+
+/**
+ * Middleware de rate limiting con ventana fija.
+ * `clave(req)` identifica al solicitante; si devuelve null no se limita.
+ * Responde 429 con Retry-After al superar `max` requests en la ventana.
+ */
+function rateLimit({ nombre, max, windowMs = CONFIG.windowMs, clave }) {
+  return async (req, res, next) => {
+    try {
+      if (!enabled()) return next();
+      const id = clave(req);
+      if (!id) return next();
+
+      const { count, resetAt } = await getStore().incr(`rl:${nombre}:${id}`, windowMs);
+      res.set("X-RateLimit-Limit", String(max));
+      res.set("X-RateLimit-Remaining", String(Math.max(0, max - count)));
+      res.set("X-RateLimit-Reset", String(Math.ceil(resetAt.getTime() / 1000)));
+
+      if (count > max) {
+        res.set("Retry-After", String(segundosHasta(resetAt)));
+        return res.status(429).json({ ok: false, error: "Demasiadas solicitudes, intenta más tarde" });
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+// Por IP (se aplica a todo /api, antes de autenticar)
+const limitePorIp = rateLimit({ nombre: "ip", max: CONFIG.ipMax, clave: (req) => req.ip });
+
+// Por credencial (después de autenticar): usuario o API key
+const limitePorCredencial = rateLimit({
+  nombre: "cred",
+  max: CONFIG.credMax,
+  clave: (req) => {
+    if (req.auth?.tipo === "usuario" && req.user?._id) return `u:${req.user._id}`;
+    if (req.auth?.tipo === "integracion") return `k:${req.auth.api_key_id}`;
+    if (req.auth?.tipo === "api_key") return "legacy";
+    return null;
+  },
+});
+
+// Feeds iCalendar (/ical): límite propio por IP, separado del de /api y sin
+// bloqueo por fallos (los calendarios reintentan solos con tokens rotados)
+const limiteIcal = rateLimit({ nombre: "ical", max: CONFIG.icalMax, clave: (req) => req.ip });
+
+// Corta con 429 si la IP está bloqueada por fallos de autenticación
+async function bloqueoPorIp(req, res, next) {
+  try {
+    const b = await verificarBloqueo([`ip:${req.ip}`]);
+    if (b.bloqueado) return responderBloqueo(res, b);
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+function responderBloqueo(res, b) {
+  res.set("Retry-After", String(b.retryAfter));
+  return res.status(429).json({
+    ok: false,
+    error: "Demasiados intentos fallidos, acceso bloqueado temporalmente",
+    retryAfter: b.retryAfter,
+  });
+}
+
+module.exports = { rateLimit, limitePorIp, limitePorCredencial, limiteIcal, bloqueoPorIp, responderBloqueo };
@@ -2,8 +2,9 @@
 const express = require("express");
 const router = express.Router();
 const { connect } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
 
-router.get("/db-ping", async (_req, res) => {
+router.get("/db-ping", requirePermiso("debug:read"), async (_req, res) => {
   try {
     const db = await connect();
     const ping = await db.command({ ping: 1 });
@@ -0,0 +1,258 @@
+// routes/api_keys.js
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso, tienePermisoReq } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { SCOPES_PRESET, scopeValido, expandirScopes, generarApiKey, publicApiKey } = require("../lib/apiKeys");
+const { puedeVerSede } = require("../lib/sedes");
+const { tienePermiso } = require("../lib/permisos");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+const Scope = z.string().min(1).refine(scopeValido, (s) => ({ message: `Scope desconocido: ${s}` }));
+const FechaFutura = z.preprocess(
+  (v) => (v == null ? v : new Date(v)),
+  z.date().refine((d) => d > new Date(), { message: "expiraEn debe ser futura" })
+);
+
+const ApiKeyCreate = z.object({
+  nombre: z.string().min(1).transform(s => s.trim()),
+  scopes: z.array(Scope).min(1),
+  expiraEn: FechaFutura.optional().nullable(),
+  sede_ids: z.array(OidStr).optional().default([]),
+});
+
+const ApiKeyPatch = z.object({
+  nombre: z.string().min(1).optional(),
+  scopes: z.array(Scope).min(1).optional(),
+  expiraEn: FechaFutura.optional().nullable(),
+  sede_ids: z.array(OidStr).optional(),
+}).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
+
+const ApiKeyRotar = z.object({
+  // Minutos durante los que la key anterior sigue funcionando
+  gracia_min: z.number().int().min(0).max(7 * 24 * 60).optional().default(0),
+});
+
+// ============================
+// Helpers
+// ============================
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+/**
+ * Una key no puede tener más alcance que quien la crea o edita: cada permiso de
+ * sus scopes debe tenerlo quien llama, y sus sedes deben ser visibles para él.
+ * Sin sede_ids la key no ve ninguna sede, salvo con el scope "sedes:todas".
+ */
+function assertAlcance(req, scopes, sedeIds) {
+  const ajenos = expandirScopes(scopes).filter((p) => !tienePermisoReq(req, p));
+  if (ajenos.length) throw httpError(403, `No puedes conceder permisos que no tienes: ${ajenos.join(", ")}`);
+  if (sedeIds.some((s) => !puedeVerSede(req, s))) throw httpError(403, "Sin acceso a alguna de las sedes");
+  if (!sedeIds.length && !tienePermiso(expandirScopes(scopes), "sedes:todas")) {
+    throw httpError(400, 'Indica sede_ids o el scope "sedes:todas"');
+  }
+}
+
+// Todas las rutas de este router son de administración
+router.use(requirePermiso("api_keys:manage"));
+
+// ============================
+// GET /api/api-keys/scopes  <-- ¡antes de :id!
+// ============================
+router.get("/scopes", (_req, res) => {
+  res.json({ ok: true, data: SCOPES_PRESET });
+});
+
+// ============================
+// POST /api/api-keys
+// Devuelve la key en claro UNA sola vez.
+// ============================
+router.post("/", async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("api_keys");
+    const body = ApiKeyCreate.parse(req.body);
+    assertAlcance(req, body.scopes, body.sede_ids);
+
+    const { key, prefijo, hash } = generarApiKey();
+    const now = new Date();
+    const doc = {
+      nombre: body.nombre,
+      prefijo,
+      hash,
+      scopes: body.scopes,
+      sede_ids: body.sede_ids.map(oidMaybe),
+      expiraEn: body.expiraEn ?? null,
+      lastUsedAt: null,
+      revocadaEn: null,
+      creadaPor: req.user?._id ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "api_keys", entidad_id: r.insertedId, accion: "create", despues: publicApiKey(doc) });
+    return res.status(201).json({ ok: true, id: r.insertedId.toString(), key, data: publicApiKey(doc) });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(e.status || 400).json({ ok: false, error: msg });
+  }
+});
+
+// ============================
+// GET /api/api-keys
+// ?incluir_revocadas=true
+// ============================
+router.get("/", async (req, res) => {
+  try {
+    const db = await connect();
+    const q = String(req.query.incluir_revocadas || "").toLowerCase() === "true" ? {} : { revocadaEn: null };
+    const data = await db.collection("api_keys")
+      .find(q, { projection: { hash: 0, hash_anterior: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    return res.json({ ok: true, total: data.length, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/api-keys/:id
+// ============================
+router.get("/:id", async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const doc = await db.collection("api_keys").findOne({ _id: oid });
+    if (!doc) return res.status(404).json({ ok: false, error: "API key no encontrada" });
+    return res.json({ ok: true, data: publicApiKey(doc) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// PATCH /api/api-keys/:id  (nombre, scopes, expiraEn, sede_ids)
+// ============================
+router.patch("/:id", async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const patch = ApiKeyPatch.parse(req.body);
+    const db = await connect();
+    const col = db.collection("api_keys");
+
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "API key no encontrada" });
+    if (antes.revocadaEn) return res.status(409).json({ ok: false, error: "La API key está revocada" });
+    if (patch.scopes != null || patch.sede_ids != null) {
+      assertAlcance(req, patch.scopes ?? antes.scopes, patch.sede_ids ?? (antes.sede_ids || []).map(String));
+    }
+
+    const $set = { updatedAt: new Date() };
+    if (patch.nombre != null) $set.nombre = patch.nombre.trim();
+    if (patch.scopes != null) $set.scopes = patch.scopes;
+    if (patch.expiraEn !== undefined) $set.expiraEn = patch.expiraEn;
+    if (patch.sede_ids != null) $set.sede_ids = patch.sede_ids.map(oidMaybe);
+
+    const r = await col.updateOne({ _id: oid }, { $set });
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, {
+      entidad: "api_keys", entidad_id: oid, accion: "update",
+      antes: publicApiKey(antes), despues: publicApiKey(despues),
+    });
+    return res.json({ ok: true, modified: r.modifiedCount });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(e.status || 400).json({ ok: false, error: msg });
+  }
+});
+
+// ============================
+// POST /api/api-keys/:id/rotar
+// Body: { gracia_min? }  -> nueva key (en claro UNA vez); la anterior
+// sigue valiendo gracia_min minutos para poder actualizar la integración.
+// ============================
+router.post("/:id/rotar", async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const { gracia_min } = ApiKeyRotar.parse(req.body || {});
+    const db = await connect();
+    const col = db.collection("api_keys");
+
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "API key no encontrada" });
+    if (antes.revocadaEn) return res.status(409).json({ ok: false, error: "La API key está revocada" });
+
+    const { key, prefijo, hash } = generarApiKey();
+    const now = new Date();
+    await col.updateOne(
+      { _id: oid },
+      {
+        $set: {
+          prefijo,
+          hash,
+          prefijo_anterior: gracia_min > 0 ? antes.prefijo : null,
+          hash_anterior: gracia_min > 0 ? antes.hash : null,
+          anteriorExpiraEn: gracia_min > 0 ? new Date(now.getTime() + gracia_min * 60 * 1000) : null,
+          rotadaEn: now,
+          updatedAt: now,
+        },
+      }
+    );
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, {
+      entidad: "api_keys", entidad_id: oid, accion: "update",
+      antes: publicApiKey(antes), despues: publicApiKey(despues),
+    });
+    return res.json({ ok: true, id: oid.toString(), key, anteriorExpiraEn: despues.anteriorExpiraEn });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(400).json({ ok: false, error: msg });
+  }
+});
+
+// ============================
+// POST /api/api-keys/:id/revocar
+// ============================
+router.post("/:id/revocar", async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const col = db.collection("api_keys");
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "API key no encontrada" });
+    if (antes.revocadaEn) return res.json({ ok: true, revoked: false });
+
+    const now = new Date();
+    await col.updateOne(
+      { _id: oid },
+      { $set: { revocadaEn: now, revocadaPor: req.user?._id ?? null, anteriorExpiraEn: null, updatedAt: now } }
+    );
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, {
+      entidad: "api_keys", entidad_id: oid, accion: "update",
+      antes: publicApiKey(antes), despues: publicApiKey(despues),
+    });
+    return res.json({ ok: true, revoked: true });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/auditoria.js
+const express = require("express");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { verificarCadena } = require("../lib/auditoria");
+const { rangoFechas } = require("../lib/zonaHoraria");
+
+const router = express.Router();
+
+// ============================
+// GET /api/auditoria
+// Filtros: ?entidad=citas&entidad_id=&usuario_id=&accion=&campo=total
+//          &desde=YYYY-MM-DD&hasta=YYYY-MM-DD&page=&limit=
+// Ej.: "¿quién cambió el total de esta cita?"
+//      /api/auditoria?entidad=citas&entidad_id=<id>&campo=total
+// ============================
+router.get("/", requirePermiso("auditoria:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("auditoria");
+
+    const { entidad, entidad_id, usuario_id, accion, campo, desde, hasta } = req.query;
+    let { page, limit } = req.query;
+
+    const q = {};
+    if (entidad) q.entidad = String(entidad);
+    if (entidad_id) {
+      // Los ids pueden ser ObjectId o string (p. ej. cédula del paciente)
+      const oid = oidMaybe(String(entidad_id));
+      q.entidad_id = oid ? { $in: [oid, String(entidad_id)] } : String(entidad_id);
+    }
+    if (usuario_id) {
+      const oid = oidMaybe(String(usuario_id));
+      if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      q["actor.usuario_id"] = oid;
+    }
+    if (accion) q.accion = String(accion);
+    if (campo) q[`cambios.${String(campo)}`] = { $exists: true };
+    const rango = rangoFechas(desde, hasta);
+    if (rango) q.ts = rango;
+
+    limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
+    page = Math.max(parseInt(page ?? "1", 10), 1);
+
+    const cursor = col.find(q).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit);
+    const [data, total] = await Promise.all([cursor.toArray(), col.countDocuments(q)]);
+    return res.json({ ok: true, total, page, pageSize: limit, data });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/auditoria/verificar?desde=<seq>
+// Recalcula la cadena de hashes para detectar manipulación
+// ============================
+router.get("/verificar", requirePermiso("auditoria:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const desde = Math.max(parseInt(req.query.desde ?? "1", 10) || 1, 1);
+    const out = await verificarCadena(db, { desde });
+    return res.status(out.ok ? 200 : 409).json(out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// routes/auth.js
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/authController");
+const { authenticate } = require("../middlewares/auth");
+
+// Públicas
+// POST /api/auth/login    -> { access_token, refresh_token, usuario }
+router.post("/login", authController.login);
+// POST /api/auth/refresh  -> rota el refresh token
+router.post("/refresh", authController.refresh);
+// POST /api/auth/logout   -> revoca el refresh token enviado
+router.post("/logout", authController.logout);
+// Invitaciones de personal nuevo
+router.get("/invitaciones/verificar", authController.verificarInvitacion);
+router.post("/invitaciones/aceptar", authController.aceptarInvitacion);
+
+// Requieren access token
+router.get("/me", authenticate, authController.me);
+router.post("/password", authenticate, authController.cambiarPassword);
+
+module.exports = router;
@@ -1,203 +1,202 @@
 const express = require("express");
 const { z } = require("zod");
 const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede, resolverSedeId, sedesPermitidas } = require("../lib/sedes");
+const {
+  ESTADOS,
+  CitaCreate,
+  parseDateStrict,
+  cambioDeEstado,
+  transicionarCita,
+  Proc,
+  asNumber,
+  resolverProcedimientos,
+  computeTotal,
+  totalManual,
+  sendError,
+  assertPuedeForzar,
+  prepararCita,
+  insertarCita,
+  validarPaciente,
+  CON_NOMBRE_PACIENTE,
+  conHoraLocal,
+} = require("../lib/citas");
+const { sugerenciasTrasCancelar } = require("../lib/listaEspera");
+const { advertenciaAlAgendar, marcarInasistencias } = require("../lib/asistencia");
+const { TIPOS_RECURSO, validarRecursos, filtrarSlotsPorRecursos } = require("../lib/recursos");
+const { notificarCita, cancelarPendientes, TIPOS: TIPOS_NOTIF } = require("../lib/notificaciones");
+const { publicarCita } = require("../lib/eventos");
+const { saldoDeCita, liberarPagosDeCita } = require("../lib/pagos");
+const { calendario, CON_NOMBRE_SEDE } = require("../lib/ical");
+const { disponibilidadUsuario } = require("../lib/horarios");
+const { ZONA, parseFecha, rangoFechas, inicioDelDia, diaSiguiente, sumarDias, fechaISO, isoLocal } = require("../lib/zonaHoraria");
+const {
+  ROL_ODONTOLOGO,
+  validarOdontologo,
+  filtroCitasFuturas,
+  sumarMinutos,
+  calcularDuracion,
+  verificarCruces,
+  conflictosParaRespuesta,
+  DURACION_DEFAULT_MIN,
+} = require("../lib/agenda");
 
 const router = express.Router();
 
-// ============================ 
-// Helpers
-// ============================
-const ESTADOS = ["Pendiente", "Confirmada", "En consulta", "Cancelada", "Completada"];
-
-const parseDateStrict = (v) => {
-  const d = v instanceof Date ? v : new Date(v);
-  if (Number.isNaN(d.getTime())) throw new Error("fecha inválida");
-  return d;
-};
-
-const asNumber = (v) => {
-  const n = typeof v === "string" ? Number(v) : v;
-  if (Number.isNaN(n)) throw new Error("valor numérico inválido");
-  return n;
-};
-
-const normalizeProcs = (arr) => {
-  const list = Array.isArray(arr) ? arr : [];
-  return list.map((p) => ({
-    nombre: String(p.nombre || "").trim(),
-    costo_unitario: asNumber(p.costo_unitario),
-    cantidad: p.cantidad != null ? parseInt(p.cantidad, 10) : 1,
-  })).filter(p => p.nombre && p.costo_unitario >= 0 && p.cantidad >= 1);
-};
-
-const computeTotal = (procs) =>
-  (procs || []).reduce((acc, p) => acc + (p.costo_unitario * (p.cantidad ?? 1)), 0);
+// Cita para las respuestas: horas locales y lo pagado/pendiente
+const conSaldo = (cita) => ({ ...conHoraLocal(cita), ...saldoDeCita(cita) });
 
 // ============================
 // Schemas (Zod)
+// Helpers, Proc y CitaCreate se comparten con las series: ver lib/citas.js
 // ============================
-const Proc = z.object({
-  nombre: z.string().min(1),
-  costo_unitario: z.preprocess(asNumber, z.number().nonnegative()),
-  cantidad: z.preprocess((v) => (v == null ? 1 : Number.parseInt(v, 10)), z.number().int().min(1)).optional().default(1),
-});
-
-const CitaCreate = z.object({
-  fecha: z.preprocess(parseDateStrict, z.date()),
-  paciente_id: z.string().min(1), // cédula (string) — decisión actual
-  usuario_id: z.string().regex(/^[0-9a-fA-F]{24}$/),
-  estado: z.enum(ESTADOS).optional(),
-  motivo: z.string().optional(),
-  procedimientos: z.array(Proc).optional(),
-  total: z.preprocess(asNumber, z.number().nonnegative()).optional().default(0),
-});
-
 const CitaPatch = z.object({
-  fecha: z.preprocess((v) => {
-    if (!v) return undefined;
-    const d = new Date(v);
-    if (Number.isNaN(d.getTime())) throw new Error("fecha inválida");
-    return d;
-  }, z.date()).optional(),
+  fecha: z.preprocess((v) => (v ? parseDateStrict(v) : undefined), z.date()).optional(),
   paciente_id: z.string().min(1).optional(),
   usuario_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
-  estado: z.enum(ESTADOS).optional(),
+  sede_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  recurso_ids: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/)).max(5).optional(), // [] => libera los recursos
+  estado: z.enum(ESTADOS).optional(), // solo transiciones válidas (ver lib/citas.js)
+  motivo_cancelacion: z.string().optional(), // obligatorio si estado = "Cancelada"
+  nota_estado: z.string().optional(),
   motivo: z.string().optional(),
   procedimientos: z.array(Proc).optional(),
   total: z.preprocess(asNumber, z.number().nonnegative()).optional(),
+  duracion_min: z.preprocess((v) => (v == null ? v : Number(v)), z.number().int().min(5).max(600)).nullable().optional(),
+  forzar: z.boolean().optional(),
 }).refine(
   (v) => Object.keys(v).length > 0,
   { message: "Nada para actualizar" }
 );
 
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+
+// Reasignación masiva de la agenda de un odontólogo (p. ej. al darlo de baja)
+const Reasignacion = z.object({
+  usuario_id: OidStr,
+  accion: z.enum(["reasignar", "cancelar"]),
+  nuevo_usuario_id: OidStr.optional(),
+  cita_ids: z.array(OidStr).min(1).optional(), // si falta: todas las futuras
+  motivo: z.string().optional(),
+  forzar: z.boolean().optional(), // reasignar aunque el nuevo odontólogo tenga cruces
+}).refine(
+  (v) => v.accion !== "reasignar" || v.nuevo_usuario_id,
+  { message: "nuevo_usuario_id es requerido para reasignar" }
+).refine(
+  (v) => v.accion !== "cancelar" || v.motivo?.trim(),
+  { message: "motivo es requerido para cancelar" }
+).refine(
+  (v) => v.nuevo_usuario_id !== v.usuario_id,
+  { message: "nuevo_usuario_id debe ser distinto de usuario_id" }
+);
+
 // ============================
 // POST /api/citas
 // ============================
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("citas:write"), async (req, res) => {
   try {
     const db = await connect();
-    const col = db.collection("citas");
 
     const parsed = CitaCreate.parse(req.body);
+    assertPuedeForzar(req, parsed.forzar);
 
-    const { ObjectId } = require("mongodb");
-    const usuarioOid = new ObjectId(parsed.usuario_id.trim());
-
-    if (!usuarioOid) throw new Error("usuario_id inválido");
-
-    const procs = normalizeProcs(parsed.procedimientos || []);
-    const totalCalc = computeTotal(procs);
-
-    const doc = {
-      fecha: parsed.fecha,
-      paciente_id: parsed.paciente_id.trim(),
-      usuario_id: usuarioOid,
-      estado: parsed.estado || "Pendiente",
-      motivo: parsed.motivo?.trim() || null,
-      procedimientos: procs,
-      total: parsed.total ?? totalCalc,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+    const doc = await prepararCita(db, req, parsed);
+    const { id } = await insertarCita(db, req, doc, { forzar: parsed.forzar });
+    // Aviso (no bloquea) si el paciente suele faltar o cancelar tarde
+    const advertencia = await advertenciaAlAgendar(db, doc.paciente_id);
 
-    const r = await col.insertOne(doc);
-    return res.status(201).json({ ok: true, id: r.insertedId.toString(), total: doc.total });
+    return res.status(201).json({
+      ok: true, id: id.toString(), total: doc.total, fin: doc.fin, ...(advertencia ? { advertencia } : {}),
+    });
   } catch (e) {
-    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
-    return res.status(400).json({ ok: false, error: msg });
+    return sendError(res, e);
   }
 });
 
 // ============================
 // GET /api/citas
-// Filtros: ?paciente_id=&usuario_id=&estado=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&limit=&page=
+// Filtros: ?paciente_id=&usuario_id=&sede_id=&recurso_id=&estado=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&limit=&page=
+// desde/hasta son días completos en la zona de la clínica (CLINIC_TZ).
+// Siempre limitado a las sedes de quien llama.
 // ============================
-router.get("/", async (req, res) => {
+router.get("/", requirePermiso("citas:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("citas");
 
-    const { paciente_id, usuario_id, estado, desde, hasta } = req.query;
+    const { paciente_id, usuario_id, sede_id, recurso_id, estado, desde, hasta } = req.query;
     let { limit, page } = req.query;
 
-    const q = {};
+    let q = {};
     if (paciente_id) q.paciente_id = String(paciente_id);
     if (usuario_id) {
       const oid = oidMaybe(usuario_id);
       if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
       q.usuario_id = oid;
     }
+    if (sede_id) {
+      const oid = oidMaybe(sede_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, oid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = oid;
+    }
+    if (recurso_id) {
+      const oid = oidMaybe(recurso_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "recurso_id inválido" });
+      q.recurso_ids = oid;
+    }
     if (estado) {
       if (!ESTADOS.includes(String(estado))) {
         return res.status(400).json({ ok: false, error: "estado inválido" });
       }
       q.estado = estado;
     }
-    if (desde || hasta) {
-      q.fecha = {};
-      if (desde) q.fecha.$gte = new Date(`${desde}T00:00:00`);
-      if (hasta) q.fecha.$lte = new Date(`${hasta}T23:59:59`);
-    }
+    const rango = rangoFechas(desde, hasta);
+    if (rango) q.fecha = rango;
+    q = scopeSede(req, q);
 
     limit = Math.min(Math.max(parseInt(limit ?? "100", 10), 1), 500);
     page = Math.max(parseInt(page ?? "1", 10), 1);
 
-    // 🔍 Lookup para traer nombre del paciente
+    // 🔍 Lookup para traer nombre del paciente (ver CON_NOMBRE_PACIENTE)
     const data = await col.aggregate([
       { $match: q },
       { $sort: { fecha: -1 } },
       { $skip: (page - 1) * limit },
       { $limit: limit },
-      {
-        $lookup: {
-          from: "pacientes",
-          localField: "paciente_id",
-          foreignField: "_id",
-          as: "paciente",
-        },
-      },
-      { $unwind: { path: "$paciente", preserveNullAndEmptyArrays: true } },
-      {
-        $addFields: {
-          paciente_nombre: {
-            $concat: [
-              { $ifNull: ["$paciente.nombres", ""] },
-              " ",
-              { $ifNull: ["$paciente.apellidos", ""] },
-            ],
-          },
-        },
-      },
-      {
-        $project: {
-          paciente: 0, // no se devuelve el objeto completo del paciente
-        },
-      },
+      ...CON_NOMBRE_PACIENTE,
     ]).toArray();
 
     const total = await col.countDocuments(q);
-    return res.json({ ok: true, total, page, pageSize: limit, data });
+    return res.json({ ok: true, total, page, pageSize: limit, zona: ZONA, data: data.map(conSaldo) });
   } catch (e) {
+    if (e.status) return sendError(res, e);
     console.error(e);
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
 
 // ============================
-// GET citasHoy
-router.get("/hoy", async (req, res) => {
+// GET /api/citas/hoy
+// Agenda del día en la zona de la clínica, incluidas las citas que ya pasaron.
+// Filtros: ?usuario_id=&sede_id=&fecha=YYYY-MM-DD (otro día; por defecto hoy)
+// ============================
+router.get("/hoy", requirePermiso("citas:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("citas");
 
-    const { usuario_id } = req.query;
+    const { usuario_id, sede_id } = req.query;
     let { limit, page } = req.query;
 
-    const ahora = new Date();
+    const dia = req.query.fecha ? parseFecha(String(req.query.fecha)) : new Date();
+    if (!dia) return res.status(400).json({ ok: false, error: "fecha inválida" });
+    const inicio = inicioDelDia(dia);
 
-    // Comenzamos desde ahora
-    const q = {
-      fecha: { $gte: ahora }, // solo citas futuras
+    let q = {
+      fecha: { $gte: inicio, $lt: diaSiguiente(inicio) },
     };
 
     if (usuario_id) {
@@ -205,49 +204,272 @@ router.get("/hoy", async (req, res) => {
       if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
       q.usuario_id = oid;
     }
+    if (sede_id) {
+      const oid = oidMaybe(sede_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, oid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = oid;
+    }
+    q = scopeSede(req, q);
 
     limit = Math.min(Math.max(parseInt(limit ?? "100", 10), 1), 500);
     page = Math.max(parseInt(page ?? "1", 10), 1);
 
     const data = await col.aggregate([
       { $match: q },
-      { $sort: { fecha: 1 } }, // próximas primero
+      { $sort: { fecha: 1 } }, // en orden de agenda
       { $skip: (page - 1) * limit },
       { $limit: limit },
-      {
-        $lookup: {
-          from: "pacientes",
-          localField: "paciente_id",
-          foreignField: "_id",
-          as: "paciente",
-        },
-      },
-      { $unwind: { path: "$paciente", preserveNullAndEmptyArrays: true } },
-      {
-        $addFields: {
-          paciente_nombre: {
-            $concat: [
-              { $ifNull: ["$paciente.nombres", ""] },
-              " ",
-              { $ifNull: ["$paciente.apellidos", ""] },
-            ],
-          },
-        },
-      },
-      { $project: { paciente: 0 } },
+      ...CON_NOMBRE_PACIENTE,
     ]).toArray();
 
     const total = await col.countDocuments(q);
-    return res.json({ ok: true, total, page, pageSize: limit, data });
+    return res.json({
+      ok: true, fecha: fechaISO(inicio), zona: ZONA, total, page, pageSize: limit, data: data.map(conSaldo),
+    });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// ============================
+// POST /api/citas/inasistencias  <-- ¡antes de :id!
+// Marca ya como "No asistió" las citas vencidas sin iniciar (sin esperar al worker),
+// solo en las sedes del usuario
+// ============================
+router.post("/inasistencias", requirePermiso("citas:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const r = await marcarInasistencias(db, { sedes: sedesPermitidas(req) });
+    return res.json({ ok: true, ...r });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/citas/reasignacion?usuario_id=&desde=  <-- ¡antes de :id!
+// Citas futuras y abiertas de un odontólogo (para reasignar o cancelar)
+// ============================
+router.get("/reasignacion", requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const usuarioOid = oidMaybe(req.query.usuario_id);
+    if (!usuarioOid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+
+    // ?desde=YYYY-MM-DD es el inicio de ese día en la clínica
+    const desde = req.query.desde ? parseFecha(req.query.desde) : new Date();
+    if (!desde) return res.status(400).json({ ok: false, error: "desde inválido" });
+
+    const db = await connect();
+    const usuario = await db.collection("usuarios").findOne(
+      { _id: usuarioOid },
+      { projection: { nombres: 1, apellidos: 1, rol: 1, estado: 1 } }
+    );
+    if (!usuario) return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+
+    const data = await db.collection("citas")
+      .find(scopeSede(req, filtroCitasFuturas(usuarioOid, desde)))
+      .sort({ fecha: 1 })
+      .toArray();
+
+    return res.json({ ok: true, usuario, total: data.length, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/citas/reasignacion
+// Body: { usuario_id, accion: "reasignar"|"cancelar", nuevo_usuario_id?, cita_ids?, motivo?, forzar? }
+// Procesa cita por cita; las que no se pueden mover (p. ej. el nuevo
+// odontólogo no atiende en esa sede o ya tiene cita a esa hora) se devuelven en "omitidas".
+// ============================
+router.post(
+  "/reasignacion",
+  requirePermiso((req) => (req.body?.accion === "cancelar" ? "citas:delete" : "citas:write")),
+  async (req, res) => {
+    try {
+      const body = Reasignacion.parse(req.body);
+      assertPuedeForzar(req, body.forzar);
+      const db = await connect();
+      const col = db.collection("citas");
+
+      const usuarioOid = oidMaybe(body.usuario_id);
+      const nuevoOid = body.nuevo_usuario_id ? oidMaybe(body.nuevo_usuario_id) : null;
+      if (nuevoOid) await validarOdontologo(db, nuevoOid); // falla rápido si no está activo
+
+      const q = filtroCitasFuturas(usuarioOid);
+      if (body.cita_ids) q._id = { $in: body.cita_ids.map(oidMaybe) };
+      const citas = await col.find(scopeSede(req, q)).sort({ fecha: 1 }).toArray();
+
+      const procesadas = [];
+      const omitidas = [];
+      const sedesOk = new Map(); // sede_id -> null | mensaje de error
+
+      for (const antes of citas) {
+        const now = new Date();
+        let update;
+
+        if (body.accion === "reasignar") {
+          const sedeKey = String(antes.sede_id);
+          if (!sedesOk.has(sedeKey)) {
+            try {
+              await validarOdontologo(db, nuevoOid, antes.sede_id);
+              sedesOk.set(sedeKey, null);
+            } catch (e) {
+              sedesOk.set(sedeKey, e.message);
+            }
+          }
+          if (sedesOk.get(sedeKey)) {
+            omitidas.push({ id: antes._id.toString(), error: sedesOk.get(sedeKey) });
+            continue;
+          }
+          const $set = { usuario_id: nuevoOid, updatedAt: now };
+          update = { $set };
+
+          // El paciente no cambia: solo se revisa la agenda del nuevo odontólogo
+          try {
+            const fin = antes.fin || sumarMinutos(antes.fecha, antes.duracion_min || DURACION_DEFAULT_MIN);
+            const cruces = await verificarCruces(
+              db,
+              { ...antes, fin, usuario_id: nuevoOid, paciente_id: null },
+              { forzar: body.forzar, excluir: [antes._id] }
+            );
+            if (cruces) $set.sobrecupo = { conflictos: cruces, autorizadoPor: req.user?._id ?? null, en: now };
+          } catch (e) {
+            if (!e.conflictos) throw e;
+            omitidas.push({ id: antes._id.toString(), error: e.message, conflictos: conflictosParaRespuesta(req, e.conflictos) });
+            continue;
+          }
+        } else {
+          try {
+            update = cambioDeEstado(req, antes, "Cancelada", { motivo: body.motivo });
+          } catch (e) {
+            // p. ej. una cita "En consulta" ya no se puede cancelar
+            omitidas.push({ id: antes._id.toString(), error: e.message });
+            continue;
+          }
+        }
+
+        // Filtro con el odontólogo original: si alguien la movió mientras tanto no se pisa
+        const r = await col.updateOne({ _id: antes._id, usuario_id: usuarioOid, estado: antes.estado }, update);
+        if (r.modifiedCount === 0) {
+          omitidas.push({ id: antes._id.toString(), error: "La cita cambió durante el proceso" });
+          continue;
+        }
+        const despues = await col.findOne({ _id: antes._id });
+        await registrarAuditoria(db, req, { entidad: "citas", entidad_id: antes._id, accion: "update", antes, despues });
+        await liberarPagosDeCita(db, req, despues);
+        await notificarCita(db, antes, despues);
+        await publicarCita(db, antes, despues);
+        procesadas.push(antes._id.toString());
+      }
+
+      return res.json({ ok: true, accion: body.accion, total: citas.length, procesadas, omitidas });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  }
+);
+
+// ============================
+// GET /api/citas/disponibilidad  <-- ¡antes de :id!
+// ?usuario_id= (o todos los odontólogos activos) &sede_id=
+// &desde=YYYY-MM-DD (hoy) &hasta=YYYY-MM-DD (desde + 7 días, máx. 31)
+// &duracion_min= &paso_min= &limit= (huecos por odontólogo, 50)
+// &recurso_ids=a,b   -> además esos recursos deben estar libres
+// &tipo_recurso=sillon (requiere sede_id) -> al menos uno de ese tipo libre (recursos_libres)
+// Huecos = horario semanal - descansos - bloqueos - citas no canceladas.
+// ============================
+router.get("/disponibilidad", requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const { usuario_id, sede_id } = req.query;
+
+    const desde = parseFecha(req.query.desde) || new Date();
+    const hasta = parseFecha(req.query.hasta, { finDeDia: true }) || sumarDias(inicioDelDia(desde), 7);
+    if (hasta <= desde) return res.status(400).json({ ok: false, error: "hasta debe ser posterior a desde" });
+    if (hasta - desde > 31 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ ok: false, error: "El rango máximo es de 31 días" });
+    }
+
+    const duracion_min = req.query.duracion_min ? parseInt(req.query.duracion_min, 10) : DURACION_DEFAULT_MIN;
+    const paso_min = req.query.paso_min ? parseInt(req.query.paso_min, 10) : null;
+    if (!(duracion_min >= 5 && duracion_min <= 600) || (paso_min != null && !(paso_min >= 5))) {
+      return res.status(400).json({ ok: false, error: "duracion_min/paso_min inválidos" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10), 1), 500);
+
+    let sedeOid = null;
+    if (sede_id) {
+      sedeOid = oidMaybe(sede_id);
+      if (!sedeOid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, sedeOid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+    }
+
+    // Recursos que también deben estar libres
+    const requeridos = req.query.recurso_ids
+      ? await validarRecursos(db, String(req.query.recurso_ids).split(","), sedeOid)
+      : [];
+    let alternativos = null;
+    if (req.query.tipo_recurso) {
+      const tipo = String(req.query.tipo_recurso);
+      if (!TIPOS_RECURSO.includes(tipo)) return res.status(400).json({ ok: false, error: "tipo_recurso inválido" });
+      if (!sedeOid) return res.status(400).json({ ok: false, error: "tipo_recurso requiere sede_id" });
+      alternativos = (await db.collection("recursos")
+        .find({ sede_id: sedeOid, tipo, activo: { $ne: false } }, { projection: { _id: 1 } })
+        .toArray()).map(r => r._id);
+    }
+
+    // Odontólogos candidatos
+    let odontologos;
+    if (usuario_id) {
+      odontologos = [await validarOdontologo(db, usuario_id, sedeOid)];
+    } else {
+      const q = { rol: ROL_ODONTOLOGO, estado: { $nin: ["inactivo", "suspendido", "invitado"] } };
+      if (sedeOid) q.sede_ids = sedeOid;
+      odontologos = await db.collection("usuarios")
+        .find(scopeSede(req, q, "sede_ids"), { projection: { nombres: 1, apellidos: 1 } })
+        .toArray();
+    }
+
+    const horarios = await db.collection("horarios")
+      .find({ usuario_id: { $in: odontologos.map(o => o._id) } })
+      .toArray();
+    const horarioDe = new Map(horarios.map(h => [String(h.usuario_id), h]));
+
+    const data = [];
+    const sin_horario = [];
+    for (const o of odontologos) {
+      const horario = horarioDe.get(String(o._id));
+      if (!horario) {
+        sin_horario.push(o._id);
+        continue;
+      }
+      let slots = await disponibilidadUsuario(db, {
+        usuario_id: o._id, horario, desde, hasta, duracion_min, paso_min, sede_id: sedeOid,
+      });
+      slots = await filtrarSlotsPorRecursos(db, slots, { requeridos, alternativos });
+      data.push({
+        usuario_id: o._id,
+        nombre: `${o.nombres ?? ""} ${o.apellidos ?? ""}`.trim(),
+        total: slots.length,
+        slots: slots
+          .filter(s => !s.sede_id || puedeVerSede(req, s.sede_id))
+          .slice(0, limit)
+          .map(s => ({ ...s, inicio_local: isoLocal(s.inicio), fin_local: isoLocal(s.fin) })),
+      });
+    }
+
+    return res.json({ ok: true, desde, hasta, zona: ZONA, duracion_min, data, sin_horario });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
 
 // Obtener una cita específica con el nombre del paciente
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermiso("citas:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("citas");
@@ -257,47 +479,92 @@ router.get("/:id", async (req, res) => {
     if (!oid) return res.status(400).json({ ok: false, error: "ID inválido" });
 
     const data = await col.aggregate([
-      { $match: { _id: oid } },
-      {
-        $lookup: {
-          from: "pacientes",
-          localField: "paciente_id",
-          foreignField: "_id",
-          as: "paciente",
-        },
-      },
-      { $unwind: { path: "$paciente", preserveNullAndEmptyArrays: true } },
-      {
-        $addFields: {
-          paciente_nombre: {
-            $concat: [
-              { $ifNull: ["$paciente.nombres", ""] },
-              " ",
-              { $ifNull: ["$paciente.apellidos", ""] },
-            ],
-          },
-        },
-      },
-      {
-        $project: {
-          paciente: 0,
-        },
-      },
+      { $match: scopeSede(req, { _id: oid }) },
+      ...CON_NOMBRE_PACIENTE,
     ]).toArray();
 
     if (!data.length) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
 
-    return res.json({ ok: true, data: data[0] });
+    return res.json({ ok: true, data: conSaldo(data[0]) });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
+
+// ============================
+// GET /api/citas/:id/ics
+// Descarga la cita como evento iCalendar (.ics)
+// ============================
+router.get("/:id/ics", requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "ID inválido" });
+
+    const db = await connect();
+    const data = await db.collection("citas").aggregate([
+      { $match: scopeSede(req, { _id: oid }) },
+      ...CON_NOMBRE_PACIENTE,
+      ...CON_NOMBRE_SEDE,
+    ]).toArray();
+    if (!data.length) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="cita-${oid}.ics"`);
+    return res.send(calendario(data));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+// ============================
+// POST /api/citas/:id/confirmar | iniciar | completar | cancelar | no-asistio
+// Body: { nota?, motivo?, forzar? }  (motivo obligatorio para cancelar)
+// no-asistio solo desde la hora de la cita (el worker de lib/asistencia.js
+// marca las que quedaron sin iniciar). iniciar una "No asistió" revisa cruces:
+// si su hueco ya se dio a otro, 409 salvo forzar (citas:sobrecupo).
+// Solo transiciones permitidas; cada cambio queda en historial_estados.
+// ============================
+const Accion = z.object({
+  nota: z.string().optional(),
+  motivo: z.string().optional(),
+  forzar: z.boolean().optional(),
+});
+
+const ACCIONES = {
+  confirmar: { estado: "Confirmada", permiso: "citas:write" },
+  iniciar: { estado: "En consulta", permiso: "citas:write" },
+  completar: { estado: "Completada", permiso: "citas:write" },
+  cancelar: { estado: "Cancelada", permiso: "citas:delete" },
+  "no-asistio": { estado: "No asistió", permiso: "citas:write" },
+};
+
+for (const [accion, { estado, permiso }] of Object.entries(ACCIONES)) {
+  router.post(`/:id/${accion}`, requirePermiso(permiso), async (req, res) => {
+    try {
+      const _id = oidMaybe(req.params.id);
+      if (!_id) return res.status(400).json({ ok: false, error: "id inválido" });
+
+      const body = Accion.parse(req.body ?? {});
+      assertPuedeForzar(req, body.forzar);
+      const db = await connect();
+      const antes = await db.collection("citas").findOne(scopeSede(req, { _id }));
+      if (!antes) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+
+      const despues = await transicionarCita(db, req, antes, estado, body);
+      // Al cancelar se sugiere quién de la lista de espera puede ocupar el hueco
+      const lista_espera = estado === "Cancelada" ? await sugerenciasTrasCancelar(db, req, despues) : undefined;
+      return res.json({ ok: true, data: despues, ...(lista_espera ? { lista_espera } : {}) });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+}
+
 // ============================
 // PATCH /api/citas/:id
 // - Recalcula total si cambian procedimientos o si viene 'total' explícito
 // ============================
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", requirePermiso("citas:write"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("citas");
@@ -305,6 +572,7 @@ router.patch("/:id", async (req, res) => {
     if (!_id) return res.status(400).json({ ok: false, error: "id inválido" });
 
     const parsed = CitaPatch.parse(req.body);
+    assertPuedeForzar(req, parsed.forzar);
 
     const $set = { updatedAt: new Date() };
 
@@ -315,50 +583,116 @@ router.patch("/:id", async (req, res) => {
       if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
       $set.usuario_id = oid;
     }
-    if (parsed.estado) {
-      $set.estado = parsed.estado;
-      if (parsed.estado === "En consulta") {
-        $set.startedAt = new Date();
-        $set.canceledAt = null; // por si venía cancelada
-      }
-      if (parsed.estado === "Completada") {
-        $set.finishedAt = new Date();
-      }
-      if (parsed.estado === "Cancelada") {
-        $set.canceledAt = new Date();
-      }
-    }
+    if (parsed.sede_id) $set.sede_id = await resolverSedeId(db, req, parsed.sede_id);
     if (parsed.motivo !== undefined) $set.motivo = parsed.motivo?.trim() || null;
 
+    const antes = await col.findOne(scopeSede(req, { _id }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+
+    // Una cita facturada no cambia lo facturado (anula la factura con nota de crédito)
+    if (antes.factura_id && ["procedimientos", "total", "paciente_id", "sede_id"].some((k) => parsed[k] != null)) {
+      return res.status(409).json({ ok: false, error: "La cita está facturada: anula la factura para modificarla", factura_id: antes.factura_id });
+    }
+
+    // Las líneas que ya estaban conservan el precio con que se agendaron
     let procs;
     if (parsed.procedimientos) {
-      procs = normalizeProcs(parsed.procedimientos);
+      procs = await resolverProcedimientos(db, req, parsed.procedimientos, $set.sede_id || antes.sede_id, {
+        previos: antes.procedimientos || [],
+      });
       $set.procedimientos = procs;
     }
 
-    // total: explícito o recalculado si cambian procedimientos
+    // total: explícito (queda registrado como manual) o recalculado si cambian procedimientos
     if (parsed.total != null) {
       $set.total = parsed.total;
+      $set.total_manual = totalManual(req, parsed.total, computeTotal(procs || antes.procedimientos));
     } else if (procs) {
       $set.total = computeTotal(procs);
+      $set.total_manual = null;
+    }
+    if ($set.total != null && $set.total < (antes.pagado || 0)) {
+      return res.status(409).json({ ok: false, error: "El total no puede quedar por debajo de lo ya pagado", pagado: antes.pagado });
+    }
+    // Los pagos aplicados son del paciente: no se pasan a otro con la cita
+    if ($set.paciente_id && $set.paciente_id !== antes.paciente_id && antes.pagado > 0) {
+      return res.status(409).json({ ok: false, error: "La cita tiene pagos aplicados: anúlalos antes de cambiar el paciente", pagado: antes.pagado });
+    }
+    if ($set.paciente_id && $set.paciente_id !== antes.paciente_id) await validarPaciente(db, req, $set.paciente_id);
+
+    // Cambio de estado: misma máquina de estados que las acciones (/confirmar, /cancelar...)
+    let $push;
+    if (parsed.estado && parsed.estado !== antes.estado) {
+      const cambio = cambioDeEstado(req, antes, parsed.estado, {
+        motivo: parsed.motivo_cancelacion,
+        nota: parsed.nota_estado,
+      });
+      Object.assign($set, cambio.$set);
+      $push = cambio.$push;
+    }
+
+    // Cambio de odontólogo o de sede: el odontólogo debe estar activo y atender allí
+    if ($set.usuario_id || $set.sede_id) {
+      await validarOdontologo(db, $set.usuario_id || antes.usuario_id, $set.sede_id || antes.sede_id);
+    }
+    // Recursos: los nuevos, o los que ya tenía si cambia de sede (deben ser de la nueva)
+    if (parsed.recurso_ids) {
+      $set.recurso_ids = await validarRecursos(db, parsed.recurso_ids, $set.sede_id || antes.sede_id);
+    } else if ($set.sede_id && antes.recurso_ids?.length) {
+      await validarRecursos(db, antes.recurso_ids, $set.sede_id);
     }
 
-    const r = await col.updateOne({ _id }, { $set });
-    if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+    // Duración: explícita (null => volver a deducirla) o recalculada si cambian
+    // los procedimientos y no se había fijado a mano
+    if (parsed.duracion_min !== undefined || (procs && antes.duracion_origen !== "manual")) {
+      const d = await calcularDuracion(db, {
+        duracion_min: parsed.duracion_min,
+        procedimientos: procs || antes.procedimientos,
+      });
+      $set.duracion_min = d.duracion_min;
+      $set.duracion_origen = d.origen;
+    }
+    if ($set.fecha || $set.duracion_min || !antes.fin) {
+      $set.fin = sumarMinutos($set.fecha || antes.fecha, $set.duracion_min || antes.duracion_min || DURACION_DEFAULT_MIN);
+    }
 
-    return res.json({ ok: true, modified: r.modifiedCount });
+    // Solo se revisan cruces si cambia el horario, el odontólogo, el paciente, los recursos o el estado
+    if (["fecha", "fin", "usuario_id", "paciente_id", "recurso_ids", "estado"].some((k) => $set[k] !== undefined)) {
+      const cruces = await verificarCruces(db, { ...antes, ...$set }, { forzar: parsed.forzar, excluir: [_id] });
+      if (cruces) $set.sobrecupo = { conflictos: cruces, autorizadoPor: req.user?._id ?? null, en: new Date() };
+    }
+
+    // Filtro por el estado leído para no pisar una transición concurrente, y por lo
+    // pagado si cambia el total o el paciente (un pago pudo aplicarse entre medio)
+    const filtro = { _id, estado: antes.estado };
+    if ($set.total != null) filtro.$expr = { $lte: [{ $ifNull: ["$pagado", 0] }, $set.total] };
+    if ($set.paciente_id && $set.paciente_id !== antes.paciente_id) filtro.pagado = { $not: { $gt: 0 } };
+    const r = await col.updateOne(filtro, { $set, ...($push ? { $push } : {}) });
+    if (r.matchedCount === 0) return res.status(409).json({ ok: false, error: "La cita cambió de estado o recibió pagos; vuelve a cargarla" });
+
+    const despues = await col.findOne({ _id });
+    await registrarAuditoria(db, req, { entidad: "citas", entidad_id: _id, accion: "update", antes, despues });
+    if ($set.estado) await liberarPagosDeCita(db, req, despues);
+    await notificarCita(db, antes, despues);
+    await publicarCita(db, antes, despues);
+
+    if ($set.sede_id) {
+      await db.collection("pacientes").updateOne({ _id: despues.paciente_id }, { $addToSet: { sede_ids: $set.sede_id } });
+    }
+
+    const lista_espera = $set.estado === "Cancelada" ? await sugerenciasTrasCancelar(db, req, despues) : undefined;
+    return res.json({ ok: true, modified: r.modifiedCount, ...(lista_espera ? { lista_espera } : {}) });
   } catch (e) {
-    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
-    return res.status(400).json({ ok: false, error: msg });
+    return sendError(res, e);
   }
 });
 
 // ============================
 // DELETE /api/citas/:id
-// - ?soft=true  -> cambia estado a "Cancelada" (soft delete)
+// - ?soft=true  -> cancela la cita (soft delete); exige motivo (?motivo= o body.motivo)
 // - default     -> hard delete
 // ============================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermiso("citas:delete"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("citas");
@@ -367,16 +701,30 @@ router.delete("/:id", async (req, res) => {
 
     const soft = String(req.query.soft || "").toLowerCase() === "true";
 
+    const antes = await col.findOne(scopeSede(req, { _id }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+
     if (soft) {
-      const r = await col.updateOne({ _id }, { $set: { estado: "Cancelada", updatedAt: new Date() } });
-      if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
-      return res.json({ ok: true, softDeleted: true });
+      const despues = await transicionarCita(db, req, antes, "Cancelada", { motivo: req.body?.motivo ?? req.query.motivo });
+      const lista_espera = await sugerenciasTrasCancelar(db, req, despues);
+      return res.json({ ok: true, softDeleted: true, lista_espera });
     } else {
+      if (antes.pagado > 0) {
+        return res.status(409).json({ ok: false, error: "La cita tiene pagos aplicados: cancélala (?soft=true) o anula los pagos" });
+      }
+      if (antes.factura_id) {
+        return res.status(409).json({ ok: false, error: "La cita está facturada: anula la factura antes de eliminarla" });
+      }
       const r = await col.deleteOne({ _id });
       if (r.deletedCount === 0) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+      // Nada de lo que quedaba en cola para esta cita debe salir (recordatorios incluidos)
+      await cancelarPendientes(db, _id, TIPOS_NOTIF);
+      await registrarAuditoria(db, req, { entidad: "citas", entidad_id: _id, accion: "delete", antes });
+      await publicarCita(db, antes, null);
       return res.json({ ok: true, deleted: true });
     }
   } catch (e) {
+    if (e.status) return sendError(res, e);
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
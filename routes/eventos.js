@@ -0,0 +1,135 @@
+// routes/eventos.js
+// Agenda en vivo por Server-Sent Events: cambios de citas y de órdenes de laboratorio.
+// EventSource no permite cabeceras: se acepta ?access_token= (ver middlewares/auth.js).
+// Una conexión no sobrevive a su credencial: se cierra al vencer el access token y
+// si el usuario se suspende o la API key se revoca (se revisa cada REVISION_MS).
+const express = require("express");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { puedeAutenticarse } = require("../lib/auth");
+const { requirePermiso, tienePermisoReq } = require("../middlewares/permisos");
+const { puedeVerSede, sedesPermitidas } = require("../lib/sedes");
+const { ENTIDADES, eventosDesde, suscribir } = require("../lib/eventos");
+
+const router = express.Router();
+
+// Permiso de lectura de cada entidad del stream
+const PERMISO_ENTIDAD = {
+  cita: "citas:read",
+  orden_laboratorio: "ordenes_laboratorio:read",
+};
+
+const PING_MS = 25 * 1000;
+const RETRY_MS = 3000;
+const REVISION_MS = 60 * 1000;
+
+// ¿Sigue valiendo la credencial con que se abrió el stream?
+async function sigueAutorizado(db, req) {
+  if (req.auth?.tipo === "usuario") {
+    const usuario = await db.collection("usuarios").findOne({ _id: req.user._id }, { projection: { estado: 1 } });
+    return !!usuario && puedeAutenticarse(usuario);
+  }
+  if (req.auth?.tipo === "integracion") {
+    const key = await db.collection("api_keys").findOne({ _id: req.auth.api_key_id }, { projection: { revocadaEn: 1, expiraEn: 1 } });
+    return !!key && !key.revocadaEn && !(key.expiraEn && key.expiraEn <= new Date());
+  }
+  return true;
+}
+
+const entidadesPedidas = (req) =>
+  req.query.tipos ? String(req.query.tipos).split(",").map((s) => s.trim()).filter(Boolean) : ENTIDADES;
+
+// ============================
+// GET /api/eventos/stream
+// ?usuario_id= (agenda de un odontólogo) &sede_id= &tipos=cita,orden_laboratorio
+// Reanudación: cabecera Last-Event-ID (la envía EventSource solo) o ?last_event_id=
+// Si el id ya no está disponible se emite "reset": el cliente debe recargar la agenda.
+// ============================
+router.get(
+  "/stream",
+  requirePermiso((req) => PERMISO_ENTIDAD[entidadesPedidas(req)[0]] || "citas:read"),
+  async (req, res) => {
+    let filtro;
+    try {
+      const pedidas = entidadesPedidas(req);
+      if (pedidas.some((e) => !ENTIDADES.includes(e))) {
+        return res.status(400).json({ ok: false, error: `tipos válidos: ${ENTIDADES.join(", ")}` });
+      }
+      const entidades = pedidas.filter((e) => tienePermisoReq(req, PERMISO_ENTIDAD[e]));
+      if (!entidades.length) return res.status(403).json({ ok: false, error: "Sin permiso para esos eventos" });
+
+      filtro = { entidades, sedes: sedesPermitidas(req) };
+      if (req.query.usuario_id) {
+        filtro.usuario_id = oidMaybe(req.query.usuario_id);
+        if (!filtro.usuario_id) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      }
+      if (req.query.sede_id) {
+        filtro.sede_id = oidMaybe(req.query.sede_id);
+        if (!filtro.sede_id) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+        if (!puedeVerSede(req, filtro.sede_id)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      }
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx: no acumular la respuesta
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Lo que llega en vivo mientras se reenvía lo perdido se encola y se envía después,
+    // sin repetir (los ids son crecientes)
+    let ultimo = null;
+    let pendientes = [];
+    const enviar = (ev) => {
+      const id = String(ev._id);
+      if (ultimo && id <= ultimo) return;
+      ultimo = id;
+      res.write(`id: ${id}\nevent: ${ev.tipo}\ndata: ${JSON.stringify({ ...ev.data, ts: ev.ts })}\n\n`);
+    };
+    const desuscribir = suscribir(filtro, (ev) => (pendientes ? pendientes.push(ev) : enviar(ev)));
+    const ping = setInterval(() => res.write(": ping\n\n"), PING_MS);
+
+    // "expirado": el cliente debe reconectar con un token vigente (EventSource
+    // reintentaría con la misma URL y el token vencido)
+    const cerrar = () => {
+      if (res.writableEnded) return;
+      res.write(`event: expirado\ndata: {}\n\n`);
+      res.end();
+    };
+    const restanteMs = req.auth?.exp ? req.auth.exp * 1000 - Date.now() : null;
+    const vence = restanteMs != null ? setTimeout(cerrar, Math.min(Math.max(restanteMs, 0), 2 ** 31 - 1)) : null;
+    const revision = setInterval(async () => {
+      try {
+        if (!(await sigueAutorizado(await connect(), req))) cerrar();
+      } catch (e) {
+        console.error("[eventos] revisión de credencial:", e.message);
+      }
+    }, REVISION_MS);
+
+    req.on("close", () => {
+      clearInterval(ping);
+      clearInterval(revision);
+      clearTimeout(vence);
+      desuscribir();
+    });
+
+    try {
+      const desde = req.header("last-event-id") || req.query.last_event_id;
+      if (desde) {
+        const { vencido, data } = await eventosDesde(await connect(), desde, filtro);
+        if (vencido) res.write(`event: reset\ndata: {}\n\n`);
+        data.forEach(enviar);
+      }
+    } catch (e) {
+      console.error("[eventos] reenvío:", e.message);
+      res.write(`event: reset\ndata: {}\n\n`);
+    }
+    pendientes.forEach(enviar);
+    pendientes = null;
+  }
+);
+
+module.exports = router;
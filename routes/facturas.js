@@ -0,0 +1,195 @@
+// routes/facturas.js
+// Facturación de citas completadas (ver lib/facturacion.js).
+// Las facturas no se editan ni se borran: se anulan con una nota de crédito.
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede } = require("../lib/sedes");
+const { TIPOS, ESTADOS_FACTURA, emitirFactura, emitirNotaCredito, facturaPdf } = require("../lib/facturacion");
+const { rangoFechas } = require("../lib/zonaHoraria");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const FacturaCreate = z.object({
+  cita_ids: z.array(OidStr).min(1),
+  notas: z.string().optional(),
+});
+
+const FacturaAnular = z.object({
+  motivo: z.string().min(1, "El motivo es obligatorio"),
+});
+
+// ============================
+// POST /api/facturas
+// body: { cita_ids: [...], notas? }. Citas Completadas, del mismo paciente y sede, sin facturar
+// ============================
+router.post("/", requirePermiso("facturas:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const parsed = FacturaCreate.parse(req.body);
+    const ids = [...new Set(parsed.cita_ids)].map(oidMaybe);
+
+    const citas = await db.collection("citas").find(scopeSede(req, { _id: { $in: ids } })).sort({ fecha: 1 }).toArray();
+    if (citas.length !== ids.length) return res.status(404).json({ ok: false, error: "Alguna cita no existe" });
+
+    const noCompletadas = citas.filter((c) => c.estado !== "Completada");
+    if (noCompletadas.length) {
+      return res.status(409).json({
+        ok: false,
+        error: "Solo se facturan citas Completadas",
+        citas: noCompletadas.map((c) => ({ _id: c._id, estado: c.estado })),
+      });
+    }
+    if (new Set(citas.map((c) => c.paciente_id)).size > 1) {
+      return res.status(400).json({ ok: false, error: "Las citas deben ser del mismo paciente" });
+    }
+    if (new Set(citas.map((c) => String(c.sede_id))).size > 1) {
+      return res.status(400).json({ ok: false, error: "Las citas deben ser de la misma sede" });
+    }
+    const facturadas = citas.filter((c) => c.factura_id);
+    if (facturadas.length) {
+      return res.status(409).json({
+        ok: false,
+        error: "Alguna de las citas ya fue facturada",
+        citas: facturadas.map((c) => ({ _id: c._id, factura_id: c.factura_id })),
+      });
+    }
+
+    const [paciente, sede] = await Promise.all([
+      db.collection("pacientes").findOne({ _id: citas[0].paciente_id }),
+      db.collection("sedes").findOne({ _id: citas[0].sede_id }),
+    ]);
+    if (!paciente) return res.status(400).json({ ok: false, error: "Paciente de la cita no encontrado" });
+    if (!sede) return res.status(400).json({ ok: false, error: "Sede de la cita no encontrada" });
+
+    const factura = await emitirFactura(db, req, { citas, paciente, sede, notas: parsed.notas?.trim() || null });
+    await registrarAuditoria(db, req, { entidad: "facturas", entidad_id: factura._id, accion: "create", despues: factura });
+
+    return res.status(201).json({ ok: true, id: factura._id.toString(), numero: factura.numero_completo, total: factura.total });
+  } catch (e) {
+    return res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/facturas
+// Filtros: ?paciente_id=&sede_id=&tipo=factura|nota_credito&estado=emitida|anulada&cita_id=&desde=&hasta=&page=&limit=
+// ============================
+router.get("/", requirePermiso("facturas:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("facturas");
+
+    let q = {};
+    const { paciente_id, sede_id, tipo, estado, cita_id, desde, hasta } = req.query;
+    if (paciente_id) q.paciente_id = String(paciente_id);
+    if (sede_id) {
+      const oid = oidMaybe(sede_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, oid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = oid;
+    }
+    if (tipo) {
+      if (!TIPOS.includes(String(tipo))) return res.status(400).json({ ok: false, error: "tipo inválido" });
+      q.tipo = String(tipo);
+    }
+    if (estado) {
+      if (!ESTADOS_FACTURA.includes(String(estado))) return res.status(400).json({ ok: false, error: "estado inválido" });
+      q.estado = String(estado);
+    }
+    if (cita_id) {
+      const oid = oidMaybe(cita_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "cita_id inválido" });
+      q.cita_ids = oid;
+    }
+    if (desde || hasta) q.fecha = rangoFechas(desde, hasta);
+    q = scopeSede(req, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10), 1), 200);
+    const page = Math.max(parseInt(req.query.page ?? "1", 10), 1);
+
+    const [data, total] = await Promise.all([
+      col.find(q, { projection: { lineas: 0 } }).sort({ fecha: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      col.countDocuments(q),
+    ]);
+    return res.json({ ok: true, total, page, pageSize: limit, data });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/facturas/:id
+// ============================
+router.get("/:id", requirePermiso("facturas:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const data = await db.collection("facturas").findOne(scopeSede(req, { _id: oid }));
+    if (!data) return res.status(404).json({ ok: false, error: "Factura no encontrada" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/facturas/:id/pdf
+// Factura o nota de crédito en PDF (se genera en el servidor, sin servicios externos)
+// ============================
+router.get("/:id/pdf", requirePermiso("facturas:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const factura = await db.collection("facturas").findOne(scopeSede(req, { _id: oid }));
+    if (!factura) return res.status(404).json({ ok: false, error: "Factura no encontrada" });
+
+    const pdf = facturaPdf(factura);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${factura.numero_completo}.pdf"`);
+    return res.send(pdf);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/facturas/:id/anular
+// body: { motivo }. Emite la nota de crédito y deja las citas libres para refacturar
+// ============================
+router.post("/:id/anular", requirePermiso("facturas:anular"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const { motivo } = FacturaAnular.parse(req.body || {});
+    const db = await connect();
+    const col = db.collection("facturas");
+
+    const antes = await col.findOne(scopeSede(req, { _id: oid }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Factura no encontrada" });
+    if (antes.tipo !== "factura") return res.status(400).json({ ok: false, error: "Solo se anulan facturas" });
+
+    const nota = await emitirNotaCredito(db, req, antes, motivo.trim());
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "facturas", entidad_id: oid, accion: "anular", antes, despues });
+    await registrarAuditoria(db, req, { entidad: "facturas", entidad_id: nota._id, accion: "create", despues: nota });
+
+    return res.json({ ok: true, anulada: true, nota_credito: { id: nota._id.toString(), numero: nota.numero_completo } });
+  } catch (e) {
+    return res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@
 const express = require("express");
 const { z } = require("zod");
 const { connect } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { pacienteVisible, filtroPacientesVisibles } = require("../lib/sedes");
+const { motivoAcceso, registrarAcceso } = require("../lib/accesos");
+const { rangoFechas } = require("../lib/zonaHoraria");
 
 const router = express.Router();
 
@@ -49,8 +54,9 @@ const ProcPatch = z.object({
 // ============================
 // GET /api/historias
 // ?paciente_id=...  (si no viene, lista paginada de ids)
+// Leer una historia queda registrado en accesos_pacientes (header x-motivo-acceso)
 // ============================
-router.get("/", async (req, res) => {
+router.get("/", requirePermiso("historias:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("historias_clinicas");
@@ -58,8 +64,13 @@ router.get("/", async (req, res) => {
     const { paciente_id } = req.query;
 
     if (paciente_id) {
+      const motivo = motivoAcceso(req);
+      if (!(await pacienteVisible(db, req, paciente_id))) {
+        return res.status(404).json({ ok: false, error: "Historia no encontrada" });
+      }
       const h = await col.findOne({ paciente_id: String(paciente_id) });
       if (!h) return res.status(404).json({ ok: false, error: "Historia no encontrada" });
+      await registrarAcceso(db, req, { paciente_id: h.paciente_id, recurso: "historias_clinicas", recurso_id: h._id, motivo });
       return res.json({ ok: true, data: h });
     }
 
@@ -68,32 +79,38 @@ router.get("/", async (req, res) => {
     limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
     page = Math.max(parseInt(page ?? "1", 10), 1);
 
+    const q = (await filtroPacientesVisibles(db, req)) || {};
     const cursor = col
-      .find({}, { projection: { _id: 0, paciente_id: 1, updatedAt: 1 } })
+      .find(q, { projection: { _id: 0, paciente_id: 1, updatedAt: 1 } })
       .sort({ updatedAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit);
 
-    const [data, total] = await Promise.all([cursor.toArray(), col.countDocuments({})]);
+    const [data, total] = await Promise.all([cursor.toArray(), col.countDocuments(q)]);
     return res.json({ ok: true, total, page, pageSize: limit, data });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: e.message });
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
 // ============================
 // GET /api/historias/:paciente_id
 // ============================
-router.get("/:paciente_id", async (req, res) => {
+router.get("/:paciente_id", requirePermiso("historias:read"), async (req, res) => {
   try {
+    const motivo = motivoAcceso(req);
     const db = await connect();
+    if (!(await pacienteVisible(db, req, req.params.paciente_id))) {
+      return res.status(404).json({ ok: false, error: "Historia no encontrada" });
+    }
     const h = await db.collection("historias_clinicas").findOne({
       paciente_id: String(req.params.paciente_id),
     });
     if (!h) return res.status(404).json({ ok: false, error: "Historia no encontrada" });
+    await registrarAcceso(db, req, { paciente_id: h.paciente_id, recurso: "historias_clinicas", recurso_id: h._id, motivo });
     return res.json({ ok: true, data: h });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: e.message });
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
@@ -101,18 +118,24 @@ router.get("/:paciente_id", async (req, res) => {
 // GET /api/historias/:paciente_id/procedimientos
 // Filtra por fecha: ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
 // ============================
-router.get("/:paciente_id/procedimientos", async (req, res) => {
+router.get("/:paciente_id/procedimientos", requirePermiso("historias:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("historias_clinicas");
     const { paciente_id } = req.params;
     const { desde, hasta } = req.query;
+    const motivo = motivoAcceso(req);
+
+    if (!(await pacienteVisible(db, req, paciente_id))) {
+      return res.status(404).json({ ok: false, error: "Historia no encontrada" });
+    }
 
     const match = { paciente_id: String(paciente_id) };
 
     const conds = [];
-    if (desde) conds.push({ $gte: ["$$p.fecha", parseDateStrict(`${desde}T00:00:00`)] });
-    if (hasta) conds.push({ $lte: ["$$p.fecha", parseDateStrict(`${hasta}T23:59:59`)] });
+    const rango = rangoFechas(desde, hasta);
+    if (rango?.$gte) conds.push({ $gte: ["$$p.fecha", rango.$gte] });
+    if (rango?.$lt) conds.push({ $lt: ["$$p.fecha", rango.$lt] });
 
     const pipeline = [
       { $match: match },
@@ -138,6 +161,7 @@ router.get("/:paciente_id/procedimientos", async (req, res) => {
 
     const out = await col.aggregate(pipeline).toArray();
     if (out.length === 0) return res.status(404).json({ ok: false, error: "Historia no encontrada" });
+    await registrarAcceso(db, req, { paciente_id: out[0].paciente_id, recurso: "historias_clinicas", motivo });
     return res.json({ ok: true, data: out[0] });
   } catch (e) {
     return res.status(400).json({ ok: false, error: e.message });
@@ -149,7 +173,7 @@ router.get("/:paciente_id/procedimientos", async (req, res) => {
 // Acepta: { paciente_id, procedimiento } o { paciente_id, procedimientos_realizados: [...] }
 // También acepta alias legacy: tratamientos_realizados
 // ============================
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("historias:write"), async (req, res) => {
   try {
     // Mapeo alias legacy -> nuevo nombre
     if (!req.body.procedimientos_realizados && Array.isArray(req.body.tratamientos_realizados)) {
@@ -166,6 +190,11 @@ router.post("/", async (req, res) => {
     const db = await connect();
     const col = db.collection("historias_clinicas");
 
+    if (!(await pacienteVisible(db, req, parsed.paciente_id.trim()))) {
+      return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    }
+
+    const antes = await col.findOne({ paciente_id: parsed.paciente_id.trim() });
     const r = await col.updateOne(
       { paciente_id: parsed.paciente_id.trim() },
       {
@@ -176,6 +205,15 @@ router.post("/", async (req, res) => {
       { upsert: true }
     );
 
+    const despues = await col.findOne({ paciente_id: parsed.paciente_id.trim() });
+    await registrarAuditoria(db, req, {
+      entidad: "historias_clinicas",
+      entidad_id: despues?._id,
+      accion: antes ? "update" : "create",
+      antes,
+      despues,
+    });
+
     return res.status(200).json({
       ok: true,
       upserted: !!r.upsertedId,
@@ -192,7 +230,7 @@ router.post("/", async (req, res) => {
 // Edita un procedimiento por índice (0-based).
 // Body: ProcPatch (merge con el existente)
 // ============================
-router.patch("/:paciente_id/procedimientos/:index", async (req, res) => {
+router.patch("/:paciente_id/procedimientos/:index", requirePermiso("historias:write"), async (req, res) => {
   try {
     const idx = Number.parseInt(req.params.index, 10);
     if (Number.isNaN(idx) || idx < 0) {
@@ -203,7 +241,8 @@ router.patch("/:paciente_id/procedimientos/:index", async (req, res) => {
     const db = await connect();
     const col = db.collection("historias_clinicas");
 
-    const h = await col.findOne({ paciente_id: String(req.params.paciente_id) });
+    const visible = await pacienteVisible(db, req, req.params.paciente_id);
+    const h = visible && (await col.findOne({ paciente_id: String(req.params.paciente_id) }));
     if (!h) return res.status(404).json({ ok: false, error: "Historia no encontrada" });
 
     const curr = (h.procedimientos_realizados || [])[idx];
@@ -221,6 +260,9 @@ router.patch("/:paciente_id/procedimientos/:index", async (req, res) => {
       { $set: { [field]: merged, updatedAt: new Date() } }
     );
 
+    const despues = await col.findOne({ _id: h._id });
+    await registrarAuditoria(db, req, { entidad: "historias_clinicas", entidad_id: h._id, accion: "update", antes: h, despues });
+
     return res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
@@ -232,7 +274,7 @@ router.patch("/:paciente_id/procedimientos/:index", async (req, res) => {
 // DELETE /api/historias/:paciente_id/procedimientos/:index
 // Borra un procedimiento por índice (0-based) de forma atómica (unset + pull)
 // ============================
-router.delete("/:paciente_id/procedimientos/:index", async (req, res) => {
+router.delete("/:paciente_id/procedimientos/:index", requirePermiso("historias:delete"), async (req, res) => {
   try {
     const idx = Number.parseInt(req.params.index, 10);
     if (Number.isNaN(idx) || idx < 0) {
@@ -242,7 +284,8 @@ router.delete("/:paciente_id/procedimientos/:index", async (req, res) => {
     const db = await connect();
     const col = db.collection("historias_clinicas");
 
-    const h = await col.findOne({ paciente_id: String(req.params.paciente_id) });
+    const visible = await pacienteVisible(db, req, req.params.paciente_id);
+    const h = visible && (await col.findOne({ paciente_id: String(req.params.paciente_id) }));
     if (!h) return res.status(404).json({ ok: false, error: "Historia no encontrada" });
 
     const curr = (h.procedimientos_realizados || [])[idx];
@@ -252,6 +295,9 @@ router.delete("/:paciente_id/procedimientos/:index", async (req, res) => {
     await col.updateOne({ _id: h._id }, { $unset: { [`procedimientos_realizados.${idx}`]: 1 } });
     const r2 = await col.updateOne({ _id: h._id }, { $pull: { procedimientos_realizados: null }, $set: { updatedAt: new Date() } });
 
+    const despues = await col.findOne({ _id: h._id });
+    await registrarAuditoria(db, req, { entidad: "historias_clinicas", entidad_id: h._id, accion: "update", antes: h, despues });
+
     return res.json({ ok: true, deleted: r2.modifiedCount > 0 });
   } catch (e) {
     return res.status(400).json({ ok: false, error: e.message });
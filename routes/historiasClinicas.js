@@ -1,11 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const historiasController = require("../controllers/historiasClinicasController");
+const { requirePermiso } = require("../middlewares/permisos");
 
-router.get("/", historiasController.listarHistorias);
-router.get("/:id", historiasController.obtenerHistoria);
-router.post("/", historiasController.crearHistoria);
-router.patch("/:id", historiasController.actualizarHistoria);
-router.delete("/:id", historiasController.eliminarHistoria);
+router.get("/", requirePermiso("historias:read"), historiasController.listarHistorias);
+router.get("/:id", requirePermiso("historias:read"), historiasController.obtenerHistoria);
+router.post("/", requirePermiso("historias:write"), historiasController.crearHistoria);
+router.patch("/:id", requirePermiso("historias:write"), historiasController.actualizarHistoria);
+router.delete("/:id", requirePermiso("historias:delete"), historiasController.eliminarHistoria);
 
 module.exports = router;
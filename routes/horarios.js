@@ -0,0 +1,230 @@
+// routes/horarios.js
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { puedeVerSede, sedesPermitidas } = require("../lib/sedes");
+const { minutosDe } = require("../lib/horarios");
+const { parseFecha } = require("../lib/zonaHoraria");
+const { ESTADOS_LIBERAN_AGENDA } = require("../lib/agenda");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+const Hora = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Hora inválida (HH:MM)");
+const Dia = z.number().int().min(0).max(6); // 0 = domingo ... 6 = sábado
+
+const tramoValido = (v) => minutosDe(v.inicio) < minutosDe(v.fin);
+
+// Franja de trabajo de la plantilla semanal (puede haber varias por día)
+const Franja = z.object({
+  dia: Dia,
+  inicio: Hora,
+  fin: Hora,
+  sede_id: OidStr.optional(),
+}).refine(tramoValido, { message: "inicio debe ser anterior a fin" });
+
+// Descanso recurrente (almuerzo...); dia null/ausente = todos los días
+const Descanso = z.object({
+  dia: Dia.nullable().optional(),
+  inicio: Hora,
+  fin: Hora,
+  nombre: z.string().optional(),
+}).refine(tramoValido, { message: "inicio debe ser anterior a fin" });
+
+const HorarioPut = z.object({
+  semana: z.array(Franja),
+  descansos: z.array(Descanso).optional().default([]),
+});
+
+// desde/hasta: fecha-hora, o "YYYY-MM-DD" para días completos (hasta inclusive)
+const FechaDesde = z.preprocess((v) => parseFecha(v) ?? v, z.date());
+const FechaHasta = z.preprocess((v) => parseFecha(v, { finDeDia: true }) ?? v, z.date());
+
+const BloqueoCreate = z.object({
+  usuario_id: OidStr.nullable().optional(), // null => toda la clínica (feriado, cierre)
+  sede_id: OidStr.nullable().optional(),
+  desde: FechaDesde,
+  hasta: FechaHasta,
+  tipo: z.enum(["vacaciones", "bloqueo", "feriado"]).optional().default("bloqueo"),
+  motivo: z.string().optional(),
+}).refine(v => v.desde < v.hasta, { message: "desde debe ser anterior a hasta" });
+
+// ============================
+// Helpers
+// ============================
+// Sin sede_id un bloqueo o una franja vale para todas las sedes: solo quien ve
+// todas las sedes puede dejarla vacía
+function assertSedes(req, sedeIds) {
+  for (const s of sedeIds) {
+    if (!s && sedesPermitidas(req) !== null) {
+      throw Object.assign(new Error("Indica la sede (sin acceso a todas las sedes)"), { status: 403 });
+    }
+    if (s && !puedeVerSede(req, s)) throw Object.assign(new Error("Sin acceso a esa sede"), { status: 403 });
+  }
+}
+
+// ============================
+// GET /api/horarios/bloqueos  <-- ¡antes de :usuario_id!
+// Filtros: ?usuario_id=&tipo=&desde=&hasta=
+// Con usuario_id también devuelve los bloqueos de toda la clínica.
+// ============================
+router.get("/bloqueos", requirePermiso("horarios:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const q = {};
+    if (req.query.usuario_id) {
+      const oid = oidMaybe(req.query.usuario_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      q.$or = [{ usuario_id: oid }, { usuario_id: null }];
+    }
+    if (req.query.tipo) q.tipo = String(req.query.tipo);
+
+    const desde = parseFecha(req.query.desde);
+    const hasta = parseFecha(req.query.hasta, { finDeDia: true });
+    if (desde) q.hasta = { $gt: desde };
+    if (hasta) q.desde = { $lt: hasta };
+
+    const data = await db.collection("bloqueos_agenda").find(q).sort({ desde: 1 }).limit(500).toArray();
+    return res.json({ ok: true, total: data.length, data: data.filter(b => !b.sede_id || puedeVerSede(req, b.sede_id)) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/horarios/bloqueos
+// Vacaciones, bloqueos puntuales o feriados (sin usuario_id)
+// ============================
+router.post("/bloqueos", requirePermiso("horarios:write"), async (req, res) => {
+  try {
+    const body = BloqueoCreate.parse(req.body);
+    assertSedes(req, [body.sede_id]);
+
+    const db = await connect();
+    const usuarioOid = body.usuario_id ? oidMaybe(body.usuario_id) : null;
+    if (usuarioOid && !(await db.collection("usuarios").countDocuments({ _id: usuarioOid }))) {
+      return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    }
+
+    const now = new Date();
+    const doc = {
+      usuario_id: usuarioOid,
+      sede_id: body.sede_id ? oidMaybe(body.sede_id) : null,
+      desde: body.desde,
+      hasta: body.hasta,
+      tipo: body.tipo,
+      motivo: body.motivo?.trim() || null,
+      creadoPor: req.user?._id ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const r = await db.collection("bloqueos_agenda").insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "bloqueos_agenda", entidad_id: r.insertedId, accion: "create", despues: doc });
+
+    // Aviso: el bloqueo no mueve las citas ya agendadas en ese rango
+    const citasAfectadas = usuarioOid
+      ? await db.collection("citas").countDocuments({
+          usuario_id: usuarioOid, fecha: { $lt: doc.hasta }, fin: { $gt: doc.desde }, estado: { $nin: ESTADOS_LIBERAN_AGENDA },
+        })
+      : 0;
+
+    return res.status(201).json({ ok: true, id: r.insertedId.toString(), citasAfectadas });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(e.status || 400).json({ ok: false, error: msg });
+  }
+});
+
+// ============================
+// DELETE /api/horarios/bloqueos/:id
+// ============================
+router.delete("/bloqueos/:id", requirePermiso("horarios:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const col = db.collection("bloqueos_agenda");
+    const antes = await col.findOne({ _id: oid });
+    if (!antes || (antes.sede_id && !puedeVerSede(req, antes.sede_id))) {
+      return res.status(404).json({ ok: false, error: "Bloqueo no encontrado" });
+    }
+
+    const r = await col.deleteOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "bloqueos_agenda", entidad_id: oid, accion: "delete", antes });
+    return res.json({ ok: true, deleted: r.deletedCount });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/horarios/:usuario_id
+// ============================
+router.get("/:usuario_id", requirePermiso("horarios:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.usuario_id);
+    if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+
+    const db = await connect();
+    const doc = await db.collection("horarios").findOne({ usuario_id: oid });
+    if (!doc) return res.status(404).json({ ok: false, error: "El usuario no tiene horario definido" });
+    return res.json({ ok: true, data: doc });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// PUT /api/horarios/:usuario_id
+// Reemplaza la plantilla semanal y los descansos del usuario.
+// Body: { semana: [{ dia, inicio, fin, sede_id? }], descansos?: [{ dia?, inicio, fin, nombre? }] }
+// ============================
+router.put("/:usuario_id", requirePermiso("horarios:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.usuario_id);
+    if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+
+    const body = HorarioPut.parse(req.body);
+    assertSedes(req, body.semana.map(f => f.sede_id));
+
+    const db = await connect();
+    if (!(await db.collection("usuarios").countDocuments({ _id: oid }))) {
+      return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    }
+
+    const col = db.collection("horarios");
+    const antes = await col.findOne({ usuario_id: oid });
+
+    const now = new Date();
+    await col.updateOne(
+      { usuario_id: oid },
+      {
+        $set: {
+          semana: body.semana.map(f => ({ ...f, sede_id: f.sede_id ? oidMaybe(f.sede_id) : null })),
+          descansos: body.descansos.map(d => ({ ...d, dia: d.dia ?? null, nombre: d.nombre?.trim() || null })),
+          updatedAt: now,
+        },
+        $setOnInsert: { usuario_id: oid, createdAt: now },
+      },
+      { upsert: true }
+    );
+
+    const despues = await col.findOne({ usuario_id: oid });
+    await registrarAuditoria(db, req, {
+      entidad: "horarios", entidad_id: despues._id, accion: antes ? "update" : "create", antes, despues,
+    });
+    return res.json({ ok: true, data: despues });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(e.status || 400).json({ ok: false, error: msg });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// routes/ical.js
+// Feed iCalendar público por odontólogo: GET /ical/:token.ics
+// Va fuera de /api (los calendarios no mandan Bearer): el token secreto es la
+// credencial. Se genera/rota en POST /api/usuarios/:id/calendario.
+const express = require("express");
+const { connect } = require("../lib/mongo");
+const { puedeAutenticarse } = require("../lib/auth");
+const { CON_NOMBRE_PACIENTE } = require("../lib/citas");
+const {
+  FEED_DIAS_ATRAS,
+  FEED_DIAS_ADELANTE,
+  CON_NOMBRE_SEDE,
+  calendario,
+  buscarPorTokenCalendario,
+} = require("../lib/ical");
+
+const router = express.Router();
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// ============================
+// GET /ical/:token.ics
+// Citas del odontólogo (incluidas las canceladas, como STATUS:CANCELLED)
+// entre hace ICAL_DIAS_ATRAS y dentro de ICAL_DIAS_ADELANTE días.
+// ============================
+router.get("/:token.ics", async (req, res) => {
+  try {
+    const db = await connect();
+    const usuario = await buscarPorTokenCalendario(db, req.params.token);
+    // Token desconocido, rotado o revocado: 404 sin contar como fallo de auth.
+    // Un calendario suscrito con el token viejo sigue pidiendo el feed y no debe
+    // bloquear la IP de la clínica (el límite de /ical acota la fuerza bruta)
+    if (!usuario || !puedeAutenticarse(usuario)) {
+      return res.status(404).json({ ok: false, error: "Calendario no encontrado" });
+    }
+
+    const ahora = Date.now();
+    const citas = await db.collection("citas").aggregate([
+      {
+        $match: {
+          usuario_id: usuario._id,
+          fecha: { $gte: new Date(ahora - FEED_DIAS_ATRAS * DIA_MS), $lte: new Date(ahora + FEED_DIAS_ADELANTE * DIA_MS) },
+        },
+      },
+      { $sort: { fecha: 1 } },
+      { $limit: 2000 },
+      ...CON_NOMBRE_PACIENTE,
+      ...CON_NOMBRE_SEDE,
+    ]).toArray();
+
+    const nombre = `DentalFlow - ${`${usuario.nombres ?? ""} ${usuario.apellidos ?? ""}`.trim()}`;
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(calendario(citas, { nombre }));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+// routes/lista_espera.js
+// Lista de espera para ocupar los huecos que dejan las cancelaciones
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { sedesPermitidas, puedeVerSede, pacienteVisible } = require("../lib/sedes");
+const { minutosDe } = require("../lib/horarios");
+const { validarOdontologo, DURACION_DEFAULT_MIN, sumarMinutos, ESTADOS_LIBERAN_AGENDA } = require("../lib/agenda");
+const {
+  CitaCreate,
+  Proc,
+  sendError,
+  assertPuedeForzar,
+  prepararCita,
+  insertarCita,
+} = require("../lib/citas");
+const { URGENCIAS, ESTADOS_ESPERA, huecoDeCita, candidatosParaHueco } = require("../lib/listaEspera");
+const { advertenciaAlAgendar } = require("../lib/asistencia");
+const { parseFecha } = require("../lib/zonaHoraria");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+const Hora = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Hora inválida (HH:MM)");
+// Fechas sin zona se interpretan en la de la clínica; una inválida llega tal cual y falla en z.date()
+const fechaEnZona = (opts) => (v) => (v == null || v === "" ? undefined : parseFecha(v, opts) ?? v);
+const Fecha = z.preprocess(fechaEnZona(), z.date());
+// Límite inclusivo: "YYYY-MM-DD" vale hasta el fin de ese día
+const FechaLimite = z.preprocess(fechaEnZona({ finDeDia: true }), z.date());
+
+const Franja = z.object({ inicio: Hora, fin: Hora })
+  .refine(v => minutosDe(v.inicio) < minutosDe(v.fin), { message: "inicio debe ser anterior a fin" });
+
+const EntradaBase = {
+  usuario_id: OidStr.nullable().optional(), // odontólogo preferido (null = cualquiera)
+  sede_id: OidStr.nullable().optional(),
+  dias: z.array(z.number().int().min(0).max(6)).optional(), // 0 = domingo; vacío = cualquier día
+  franjas: z.array(Franja).optional(), // vacío = cualquier hora
+  urgencia: z.enum(URGENCIAS).optional(),
+  duracion_min: z.number().int().min(5).max(600).nullable().optional(),
+  motivo: z.string().optional(),
+  procedimientos: z.array(Proc).optional(),
+  vigente_hasta: FechaLimite.nullable().optional(), // después de esa fecha ya no le sirve
+  notas: z.string().optional(),
+};
+
+const EntradaCreate = z.object({
+  paciente_id: z.string().min(1), // cédula
+  ...EntradaBase,
+});
+
+const EntradaPatch = z.object({
+  ...EntradaBase,
+  estado: z.enum(["activa", "retirada"]).optional(), // "agendada" solo vía /agendar
+}).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
+
+// Agendar desde la lista: en el hueco de una cita cancelada o en una fecha dada
+const Agendar = z.object({
+  cita_id: OidStr.optional(),
+  fecha: Fecha.optional(),
+  usuario_id: OidStr.optional(),
+  sede_id: OidStr.optional(),
+  estado: z.enum(["Pendiente", "Confirmada"]).optional(),
+  forzar: z.boolean().optional(),
+}).refine(v => v.cita_id || v.fecha, { message: "Debe incluir cita_id o fecha" });
+
+// ============================
+// Helpers
+// ============================
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+// Entradas sin sede sirven para cualquiera; las demás solo para quien ve esa sede
+function filtroSedes(req) {
+  const permitidas = sedesPermitidas(req);
+  return permitidas === null ? {} : { $or: [{ sede_id: null }, { sede_id: { $in: permitidas } }] };
+}
+
+// Normaliza preferencias para guardarlas (ids a ObjectId, strings recortados)
+function preferencias(body) {
+  const out = {};
+  if (body.usuario_id !== undefined) out.usuario_id = body.usuario_id ? oidMaybe(body.usuario_id) : null;
+  if (body.sede_id !== undefined) out.sede_id = body.sede_id ? oidMaybe(body.sede_id) : null;
+  if (body.dias !== undefined) out.dias = [...new Set(body.dias)].sort();
+  if (body.franjas !== undefined) out.franjas = body.franjas;
+  if (body.urgencia !== undefined) out.urgencia = body.urgencia;
+  if (body.duracion_min !== undefined) out.duracion_min = body.duracion_min;
+  if (body.motivo !== undefined) out.motivo = body.motivo.trim() || null;
+  if (body.procedimientos !== undefined) out.procedimientos = body.procedimientos;
+  if (body.vigente_hasta !== undefined) out.vigente_hasta = body.vigente_hasta;
+  if (body.notas !== undefined) out.notas = body.notas.trim() || null;
+  return out;
+}
+
+async function validarPreferencias(db, req, prefs) {
+  if (prefs.sede_id && !puedeVerSede(req, prefs.sede_id)) throw httpError(403, "Sin acceso a esa sede");
+  if (prefs.usuario_id) await validarOdontologo(db, prefs.usuario_id, prefs.sede_id);
+}
+
+async function cargarEntrada(db, req, id) {
+  const _id = oidMaybe(id);
+  if (!_id) throw httpError(400, "id inválido");
+  const entrada = await db.collection("lista_espera").findOne({ _id, ...filtroSedes(req) });
+  if (!entrada) throw httpError(404, "Entrada no encontrada");
+  return entrada;
+}
+
+// ============================
+// GET /api/lista-espera/candidatos  <-- ¡antes de :id!
+// ?cita_id=          -> hueco de esa cita (normalmente recién cancelada)
+// ?usuario_id=&fecha=&duracion_min=&sede_id=  -> hueco arbitrario
+// Devuelve las entradas activas que encajan, ordenadas por prioridad.
+// ============================
+router.get("/candidatos", requirePermiso("lista_espera:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    let hueco;
+
+    if (req.query.cita_id) {
+      const _id = oidMaybe(req.query.cita_id);
+      if (!_id) return res.status(400).json({ ok: false, error: "cita_id inválido" });
+      const cita = await db.collection("citas").findOne({ _id });
+      if (!cita || !puedeVerSede(req, cita.sede_id)) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+      hueco = huecoDeCita(cita);
+    } else {
+      const usuarioOid = oidMaybe(req.query.usuario_id);
+      const fecha = parseFecha(req.query.fecha);
+      if (!usuarioOid || !fecha) {
+        return res.status(400).json({ ok: false, error: "Debe indicar cita_id, o usuario_id y fecha" });
+      }
+      const duracion = Number(req.query.duracion_min) || DURACION_DEFAULT_MIN;
+      hueco = {
+        fecha,
+        fin: sumarMinutos(fecha, duracion),
+        usuario_id: usuarioOid,
+        sede_id: req.query.sede_id ? oidMaybe(req.query.sede_id) : null,
+      };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "10", 10), 1), 50);
+    const data = await candidatosParaHueco(db, hueco, { limit, sedes: sedesPermitidas(req) });
+    return res.json({ ok: true, hueco, total: data.length, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/lista-espera
+// ============================
+router.post("/", requirePermiso("lista_espera:write"), async (req, res) => {
+  try {
+    const body = EntradaCreate.parse(req.body);
+    const db = await connect();
+
+    const pacienteId = body.paciente_id.trim();
+    if (!(await db.collection("pacientes").countDocuments({ _id: pacienteId }))) {
+      return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    }
+    if (!(await pacienteVisible(db, req, pacienteId))) {
+      return res.status(403).json({ ok: false, error: "Sin acceso a ese paciente" });
+    }
+
+    const prefs = preferencias(body);
+    await validarPreferencias(db, req, prefs);
+
+    // Una sola entrada activa por paciente y odontólogo
+    const dup = await db.collection("lista_espera").findOne({
+      paciente_id: pacienteId, usuario_id: prefs.usuario_id ?? null, estado: "activa",
+    });
+    if (dup) {
+      return res.status(409).json({ ok: false, error: "El paciente ya está en espera para ese odontólogo", id: dup._id.toString() });
+    }
+
+    const now = new Date();
+    const doc = {
+      paciente_id: pacienteId,
+      usuario_id: null,
+      sede_id: null,
+      dias: [],
+      franjas: [],
+      urgencia: "media",
+      duracion_min: null,
+      motivo: null,
+      procedimientos: [],
+      vigente_hasta: null,
+      notas: null,
+      ...prefs,
+      estado: "activa",
+      cita_id: null,
+      creadoPor: req.user?._id ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const r = await db.collection("lista_espera").insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "lista_espera", entidad_id: r.insertedId, accion: "create", despues: doc });
+    return res.status(201).json({ ok: true, id: r.insertedId.toString() });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// GET /api/lista-espera
+// Filtros: ?estado=activa&paciente_id=&usuario_id=&urgencia=&page=&limit=
+// Orden: urgencia y antigüedad
+// ============================
+router.get("/", requirePermiso("lista_espera:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("lista_espera");
+
+    const q = { ...filtroSedes(req) };
+    const estado = String(req.query.estado || "activa");
+    if (estado !== "todas") {
+      if (!ESTADOS_ESPERA.includes(estado)) return res.status(400).json({ ok: false, error: "estado inválido" });
+      q.estado = estado;
+    }
+    if (req.query.paciente_id) q.paciente_id = String(req.query.paciente_id);
+    if (req.query.urgencia) q.urgencia = String(req.query.urgencia);
+    if (req.query.usuario_id) {
+      const oid = oidMaybe(req.query.usuario_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      q.usuario_id = oid;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10), 1), 200);
+    const page = Math.max(parseInt(req.query.page ?? "1", 10), 1);
+
+    const [data, total] = await Promise.all([
+      col.aggregate([
+        { $match: q },
+        { $addFields: { _urg: { $indexOfArray: [URGENCIAS, "$urgencia"] } } },
+        { $sort: { _urg: -1, createdAt: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { _urg: 0 } },
+      ]).toArray(),
+      col.countDocuments(q),
+    ]);
+    return res.json({ ok: true, total, page, pageSize: limit, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/lista-espera/:id
+// ============================
+router.get("/:id", requirePermiso("lista_espera:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const data = await cargarEntrada(db, req, req.params.id);
+    return res.json({ ok: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// PATCH /api/lista-espera/:id
+// Cambia preferencias o retira al paciente de la lista (estado "retirada")
+// ============================
+router.patch("/:id", requirePermiso("lista_espera:write"), async (req, res) => {
+  try {
+    const body = EntradaPatch.parse(req.body);
+    const db = await connect();
+    const antes = await cargarEntrada(db, req, req.params.id);
+    if (antes.estado === "agendada") {
+      return res.status(409).json({ ok: false, error: "La entrada ya fue agendada" });
+    }
+
+    const prefs = preferencias(body);
+    await validarPreferencias(db, req, {
+      usuario_id: prefs.usuario_id !== undefined ? prefs.usuario_id : antes.usuario_id,
+      sede_id: prefs.sede_id !== undefined ? prefs.sede_id : antes.sede_id,
+    });
+
+    const $set = { ...prefs, updatedAt: new Date() };
+    if (body.estado) $set.estado = body.estado;
+
+    await db.collection("lista_espera").updateOne({ _id: antes._id }, { $set });
+    const despues = await db.collection("lista_espera").findOne({ _id: antes._id });
+    await registrarAuditoria(db, req, { entidad: "lista_espera", entidad_id: antes._id, accion: "update", antes, despues });
+    return res.json({ ok: true, data: despues });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// DELETE /api/lista-espera/:id
+// ============================
+router.delete("/:id", requirePermiso("lista_espera:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const antes = await cargarEntrada(db, req, req.params.id);
+    const r = await db.collection("lista_espera").deleteOne({ _id: antes._id });
+    await registrarAuditoria(db, req, { entidad: "lista_espera", entidad_id: antes._id, accion: "delete", antes });
+    return res.json({ ok: true, deleted: r.deletedCount });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// POST /api/lista-espera/:id/agendar
+// Body: { cita_id? | fecha?, usuario_id?, sede_id?, estado?, forzar? }
+// Con cita_id se toma el hueco (fecha, odontólogo, sede y recursos) de esa cita cancelada.
+// Crea la cita con las reglas normales (cruces, odontólogo activo...) y marca
+// la entrada como "agendada".
+// ============================
+router.post("/:id/agendar", requirePermiso("lista_espera:write"), requirePermiso("citas:write"), async (req, res) => {
+  try {
+    const body = Agendar.parse(req.body ?? {});
+    assertPuedeForzar(req, body.forzar);
+
+    const db = await connect();
+    const entrada = await cargarEntrada(db, req, req.params.id);
+    if (entrada.estado !== "activa") {
+      return res.status(409).json({ ok: false, error: `La entrada está ${entrada.estado}` });
+    }
+
+    let hueco = {};
+    if (body.cita_id) {
+      const liberada = await db.collection("citas").findOne({ _id: oidMaybe(body.cita_id) });
+      if (!liberada || !puedeVerSede(req, liberada.sede_id)) {
+        return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+      }
+      if (!ESTADOS_LIBERAN_AGENDA.includes(liberada.estado)) {
+        return res.status(409).json({ ok: false, error: "La cita no está cancelada: su hueco no está libre" });
+      }
+      hueco = huecoDeCita(liberada);
+    }
+
+    const usuarioId = body.usuario_id || hueco.usuario_id || entrada.usuario_id;
+    if (!usuarioId) return res.status(400).json({ ok: false, error: "usuario_id es requerido" });
+
+    const parsed = CitaCreate.parse({
+      fecha: body.fecha || hueco.fecha,
+      paciente_id: entrada.paciente_id,
+      usuario_id: String(usuarioId),
+      sede_id: body.sede_id || (hueco.sede_id ?? entrada.sede_id)?.toString(),
+      recurso_ids: hueco.recurso_ids?.length && !body.sede_id ? hueco.recurso_ids.map(String) : undefined,
+      estado: body.estado,
+      motivo: entrada.motivo ?? undefined,
+      procedimientos: entrada.procedimientos?.length ? entrada.procedimientos : undefined,
+      duracion_min: entrada.duracion_min ?? undefined,
+    });
+
+    const doc = await prepararCita(db, req, parsed);
+    doc.lista_espera_id = entrada._id;
+    const { id } = await insertarCita(db, req, doc, { forzar: body.forzar });
+
+    const now = new Date();
+    await db.collection("lista_espera").updateOne(
+      { _id: entrada._id },
+      { $set: { estado: "agendada", cita_id: id, agendadaEn: now, updatedAt: now } }
+    );
+    const despues = await db.collection("lista_espera").findOne({ _id: entrada._id });
+    await registrarAuditoria(db, req, { entidad: "lista_espera", entidad_id: entrada._id, accion: "update", antes: entrada, despues });
+
+    const advertencia = await advertenciaAlAgendar(db, doc.paciente_id);
+    return res.status(201).json({
+      ok: true, cita_id: id.toString(), fecha: doc.fecha, fin: doc.fin, ...(advertencia ? { advertencia } : {}),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+// routes/notificaciones.js
+// Outbox de notificaciones: consulta del estado de entrega, reintentos y plantillas
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede } = require("../lib/sedes");
+const { CANALES, canalesConfigurados } = require("../lib/transportes");
+const {
+  TIPOS,
+  ESTADOS_NOTIF,
+  PLANTILLAS_DEFAULT,
+  procesarPendientes,
+} = require("../lib/notificaciones");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const PlantillaPut = z.object({
+  canal: z.enum(CANALES).nullable().optional(), // null/ausente => todos los canales
+  asunto: z.string().optional(),
+  cuerpo: z.string().min(1),
+});
+
+// ============================
+// GET /api/notificaciones/plantillas  <-- ¡antes de :id!
+// Plantillas efectivas: las guardadas y los defaults de cada tipo
+// ============================
+router.get("/plantillas", requirePermiso("notificaciones:read"), async (_req, res) => {
+  try {
+    const db = await connect();
+    const guardadas = await db.collection("plantillas_notificacion").find({}).sort({ tipo: 1, canal: 1 }).toArray();
+    return res.json({ ok: true, defaults: PLANTILLAS_DEFAULT, data: guardadas });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// PUT /api/notificaciones/plantillas/:tipo
+// Body: { canal?, asunto?, cuerpo }  (variables: {{paciente}} {{fecha}} {{hora}} ...)
+// ============================
+router.put("/plantillas/:tipo", requirePermiso("notificaciones:manage"), async (req, res) => {
+  try {
+    const { tipo } = req.params;
+    if (!TIPOS.includes(tipo)) return res.status(400).json({ ok: false, error: "tipo inválido" });
+    const body = PlantillaPut.parse(req.body);
+
+    const db = await connect();
+    const col = db.collection("plantillas_notificacion");
+    const filtro = { tipo, canal: body.canal ?? null };
+    const antes = await col.findOne(filtro);
+
+    const now = new Date();
+    await col.updateOne(
+      filtro,
+      {
+        $set: { asunto: body.asunto ?? PLANTILLAS_DEFAULT[tipo].asunto, cuerpo: body.cuerpo, updatedAt: now },
+        $setOnInsert: { ...filtro, createdAt: now },
+      },
+      { upsert: true }
+    );
+    const despues = await col.findOne(filtro);
+    await registrarAuditoria(db, req, {
+      entidad: "plantillas_notificacion", entidad_id: despues._id, accion: antes ? "update" : "create", antes, despues,
+    });
+    return res.json({ ok: true, data: despues });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(e.status || 400).json({ ok: false, error: msg });
+  }
+});
+
+// ============================
+// DELETE /api/notificaciones/plantillas/:tipo?canal=
+// Vuelve a la plantilla por defecto
+// ============================
+router.delete("/plantillas/:tipo", requirePermiso("notificaciones:manage"), async (req, res) => {
+  try {
+    const db = await connect();
+    const filtro = { tipo: req.params.tipo, canal: req.query.canal ? String(req.query.canal) : null };
+    const antes = await db.collection("plantillas_notificacion").findOne(filtro);
+    if (!antes) return res.status(404).json({ ok: false, error: "Plantilla no encontrada" });
+
+    await db.collection("plantillas_notificacion").deleteOne({ _id: antes._id });
+    await registrarAuditoria(db, req, { entidad: "plantillas_notificacion", entidad_id: antes._id, accion: "delete", antes });
+    return res.json({ ok: true, deleted: 1 });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/notificaciones/procesar  <-- ¡antes de :id!
+// Envía ya los mensajes vencidos (sin esperar al worker).
+// sin_transporte: canales cuyos mensajes siguen pendientes por falta de transporte
+// ============================
+router.post("/procesar", requirePermiso("notificaciones:manage"), async (_req, res) => {
+  try {
+    const db = await connect();
+    const r = await procesarPendientes(db);
+    const configurados = canalesConfigurados();
+    return res.json({ ok: true, ...r, sin_transporte: CANALES.filter((c) => !configurados.includes(c)) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/notificaciones
+// Filtros: ?estado=&tipo=&canal=&cita_id=&paciente_id=&page=&limit=
+// ============================
+router.get("/", requirePermiso("notificaciones:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("notificaciones");
+
+    let q = {};
+    const { estado, tipo, canal, cita_id, paciente_id } = req.query;
+    if (estado) {
+      if (!ESTADOS_NOTIF.includes(String(estado))) return res.status(400).json({ ok: false, error: "estado inválido" });
+      q.estado = String(estado);
+    }
+    if (tipo) q.tipo = String(tipo);
+    if (canal) q.canal = String(canal);
+    if (paciente_id) q.paciente_id = String(paciente_id);
+    if (cita_id) {
+      const oid = oidMaybe(cita_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "cita_id inválido" });
+      q.cita_id = oid;
+    }
+    q = scopeSede(req, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10), 1), 200);
+    const page = Math.max(parseInt(req.query.page ?? "1", 10), 1);
+
+    const [data, total] = await Promise.all([
+      col.find(q).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      col.countDocuments(q),
+    ]);
+    return res.json({ ok: true, total, page, pageSize: limit, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/notificaciones/:id
+// ============================
+router.get("/:id", requirePermiso("notificaciones:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const data = await db.collection("notificaciones").findOne(scopeSede(req, { _id: oid }));
+    if (!data) return res.status(404).json({ ok: false, error: "Notificación no encontrada" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/notificaciones/:id/reintentar
+// Vuelve a encolar una notificación fallida (reinicia los intentos)
+// ============================
+router.post("/:id/reintentar", requirePermiso("notificaciones:manage"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const now = new Date();
+    const r = await db.collection("notificaciones").updateOne(
+      scopeSede(req, { _id: oid, estado: { $in: ["fallida", "cancelada"] } }),
+      { $set: { estado: "pendiente", intentos: 0, proximo_intento: now, updatedAt: now } }
+    );
+    if (r.matchedCount === 0) {
+      return res.status(409).json({ ok: false, error: "Solo se reintentan notificaciones fallidas o canceladas" });
+    }
+    return res.json({ ok: true, requeued: true });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/notificaciones/:id/cancelar
+// Anula un mensaje que aún no salió
+// ============================
+router.post("/:id/cancelar", requirePermiso("notificaciones:manage"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const r = await db.collection("notificaciones").updateOne(
+      scopeSede(req, { _id: oid, estado: "pendiente" }),
+      { $set: { estado: "cancelada", updatedAt: new Date() } }
+    );
+    if (r.matchedCount === 0) return res.status(409).json({ ok: false, error: "La notificación no está pendiente" });
+    return res.json({ ok: true, cancelled: true });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
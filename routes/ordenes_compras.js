@@ -1,6 +1,10 @@
 const express = require("express");
 const { z } = require("zod");
 const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede, resolverSedeId } = require("../lib/sedes");
+const { rangoFechas, parseFecha } = require("../lib/zonaHoraria");
 
 const router = express.Router();
 
@@ -13,14 +17,16 @@ const Detalle = z.object({
 const OrdenCompraCreate = z.object({
   proveedor_id: z.string().min(1),
   usuario_id: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  sede_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(), // sede que recibe el inventario
   estado: z.enum(["Borrador","Enviada","Recibida","Anulada"]).default("Enviada"),
-  fecha_expedicion: z.preprocess((v) => (v ? new Date(v) : new Date()), z.date()).optional(),
-  fecha_vencimiento: z.preprocess((v) => (v ? new Date(v) : null), z.date().nullable()).optional(),
+  // Fechas en la zona de la clínica; una fecha inválida no pasa z.date()
+  fecha_expedicion: z.preprocess((v) => (v ? parseFecha(v) ?? v : new Date()), z.date()).optional(),
+  fecha_vencimiento: z.preprocess((v) => (v ? parseFecha(v) ?? v : null), z.date().nullable()).optional(),
   detalles: z.array(Detalle).min(1),
   observaciones: z.string().optional()
 });
 
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("ordenes_compras:write"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("ordenes_compras");
@@ -28,6 +34,7 @@ router.post("/", async (req, res) => {
     const parsed = OrdenCompraCreate.parse(req.body);
     const usuarioOid = oidMaybe(parsed.usuario_id);
     if (!usuarioOid) throw new Error("usuario_id inválido");
+    const sedeId = await resolverSedeId(db, req, parsed.sede_id);
 
     const detalles = parsed.detalles.map(d => ({
       insumo_id: oidMaybe(d.insumo_id),
@@ -44,6 +51,7 @@ router.post("/", async (req, res) => {
       tipo: "Insumos",
       proveedor_id: parsed.proveedor_id.trim(),
       usuario_id: usuarioOid,
+      sede_id: sedeId,
       estado: parsed.estado,
       fecha_expedicion: parsed.fecha_expedicion || new Date(),
       fecha_vencimiento: parsed.fecha_vencimiento ?? null,
@@ -55,31 +63,36 @@ router.post("/", async (req, res) => {
     };
 
     const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "ordenes_compras", entidad_id: r.insertedId, accion: "create", despues: doc });
     res.status(201).json({ ok: true, id: r.insertedId.toString(), total });
   } catch (e) {
-    res.status(400).json({ ok: false, error: e.message });
+    res.status(e.status || 400).json({ ok: false, error: e.message });
   }
 });
 
-// GET /api/ordenes-compras?proveedor_id=...&desde=YYYY-MM-DD&hasta=YYYY-MM-DD
-router.get("/", async (req, res) => {
+// GET /api/ordenes-compras?proveedor_id=...&sede_id=...&desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+router.get("/", requirePermiso("ordenes_compras:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("ordenes_compras");
-    const { proveedor_id, desde, hasta } = req.query;
+    const { proveedor_id, sede_id, desde, hasta } = req.query;
 
-    const q = {};
+    let q = {};
     if (proveedor_id) q.proveedor_id = String(proveedor_id);
-    if (desde || hasta) {
-      q.fecha_expedicion = {};
-      if (desde) q.fecha_expedicion.$gte = new Date(`${desde}T00:00:00`);
-      if (hasta) q.fecha_expedicion.$lte = new Date(`${hasta}T23:59:59`);
+    if (sede_id) {
+      const soid = oidMaybe(String(sede_id));
+      if (!soid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, soid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = soid;
     }
+    const rango = rangoFechas(desde, hasta);
+    if (rango) q.fecha_expedicion = rango;
+    q = scopeSede(req, q);
 
     const docs = await col.find(q).sort({ fecha_expedicion: -1 }).limit(100).toArray();
     res.json({ ok: true, data: docs });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
@@ -2,6 +2,11 @@
 const express = require("express");
 const { z } = require("zod");
 const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede } = require("../lib/sedes");
+const { rangoFechas } = require("../lib/zonaHoraria");
+const { publicarOrdenLab } = require("../lib/eventos");
 
 const router = express.Router();
 
@@ -74,10 +79,19 @@ const OrdenLabPatch = z.object({
   val.producto_delete_index !== undefined
 , { message: "Nada para actualizar" });
 
+// Cambiar solo el estado requiere "update_estado" (p. ej. Laboratorista);
+// cualquier otro cambio requiere "write".
+const permisoPatchOrden = (req) => {
+  const keys = Object.keys(req.body || {});
+  return keys.length === 1 && keys[0] === "estado"
+    ? "ordenes_laboratorio:update_estado"
+    : "ordenes_laboratorio:write";
+};
+
 // ============================
 // POST /api/ordenes-laboratorio
 // ============================
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("ordenes_laboratorio:write"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("ordenes_laboratorio");
@@ -87,6 +101,10 @@ router.post("/", async (req, res) => {
     const usuarioOid = oidMaybe(parsed.usuario_id);
     if (!citaOid || !usuarioOid) throw new Error("cita_id/usuario_id inválidos");
 
+    // La orden hereda la sede de la cita
+    const cita = await db.collection("citas").findOne(scopeSede(req, { _id: citaOid }), { projection: { sede_id: 1 } });
+    if (!cita) return res.status(404).json({ ok: false, error: "Cita no encontrada" });
+
     const productos = parsed.productos.map((p) => ({
       tipo_producto: p.tipo_producto.trim(),
       especificaciones: p.especificaciones?.trim() ?? null,
@@ -100,6 +118,7 @@ router.post("/", async (req, res) => {
     const doc = {
       cita_id: citaOid,
       usuario_id: usuarioOid,
+      sede_id: cita.sede_id ?? null,
       fecha_creacion: fechaCre,           // requerido por tu validador
       estado: parsed.estado,
       observaciones: obsNorm,
@@ -112,6 +131,8 @@ router.post("/", async (req, res) => {
     };
 
     const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "ordenes_laboratorio", entidad_id: r.insertedId, accion: "create", despues: doc });
+    await publicarOrdenLab(db, null, { ...doc, _id: r.insertedId });
     return res.status(201).json({ ok: true, id: r.insertedId.toString() });
   } catch (e) {
     return res.status(400).json({ ok: false, error: e.message });
@@ -120,18 +141,18 @@ router.post("/", async (req, res) => {
 
 // ============================
 // GET /api/ordenes-laboratorio
-// Filtros: ?cita_id=&usuario_id=&estado=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&q=texto
+// Filtros: ?cita_id=&usuario_id=&sede_id=&estado=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&q=texto
 // Paginación: ?page=&limit=
 // ============================
-router.get("/", async (req, res) => {
+router.get("/", requirePermiso("ordenes_laboratorio:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("ordenes_laboratorio");
 
-    const { cita_id, usuario_id, estado, desde, hasta, q } = req.query;
+    const { cita_id, usuario_id, sede_id, estado, desde, hasta, q } = req.query;
     let { page, limit } = req.query;
 
-    const query = {};
+    let query = {};
     if (cita_id) {
       const coid = oidMaybe(String(cita_id));
       if (!coid) return res.status(400).json({ ok: false, error: "cita_id inválido" });
@@ -142,6 +163,12 @@ router.get("/", async (req, res) => {
       if (!uoid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
       query.usuario_id = uoid;
     }
+    if (sede_id) {
+      const soid = oidMaybe(String(sede_id));
+      if (!soid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, soid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      query.sede_id = soid;
+    }
     if (estado) {
       const estados = ["Pendiente", "En producción", "Listo para enviar", "Entregada", "Rechazada"];
       if (!estados.includes(String(estado))) {
@@ -149,11 +176,8 @@ router.get("/", async (req, res) => {
       }
       query.estado = String(estado);
     }
-    if (desde || hasta) {
-      query.fecha_creacion = {};
-      if (desde) query.fecha_creacion.$gte = parseDateStrict(`${desde}T00:00:00`);
-      if (hasta) query.fecha_creacion.$lte = parseDateStrict(`${hasta}T23:59:59`);
-    }
+    const rango = rangoFechas(desde, hasta);
+    if (rango) query.fecha_creacion = rango;
     if (q) {
       const rx = new RegExp(String(q), "i");
       query.$or = [
@@ -162,6 +186,7 @@ router.get("/", async (req, res) => {
         { "observaciones.notas": rx },
       ];
     }
+    query = scopeSede(req, query);
 
     limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
     page = Math.max(parseInt(page ?? "1", 10), 1);
@@ -170,20 +195,20 @@ router.get("/", async (req, res) => {
     const [data, total] = await Promise.all([cursor.toArray(), col.countDocuments(query)]);
     return res.json({ ok: true, total, page, pageSize: limit, data });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: e.message });
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
 // ============================
 // GET /api/ordenes-laboratorio/:id
 // ============================
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermiso("ordenes_laboratorio:read"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
 
     const db = await connect();
-    const doc = await db.collection("ordenes_laboratorio").findOne({ _id: oid });
+    const doc = await db.collection("ordenes_laboratorio").findOne(scopeSede(req, { _id: oid }));
     if (!doc) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
 
     return res.json({ ok: true, data: doc });
@@ -202,7 +227,7 @@ router.get("/:id", async (req, res) => {
 //  - producto_patch { index, item } (merge de un item puntual)
 //  - producto_delete_index (elimina 1 item por índice)
 // ============================
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", requirePermiso(permisoPatchOrden), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -211,6 +236,16 @@ router.patch("/:id", async (req, res) => {
     const db = await connect();
     const col = db.collection("ordenes_laboratorio");
 
+    const antes = await col.findOne(scopeSede(req, { _id: oid }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+
+    // Se llama justo antes de responder en cada rama (auditoría y evento si cambió el estado)
+    const auditar = async () => {
+      const despues = await col.findOne({ _id: oid });
+      await registrarAuditoria(db, req, { entidad: "ordenes_laboratorio", entidad_id: oid, accion: "update", antes, despues });
+      await publicarOrdenLab(db, antes, despues);
+    };
+
     // si reemplaza todo:
     if (patch.set_productos) {
       const productos = patch.set_productos.map((p) => ({
@@ -232,6 +267,7 @@ router.patch("/:id", async (req, res) => {
         }
       );
       if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+      await auditar();
       return res.json({ ok: true, modified: r.modifiedCount });
     }
 
@@ -256,6 +292,7 @@ router.patch("/:id", async (req, res) => {
         }
       );
       if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+      await auditar();
       return res.json({ ok: true, modified: r.modifiedCount });
     }
 
@@ -297,6 +334,7 @@ router.patch("/:id", async (req, res) => {
           },
         }
       );
+      await auditar();
       return res.json({ ok: true, modified: r.modifiedCount });
     }
 
@@ -318,6 +356,7 @@ router.patch("/:id", async (req, res) => {
           },
         }
       );
+      await auditar();
       return res.json({ ok: true, modified: r2.modifiedCount > 0 ? 1 : 0 });
     }
 
@@ -335,6 +374,7 @@ router.patch("/:id", async (req, res) => {
       }
     );
     if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    await auditar();
     return res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
@@ -345,14 +385,18 @@ router.patch("/:id", async (req, res) => {
 // ============================
 // DELETE /api/ordenes-laboratorio/:id  (hard delete)
 // ============================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermiso("ordenes_laboratorio:delete"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
 
     const db = await connect();
+    const antes = await db.collection("ordenes_laboratorio").findOne(scopeSede(req, { _id: oid }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
     const r = await db.collection("ordenes_laboratorio").deleteOne({ _id: oid });
     if (r.deletedCount === 0) return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    await registrarAuditoria(db, req, { entidad: "ordenes_laboratorio", entidad_id: oid, accion: "delete", antes });
+    await publicarOrdenLab(db, antes, null);
 
     return res.json({ ok: true, deleted: r.deletedCount });
   } catch (e) {
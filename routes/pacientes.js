@@ -2,8 +2,15 @@
 const express = require("express");
 const { z } = require("zod");
 const router = express.Router();
-const { connect } = require("../lib/mongo");
+const { connect, oidMaybe } = require("../lib/mongo");
 const { pacienteSchemaUpsert, normalizePaciente, titleCase } = require("../lib/validate");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede, resolverSedeId, pacienteVisible } = require("../lib/sedes");
+const { motivoAcceso, registrarAcceso } = require("../lib/accesos");
+const { rangoFechas } = require("../lib/zonaHoraria");
+const { confiabilidadPaciente } = require("../lib/asistencia");
+const { estadoDeCuenta } = require("../lib/pagos");
 
 // ============================
 // Schemas (Zod)
@@ -19,6 +26,10 @@ const PacientePatch = z.object({
   tipo_sangre: z.string().min(1).optional(),
 }).refine(obj => Object.keys(obj).length > 0, { message: "Nada para actualizar" });
 
+const PacienteVincular = z.object({
+  sede_id: z.string().regex(/^[0-9a-fA-F]{24}$/, "sede_id inválido"),
+});
+
 function normalizePatch(p) {
   const out = {};
   if (p.nombres != null) out.nombres = titleCase(p.nombres);
@@ -34,17 +45,18 @@ function normalizePatch(p) {
 
 // ============================
 // GET /api/pacientes
-// ?q=texto&page=1&limit=50
+// ?q=texto&sede_id=&page=1&limit=50
 // Busca por cédula (_id), nombres, apellidos, correo (case-insensitive)
+// Solo pacientes vinculados a las sedes de quien llama.
 // ============================
-router.get("/", async (req, res) => {
+router.get("/", requirePermiso("pacientes:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("pacientes");
     const qtext = (req.query.q || "").trim();
     let { page, limit } = req.query;
 
-    const query = qtext
+    let query = qtext
       ? {
           $or: [
             { _id: { $regex: qtext, $options: "i" } },
@@ -54,6 +66,13 @@ router.get("/", async (req, res) => {
           ],
         }
       : {};
+    if (req.query.sede_id) {
+      const sedeId = oidMaybe(String(req.query.sede_id));
+      if (!sedeId) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, sedeId)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      query = { $and: [query, { sede_ids: sedeId }] };
+    }
+    query = scopeSede(req, query, "sede_ids");
 
     limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
     page = Math.max(parseInt(page ?? "1", 10), 1);
@@ -71,61 +90,192 @@ router.get("/", async (req, res) => {
   }
 });
 
+// ============================
+// GET /api/pacientes/:id/asistencia   <-- ¡antes de :id!
+// Inasistencias, cancelaciones tardías y tasa de asistencia (ver lib/asistencia.js)
+// ============================
+router.get("/:id/asistencia", requirePermiso("pacientes:read"), requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const id = String(req.params.id);
+
+    const paciente = await db.collection("pacientes").findOne(scopeSede(req, { _id: id }, "sede_ids"), { projection: { _id: 1 } });
+    if (!paciente) return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+
+    const data = await confiabilidadPaciente(db, id);
+    res.json({ ok: true, data });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/pacientes/:id/estado-cuenta   <-- ¡antes de :id!
+// Cargos (citas) y pagos con saldo corrido; saldo > 0 = el paciente debe (ver lib/pagos.js)
+// ============================
+router.get("/:id/estado-cuenta", requirePermiso("pacientes:read"), requirePermiso("pagos:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const id = String(req.params.id);
+
+    const paciente = await db.collection("pacientes").findOne(scopeSede(req, { _id: id }, "sede_ids"), { projection: { _id: 1 } });
+    if (!paciente) return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+
+    const data = await estadoDeCuenta(db, id);
+    res.json({ ok: true, data });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/pacientes/:id/accesos   <-- ¡antes de :id!
+// Quién abrió la ficha o la historia clínica del paciente
+// Filtros: ?usuario_id=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&page=&limit=
+// ============================
+router.get("/:id/accesos", requirePermiso("accesos:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const id = String(req.params.id);
+
+    const paciente = await db.collection("pacientes").findOne(scopeSede(req, { _id: id }, "sede_ids"), { projection: { _id: 1 } });
+    if (!paciente) return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+
+    const { usuario_id, desde, hasta } = req.query;
+    let { page, limit } = req.query;
+
+    const q = { paciente_id: id };
+    if (usuario_id) {
+      const oid = oidMaybe(String(usuario_id));
+      if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      q["actor.usuario_id"] = oid;
+    }
+    const rango = rangoFechas(desde, hasta);
+    if (rango) q.ts = rango;
+
+    limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
+    page = Math.max(parseInt(page ?? "1", 10), 1);
+
+    const col = db.collection("accesos_pacientes");
+    const cursor = col.find(q).sort({ ts: -1 }).skip((page - 1) * limit).limit(limit);
+    const [data, total] = await Promise.all([cursor.toArray(), col.countDocuments(q)]);
+    res.json({ ok: true, total, page, pageSize: limit, data });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
 // ============================
 // GET /api/pacientes/:id   (id = cédula, string)
+// Queda registrado en accesos_pacientes (header x-motivo-acceso)
 // ============================
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermiso("pacientes:read"), async (req, res) => {
   try {
+    const motivo = motivoAcceso(req);
     const db = await connect();
     const col = db.collection("pacientes");
-    const doc = await col.findOne({ _id: String(req.params.id) });
+    const doc = await col.findOne(scopeSede(req, { _id: String(req.params.id) }, "sede_ids"));
     if (!doc) return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    await registrarAcceso(db, req, { paciente_id: doc._id, recurso: "pacientes", recurso_id: doc._id, motivo });
     res.json({ ok: true, data: doc });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
 // ============================
 // POST /api/pacientes  (upsert por _id = cédula)
+// El paciente queda vinculado a sede_id (o a la sede deducida).
+// Si ya existe en sedes que quien llama no ve: 409 (se vincula con POST /:id/sedes)
 // ============================
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("pacientes:write"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("pacientes");
-    const parsed = pacienteSchemaUpsert.parse(req.body);
+    const { sede_id, ...parsed } = pacienteSchemaUpsert.parse(req.body);
     const norm = normalizePaciente(parsed);
+    const sedeId = await resolverSedeId(db, req, sede_id);
 
     const now = new Date();
+    const antes = await col.findOne({ _id: norm._id });
+    if (antes && !(await pacienteVisible(db, req, norm._id))) {
+      return res.status(409).json({ ok: false, error: "El paciente está registrado en otra sede: pide que lo vinculen a la tuya" });
+    }
     const r = await col.updateOne(
       { _id: norm._id },
       {
         $setOnInsert: { createdAt: now },
         $set: { ...norm, updatedAt: now },
+        $addToSet: { sede_ids: sedeId },
       },
       { upsert: true }
     );
 
+    const despues = await col.findOne({ _id: norm._id });
+    await registrarAuditoria(db, req, {
+      entidad: "pacientes",
+      entidad_id: norm._id,
+      accion: antes ? "update" : "create",
+      antes,
+      despues,
+    });
+
     res.status(r.upsertedCount ? 201 : 200).json({ ok: true, upserted: !!r.upsertedCount });
   } catch (e) {
-    res.status(400).json({ ok: false, error: e.message });
+    res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/pacientes/:id/sedes
+// body: { sede_id }. Vincula a una sede un paciente ya registrado en otra
+// (sin esto el paciente no es visible desde esa sede)
+// ============================
+router.post("/:id/sedes", requirePermiso("pacientes:vincular_sede"), async (req, res) => {
+  try {
+    const { sede_id } = PacienteVincular.parse(req.body || {});
+    const db = await connect();
+    const col = db.collection("pacientes");
+    const _id = String(req.params.id);
+    const sedeId = await resolverSedeId(db, req, sede_id);
+
+    const antes = await col.findOne({ _id });
+    if (!antes) return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    if ((antes.sede_ids || []).some((s) => String(s) === String(sedeId))) return res.json({ ok: true, vinculado: false });
+
+    await col.updateOne({ _id }, { $addToSet: { sede_ids: sedeId }, $set: { updatedAt: new Date() } });
+    const despues = await col.findOne({ _id });
+    await registrarAuditoria(db, req, { entidad: "pacientes", entidad_id: _id, accion: "update", antes, despues });
+    return res.json({ ok: true, vinculado: true });
+  } catch (e) {
+    return res.status(e.status || 400).json({ ok: false, error: e.message });
   }
 });
 
 // ============================
 // PATCH /api/pacientes/:id  (parcial)
 // ============================
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", requirePermiso("pacientes:write"), async (req, res) => {
   try {
     const patch = PacientePatch.parse(req.body);
     const $set = { ...normalizePatch(patch), updatedAt: new Date() };
 
     const db = await connect();
     const col = db.collection("pacientes");
-    const r = await col.updateOne({ _id: String(req.params.id) }, { $set });
+    const _id = String(req.params.id);
+    const antes = await col.findOne(scopeSede(req, { _id }, "sede_ids"));
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    }
+
+    const r = await col.updateOne({ _id }, { $set });
     if (r.matchedCount === 0) {
       return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
     }
+
+    const despues = await col.findOne({ _id });
+    await registrarAuditoria(db, req, { entidad: "pacientes", entidad_id: _id, accion: "update", antes, despues });
+
     res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     res.status(400).json({ ok: false, error: e.message });
@@ -136,11 +286,16 @@ router.patch("/:id", async (req, res) => {
 // DELETE /api/pacientes/:id
 // Protegido si hay referencias en citas o historia clínica.
 // ============================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermiso("pacientes:delete"), async (req, res) => {
   try {
     const id = String(req.params.id);
     const db = await connect();
 
+    const antes = await db.collection("pacientes").findOne(scopeSede(req, { _id: id }, "sede_ids"));
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    }
+
     const [citasRef, historiaRef] = await Promise.all([
       db.collection("citas").countDocuments({ paciente_id: id }),
       db.collection("historias_clinicas").countDocuments({ paciente_id: id }),
@@ -159,6 +314,7 @@ router.delete("/:id", async (req, res) => {
     if (r.deletedCount === 0) {
       return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
     }
+    await registrarAuditoria(db, req, { entidad: "pacientes", entidad_id: id, accion: "delete", antes });
     res.json({ ok: true, deleted: r.deletedCount });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
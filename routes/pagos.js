@@ -0,0 +1,267 @@
+// routes/pagos.js
+// Caja: pagos y abonos de pacientes aplicados a sus citas (ver lib/pagos.js).
+// Los pagos no se borran: se anulan con motivo y se descuenta lo aplicado.
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria, actorDe } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede, resolverSedeId } = require("../lib/sedes");
+const { asNumber } = require("../lib/citas");
+const { METODOS, ESTADOS_PAGO, redondear, aplicarACitas, revertirAplicaciones, aplicado } = require("../lib/pagos");
+const { parseFecha, rangoFechas } = require("../lib/zonaHoraria");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const Monto = z.preprocess(asNumber, z.number().positive());
+
+const Aplicacion = z.object({
+  cita_id: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  monto: Monto,
+});
+
+const PagoCreate = z.object({
+  paciente_id: z.string().min(1),
+  monto: Monto,
+  metodo: z.enum(METODOS),
+  referencia: z.string().optional(), // nº de voucher, de transferencia...
+  fecha: z.string().optional(), // por defecto ahora
+  sede_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(), // si falta: la de la primera cita o resolverSedeId
+  aplicaciones: z.array(Aplicacion).optional().default([]),
+  notas: z.string().optional(),
+});
+
+const PagoAplicar = z.object({
+  aplicaciones: z.array(Aplicacion).min(1),
+});
+
+const PagoAnular = z.object({
+  motivo: z.string().min(1, "El motivo es obligatorio"),
+});
+
+const sumaAplicaciones = (aplicaciones) => redondear(aplicaciones.reduce((acc, a) => acc + redondear(a.monto), 0));
+
+// ============================
+// POST /api/pagos
+// Lo que no se aplica a citas queda como saldo a favor (abono) del paciente
+// ============================
+router.post("/", requirePermiso("pagos:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const parsed = PagoCreate.parse(req.body);
+    const paciente_id = parsed.paciente_id.trim();
+    const monto = redondear(parsed.monto);
+
+    const paciente = await db.collection("pacientes").findOne(scopeSede(req, { _id: paciente_id }, "sede_ids"), { projection: { _id: 1 } });
+    if (!paciente) return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+
+    if (sumaAplicaciones(parsed.aplicaciones) > monto) {
+      return res.status(400).json({ ok: false, error: "Lo aplicado a citas supera el monto del pago" });
+    }
+
+    const fecha = parsed.fecha ? parseFecha(parsed.fecha) : new Date();
+    if (!fecha) return res.status(400).json({ ok: false, error: "fecha inválida" });
+
+    let sedeId;
+    if (!parsed.sede_id && parsed.aplicaciones.length) {
+      const cita = await db.collection("citas").findOne(
+        scopeSede(req, { _id: oidMaybe(parsed.aplicaciones[0].cita_id) }),
+        { projection: { sede_id: 1 } }
+      );
+      if (!cita) return res.status(404).json({ ok: false, error: `Cita no encontrada: ${parsed.aplicaciones[0].cita_id}` });
+      sedeId = cita.sede_id;
+    } else {
+      sedeId = await resolverSedeId(db, req, parsed.sede_id);
+    }
+
+    const aplicaciones = await aplicarACitas(db, paciente_id, parsed.aplicaciones, { filtroCita: (q) => scopeSede(req, q) });
+
+    const now = new Date();
+    const doc = {
+      paciente_id,
+      sede_id: sedeId,
+      fecha,
+      monto,
+      metodo: parsed.metodo,
+      referencia: parsed.referencia?.trim() || null,
+      aplicaciones,
+      cajero: actorDe(req),
+      notas: parsed.notas?.trim() || null,
+      estado: "registrado",
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    let r;
+    try {
+      r = await db.collection("pagos").insertOne(doc);
+    } catch (e) {
+      await revertirAplicaciones(db, aplicaciones);
+      throw e;
+    }
+    await registrarAuditoria(db, req, { entidad: "pagos", entidad_id: r.insertedId, accion: "create", despues: doc });
+
+    return res.status(201).json({
+      ok: true,
+      id: r.insertedId.toString(),
+      aplicado: aplicado(doc),
+      sin_aplicar: redondear(monto - aplicado(doc)),
+    });
+  } catch (e) {
+    return res.status(e.status || 400).json({ ok: false, error: e.message, ...(e.pendiente != null ? { pendiente: e.pendiente } : {}) });
+  }
+});
+
+// ============================
+// GET /api/pagos
+// Filtros: ?paciente_id=&cita_id=&sede_id=&metodo=&estado=&cajero_id=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&page=&limit=
+// `suma` = total de los pagos registrados (no anulados) que cumplen el filtro (cierre de caja)
+// ============================
+router.get("/", requirePermiso("pagos:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("pagos");
+
+    let q = {};
+    const { paciente_id, cita_id, sede_id, metodo, estado, cajero_id, desde, hasta } = req.query;
+    if (paciente_id) q.paciente_id = String(paciente_id);
+    if (cita_id) {
+      const oid = oidMaybe(cita_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "cita_id inválido" });
+      q["aplicaciones.cita_id"] = oid;
+    }
+    if (sede_id) {
+      const oid = oidMaybe(sede_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, oid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = oid;
+    }
+    if (metodo) {
+      if (!METODOS.includes(String(metodo))) return res.status(400).json({ ok: false, error: "metodo inválido" });
+      q.metodo = String(metodo);
+    }
+    if (estado) {
+      if (!ESTADOS_PAGO.includes(String(estado))) return res.status(400).json({ ok: false, error: "estado inválido" });
+      q.estado = String(estado);
+    }
+    if (cajero_id) {
+      const oid = oidMaybe(cajero_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "cajero_id inválido" });
+      q["cajero.usuario_id"] = oid;
+    }
+    if (desde || hasta) q.fecha = rangoFechas(desde, hasta);
+    q = scopeSede(req, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10), 1), 200);
+    const page = Math.max(parseInt(req.query.page ?? "1", 10), 1);
+
+    const [data, total, suma] = await Promise.all([
+      col.find(q).sort({ fecha: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      col.countDocuments(q),
+      col.aggregate([{ $match: q }, { $match: { estado: "registrado" } }, { $group: { _id: null, monto: { $sum: "$monto" } } }]).toArray(),
+    ]);
+    return res.json({ ok: true, total, page, pageSize: limit, suma: redondear(suma[0]?.monto), data });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/pagos/:id
+// ============================
+router.get("/:id", requirePermiso("pagos:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const data = await db.collection("pagos").findOne(scopeSede(req, { _id: oid }));
+    if (!data) return res.status(404).json({ ok: false, error: "Pago no encontrado" });
+    return res.json({ ok: true, data: { ...data, sin_aplicar: redondear(data.monto - aplicado(data)) } });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// POST /api/pagos/:id/aplicar
+// Aplica saldo a favor de un abono a citas del mismo paciente
+// ============================
+router.post("/:id/aplicar", requirePermiso("pagos:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const parsed = PagoAplicar.parse(req.body);
+    const db = await connect();
+    const col = db.collection("pagos");
+
+    const antes = await col.findOne(scopeSede(req, { _id: oid }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Pago no encontrado" });
+    if (antes.estado !== "registrado") return res.status(409).json({ ok: false, error: "El pago está anulado" });
+
+    const disponible = redondear(antes.monto - aplicado(antes));
+    if (sumaAplicaciones(parsed.aplicaciones) > disponible) {
+      return res.status(400).json({ ok: false, error: "Lo aplicado supera el saldo sin aplicar del pago", sin_aplicar: disponible });
+    }
+
+    const nuevas = await aplicarACitas(db, antes.paciente_id, parsed.aplicaciones, { filtroCita: (q) => scopeSede(req, q) });
+
+    // Filtro por updatedAt para no aplicar dos veces el mismo saldo en paralelo
+    const r = await col.updateOne(
+      { _id: oid, estado: "registrado", updatedAt: antes.updatedAt },
+      { $push: { aplicaciones: { $each: nuevas } }, $set: { updatedAt: new Date() } }
+    );
+    if (r.matchedCount === 0) {
+      await revertirAplicaciones(db, nuevas);
+      return res.status(409).json({ ok: false, error: "El pago cambió; vuelve a cargarlo" });
+    }
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "pagos", entidad_id: oid, accion: "update", antes, despues });
+    return res.json({ ok: true, aplicado: aplicado(despues), sin_aplicar: redondear(despues.monto - aplicado(despues)) });
+  } catch (e) {
+    return res.status(e.status || 400).json({ ok: false, error: e.message, ...(e.pendiente != null ? { pendiente: e.pendiente } : {}) });
+  }
+});
+
+// ============================
+// POST /api/pagos/:id/anular
+// body: { motivo }. Lo aplicado vuelve a quedar pendiente en las citas
+// ============================
+router.post("/:id/anular", requirePermiso("pagos:anular"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const { motivo } = PagoAnular.parse(req.body || {});
+    const db = await connect();
+    const col = db.collection("pagos");
+
+    // Se revierte lo aplicado según el documento que se anuló (no una lectura previa):
+    // una aplicación o liberación concurrente ya quedó reflejada en él
+    const now = new Date();
+    const antes = await col.findOneAndUpdate(
+      scopeSede(req, { _id: oid, estado: "registrado" }),
+      { $set: { estado: "anulado", anulado: { por: actorDe(req), en: now, motivo: motivo.trim() }, updatedAt: now } },
+      { returnDocument: "before" }
+    );
+    if (!antes) {
+      const existe = await col.findOne(scopeSede(req, { _id: oid }), { projection: { _id: 1 } });
+      if (!existe) return res.status(404).json({ ok: false, error: "Pago no encontrado" });
+      return res.status(409).json({ ok: false, error: "El pago ya estaba anulado" });
+    }
+    await revertirAplicaciones(db, antes.aplicaciones || []);
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "pagos", entidad_id: oid, accion: "anular", antes, despues });
+    return res.json({ ok: true, anulado: true });
+  } catch (e) {
+    return res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+// routes/planes_tratamiento.js
+// Planes de tratamiento / presupuestos (ver lib/planes.js): fases con ítems
+// cotizados del catálogo, presentación al paciente con vencimiento, aceptación
+// (total o por ítems) y agendamiento de los ítems aceptados en citas.
+const express = require("express");
+const { z } = require("zod");
+const { ObjectId } = require("mongodb");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria, actorDe } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede, resolverSedeId, pacienteVisible } = require("../lib/sedes");
+const { validarOdontologo } = require("../lib/agenda");
+const {
+  Proc,
+  CitaCreate,
+  parseDateStrict,
+  sendError,
+  assertPuedeForzar,
+  prepararCita,
+  insertarCita,
+} = require("../lib/citas");
+const {
+  ESTADOS_PLAN,
+  vencido,
+  construirFases,
+  totalPlan,
+  conAvance,
+  cambioDeEstadoPlan,
+  itemsAgendables,
+} = require("../lib/planes");
+const { advertenciaAlAgendar } = require("../lib/asistencia");
+const { parseFecha } = require("../lib/zonaHoraria");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+
+// "YYYY-MM-DD" = vence al terminar ese día (zona de la clínica)
+const VenceEn = z.preprocess((v) => (v == null || v === "" ? undefined : parseFecha(v, { finDeDia: true }) || v), z.date());
+
+// Ítem = línea de procedimiento (como en las citas) + datos del plan
+const Item = Proc.and(z.object({
+  item_id: OidStr.optional(), // al editar: ítem existente (conserva precio y cita)
+  pieza: z.string().optional(),
+  notas: z.string().optional(),
+}));
+
+const Fase = z.object({
+  nombre: z.string().min(1),
+  items: z.array(Item).min(1),
+});
+
+const PlanCreate = z.object({
+  paciente_id: z.string().min(1),
+  usuario_id: OidStr.optional(), // odontólogo responsable
+  sede_id: OidStr.optional(), // si falta se deduce (ver resolverSedeId)
+  titulo: z.string().min(1),
+  notas: z.string().optional(),
+  vence_en: VenceEn.optional(), // si falta se fija al presentarlo
+  fases: z.array(Fase).min(1),
+});
+
+const PlanPatch = z.object({
+  titulo: z.string().min(1).optional(),
+  notas: z.string().optional(),
+  usuario_id: OidStr.nullable().optional(),
+  vence_en: VenceEn.nullable().optional(),
+  fases: z.array(Fase).min(1).optional(),
+}).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
+
+const Accion = z.object({
+  motivo: z.string().optional(),
+  item_ids: z.array(OidStr).optional(), // aceptar: solo estos ítems
+  vence_en: VenceEn.optional(), // presentar
+});
+
+const Agendar = z.object({
+  item_ids: z.array(OidStr).min(1),
+  fecha: z.preprocess(parseDateStrict, z.date()),
+  usuario_id: OidStr.optional(), // por defecto el responsable del plan
+  sede_id: OidStr.optional(), // por defecto la del plan
+  recurso_ids: z.array(OidStr).max(5).optional(),
+  estado: z.enum(["Pendiente", "Confirmada"]).optional(),
+  motivo: z.string().optional(),
+  duracion_min: z.preprocess((v) => (v == null ? v : Number(v)), z.number().int().min(5).max(600)).optional(),
+  forzar: z.boolean().optional(),
+});
+
+const httpError = (status, msg) => Object.assign(new Error(msg), { status });
+
+async function cargarPlan(db, req, id) {
+  const _id = oidMaybe(id);
+  if (!_id) throw httpError(400, "id inválido");
+  const plan = await db.collection("planes_tratamiento").findOne(scopeSede(req, { _id }));
+  if (!plan) throw httpError(404, "Plan no encontrado");
+  return plan;
+}
+
+// ============================
+// POST /api/planes-tratamiento
+// Nace en borrador; los precios salen del catálogo (precio de la sede)
+// ============================
+router.post("/", requirePermiso("planes:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const parsed = PlanCreate.parse(req.body);
+
+    const pacienteId = parsed.paciente_id.trim();
+    if (!(await db.collection("pacientes").countDocuments({ _id: pacienteId }))) {
+      return res.status(404).json({ ok: false, error: "Paciente no encontrado" });
+    }
+    if (!(await pacienteVisible(db, req, pacienteId))) {
+      return res.status(403).json({ ok: false, error: "Sin acceso a ese paciente" });
+    }
+
+    const sedeId = await resolverSedeId(db, req, parsed.sede_id);
+    const usuarioId = parsed.usuario_id ? oidMaybe(parsed.usuario_id) : null;
+    if (usuarioId) await validarOdontologo(db, usuarioId, sedeId);
+
+    const fases = await construirFases(db, req, parsed.fases, sedeId);
+    const now = new Date();
+    const doc = {
+      paciente_id: pacienteId,
+      sede_id: sedeId,
+      usuario_id: usuarioId,
+      titulo: parsed.titulo.trim(),
+      notas: parsed.notas?.trim() || null,
+      estado: "borrador",
+      vence_en: parsed.vence_en ?? null,
+      fases,
+      total: totalPlan(fases),
+      historial_estados: [{ de: null, a: "borrador", en: now, actor: actorDe(req) }],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const r = await db.collection("planes_tratamiento").insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "planes_tratamiento", entidad_id: r.insertedId, accion: "create", despues: doc });
+    return res.status(201).json({ ok: true, id: r.insertedId.toString(), total: doc.total });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// GET /api/planes-tratamiento
+// Filtros: ?paciente_id=&estado=&sede_id=&usuario_id=&vencidos=true&page=&limit=
+// ============================
+router.get("/", requirePermiso("planes:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("planes_tratamiento");
+
+    let q = {};
+    const { paciente_id, estado, sede_id, usuario_id, vencidos } = req.query;
+    if (paciente_id) q.paciente_id = String(paciente_id);
+    if (estado) {
+      if (!ESTADOS_PLAN.includes(String(estado))) return res.status(400).json({ ok: false, error: "estado inválido" });
+      q.estado = String(estado);
+    }
+    if (sede_id) {
+      const oid = oidMaybe(sede_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, oid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = oid;
+    }
+    if (usuario_id) {
+      const oid = oidMaybe(usuario_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      q.usuario_id = oid;
+    }
+    if (String(vencidos) === "true") Object.assign(q, { estado: "presentado", vence_en: { $lt: new Date() } });
+    q = scopeSede(req, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10), 1), 200);
+    const page = Math.max(parseInt(req.query.page ?? "1", 10), 1);
+
+    const [data, total] = await Promise.all([
+      col.find(q, { projection: { fases: 0, historial_estados: 0 } }).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      col.countDocuments(q),
+    ]);
+    return res.json({ ok: true, total, page, pageSize: limit, data: data.map((p) => ({ ...p, vencido: vencido(p) })) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/planes-tratamiento/:id
+// Con el estado de cada ítem (pendiente, agendado, realizado, no_aceptado) y el avance
+// ============================
+router.get("/:id", requirePermiso("planes:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const plan = await cargarPlan(db, req, req.params.id);
+    return res.json({ ok: true, data: await conAvance(db, plan) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// PATCH /api/planes-tratamiento/:id
+// Solo en borrador (reabre con /reabrir un plan presentado o rechazado).
+// `fases` reemplaza las fases; los ítems con item_id conservan su precio.
+// ============================
+router.patch("/:id", requirePermiso("planes:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("planes_tratamiento");
+    const parsed = PlanPatch.parse(req.body);
+
+    const antes = await cargarPlan(db, req, req.params.id);
+    if (antes.estado !== "borrador") {
+      return res.status(409).json({ ok: false, error: `El plan está ${antes.estado}: solo se edita en borrador` });
+    }
+
+    const $set = { updatedAt: new Date() };
+    if (parsed.titulo != null) $set.titulo = parsed.titulo.trim();
+    if (parsed.notas != null) $set.notas = parsed.notas.trim() || null;
+    if (parsed.vence_en !== undefined) $set.vence_en = parsed.vence_en;
+    if (parsed.usuario_id !== undefined) {
+      $set.usuario_id = parsed.usuario_id ? oidMaybe(parsed.usuario_id) : null;
+      if ($set.usuario_id) await validarOdontologo(db, $set.usuario_id, antes.sede_id);
+    }
+    if (parsed.fases) {
+      $set.fases = await construirFases(db, req, parsed.fases, antes.sede_id, { anteriores: antes.fases });
+      $set.total = totalPlan($set.fases);
+    }
+
+    const r = await col.updateOne({ _id: antes._id, estado: "borrador" }, { $set });
+    if (r.matchedCount === 0) return res.status(409).json({ ok: false, error: "El plan cambió de estado; vuelve a cargarlo" });
+
+    const despues = await col.findOne({ _id: antes._id });
+    await registrarAuditoria(db, req, { entidad: "planes_tratamiento", entidad_id: antes._id, accion: "update", antes, despues });
+    return res.json({ ok: true, modified: r.modifiedCount, total: despues.total });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// POST /api/planes-tratamiento/:id/presentar   body: { vence_en? } (por defecto PRESUPUESTO_VIGENCIA_DIAS)
+// POST /api/planes-tratamiento/:id/aceptar     body: { item_ids? } (sin item_ids se acepta todo)
+// POST /api/planes-tratamiento/:id/rechazar    body: { motivo? }
+// POST /api/planes-tratamiento/:id/reabrir     vuelve a borrador para corregirlo
+// ============================
+const ACCIONES = {
+  presentar: "presentado",
+  aceptar: "aceptado",
+  rechazar: "rechazado",
+  reabrir: "borrador",
+};
+
+for (const [accion, estado] of Object.entries(ACCIONES)) {
+  router.post(`/:id/${accion}`, requirePermiso("planes:write"), async (req, res) => {
+    try {
+      const body = Accion.parse(req.body ?? {});
+      const db = await connect();
+      const col = db.collection("planes_tratamiento");
+      const antes = await cargarPlan(db, req, req.params.id);
+
+      const update = cambioDeEstadoPlan(req, antes, estado, body);
+      const r = await col.updateOne({ _id: antes._id, estado: antes.estado }, update);
+      if (r.matchedCount === 0) return res.status(409).json({ ok: false, error: "El plan cambió de estado; vuelve a cargarlo" });
+
+      const despues = await col.findOne({ _id: antes._id });
+      await registrarAuditoria(db, req, { entidad: "planes_tratamiento", entidad_id: antes._id, accion: "update", antes, despues });
+      return res.json({ ok: true, data: await conAvance(db, despues) });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+}
+
+// ============================
+// POST /api/planes-tratamiento/:id/agendar
+// Body: { item_ids, fecha, usuario_id?, sede_id?, recurso_ids?, estado?, motivo?, duracion_min?, forzar? }
+// Crea una cita con los ítems (aceptados y pendientes) al precio presupuestado,
+// con las reglas normales de agenda (cruces, odontólogo activo...).
+// Si la cita se cancela o no asiste, los ítems vuelven a quedar pendientes.
+// ============================
+router.post("/:id/agendar", requirePermiso("planes:write"), requirePermiso("citas:write"), async (req, res) => {
+  try {
+    const body = Agendar.parse(req.body ?? {});
+    assertPuedeForzar(req, body.forzar);
+
+    const db = await connect();
+    const col = db.collection("planes_tratamiento");
+    const plan = await cargarPlan(db, req, req.params.id);
+    const items = await itemsAgendables(db, plan, body.item_ids);
+
+    const usuarioId = body.usuario_id || plan.usuario_id;
+    if (!usuarioId) return res.status(400).json({ ok: false, error: "usuario_id es requerido" });
+
+    const parsed = CitaCreate.parse({
+      fecha: body.fecha,
+      paciente_id: plan.paciente_id,
+      usuario_id: String(usuarioId),
+      sede_id: body.sede_id || String(plan.sede_id),
+      recurso_ids: body.recurso_ids,
+      estado: body.estado,
+      motivo: body.motivo || plan.titulo,
+      procedimientos: items.map((i) => ({ procedimiento_id: String(i.procedimiento_id), cantidad: i.cantidad })),
+      duracion_min: body.duracion_min,
+    });
+    // porItem: cada línea conserva el precio cotizado de su ítem (puede haber dos
+    // ítems del mismo procedimiento con precios distintos)
+    const doc = await prepararCita(db, req, parsed, { porItem: items });
+    doc._id = new ObjectId();
+    doc.plan_tratamiento_id = plan._id;
+
+    // Se reservan los ítems antes de crear la cita (filtro por updatedAt: nadie
+    // más los agendó entre medio); si la cita no se crea se devuelven
+    const elegidos = new Set(items.map((i) => String(i._id)));
+    const now = new Date();
+    const fases = plan.fases.map((f) => ({
+      ...f,
+      items: f.items.map((i) =>
+        elegidos.has(String(i._id))
+          ? { ...i, cita_id: doc._id, citas_previas: [...(i.citas_previas || []), ...(i.cita_id ? [i.cita_id] : [])] }
+          : i
+      ),
+    }));
+    const r = await col.updateOne({ _id: plan._id, estado: "aceptado", updatedAt: plan.updatedAt }, { $set: { fases, updatedAt: now } });
+    if (r.matchedCount === 0) return res.status(409).json({ ok: false, error: "El plan cambió; vuelve a cargarlo" });
+
+    try {
+      await insertarCita(db, req, doc, { forzar: body.forzar });
+    } catch (e) {
+      await col.updateOne({ _id: plan._id, updatedAt: now }, { $set: { fases: plan.fases, updatedAt: new Date() } });
+      throw e;
+    }
+
+    const despues = await col.findOne({ _id: plan._id });
+    await registrarAuditoria(db, req, { entidad: "planes_tratamiento", entidad_id: plan._id, accion: "update", antes: plan, despues });
+
+    const advertencia = await advertenciaAlAgendar(db, doc.paciente_id);
+    return res.status(201).json({
+      ok: true,
+      cita_id: doc._id.toString(),
+      fecha: doc.fecha,
+      fin: doc.fin,
+      total: doc.total,
+      item_ids: [...elegidos],
+      ...(advertencia ? { advertencia } : {}),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// DELETE /api/planes-tratamiento/:id
+// Solo borradores; un plan presentado queda como registro (rechazar/reabrir)
+// ============================
+router.delete("/:id", requirePermiso("planes:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const antes = await cargarPlan(db, req, req.params.id);
+    if (antes.estado !== "borrador" || (antes.historial_estados || []).some((h) => h.a === "presentado")) {
+      return res.status(409).json({ ok: false, error: "Solo se eliminan planes que nunca se presentaron" });
+    }
+
+    const r = await db.collection("planes_tratamiento").deleteOne({ _id: antes._id, estado: "borrador" });
+    await registrarAuditoria(db, req, { entidad: "planes_tratamiento", entidad_id: antes._id, accion: "delete", antes });
+    return res.json({ ok: true, deleted: r.deletedCount });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@
 const express = require("express");
 const { z } = require("zod");
 const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { puedeVerSede, costoEnSede } = require("../lib/sedes");
 
 const router = express.Router();
 
@@ -11,15 +14,21 @@ const router = express.Router();
 const ProcCreate = z.object({
   tipo_procedimiento: z.string().min(1).transform(s => s.trim()),
   costo: z.number().nonnegative(),
+  duracion_min: z.number().int().min(5).max(600).optional(), // se usa para la duración de las citas
   activo: z.boolean().optional().default(true),
 });
 
 const ProcPatch = z.object({
   tipo_procedimiento: z.string().min(1).optional(),
   costo: z.number().nonnegative().optional(),
+  duracion_min: z.number().int().min(5).max(600).nullable().optional(),
   activo: z.boolean().optional(),
 }).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
 
+const PrecioSede = z.object({
+  costo: z.number().nonnegative(),
+});
+
 // ============================
 // Helpers
 // ============================
@@ -31,10 +40,19 @@ function parseBool(v) {
   return null;
 }
 
+// ?sede_id= opcional: valida acceso y devuelve el ObjectId (o null si no viene)
+function sedeDeQuery(req) {
+  if (!req.query.sede_id) return null;
+  const oid = oidMaybe(String(req.query.sede_id));
+  if (!oid) throw Object.assign(new Error("sede_id inválido"), { status: 400 });
+  if (!puedeVerSede(req, oid)) throw Object.assign(new Error("Sin acceso a esa sede"), { status: 403 });
+  return oid;
+}
+
 // ============================
 // POST /api/procedimientos
 // ============================
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("procedimientos:write"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("procedimientos");
@@ -44,12 +62,14 @@ router.post("/", async (req, res) => {
     const doc = {
       tipo_procedimiento: parsed.tipo_procedimiento,
       costo: parsed.costo,
+      duracion_min: parsed.duracion_min ?? null,
       activo: parsed.activo ?? true,
       createdAt: now,
       updatedAt: now,
     };
 
     const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "procedimientos", entidad_id: r.insertedId, accion: "create", despues: doc });
     return res.status(201).json({ ok: true, id: r.insertedId.toString() });
   } catch (e) {
     if (e && e.code === 11000) {
@@ -63,8 +83,9 @@ router.post("/", async (req, res) => {
 // ============================
 // GET /api/procedimientos
 // Filtros: ?q=&activo=1|0|true|false&page=&limit=
+// ?sede_id= agrega costo_sede (precio efectivo en esa sede)
 // ============================
-router.get("/", async (req, res) => {
+router.get("/", requirePermiso("procedimientos:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("procedimientos");
@@ -86,16 +107,19 @@ router.get("/", async (req, res) => {
     const cursor = col.find(query).sort({ tipo_procedimiento: 1 }).skip((page - 1) * limit).limit(limit);
     const [data, total] = await Promise.all([cursor.toArray(), col.countDocuments(query)]);
 
+    const sedeId = sedeDeQuery(req);
+    if (sedeId) data.forEach(p => { p.costo_sede = costoEnSede(p, sedeId); });
+
     return res.json({ ok: true, total, page, pageSize: limit, data });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: e.message });
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
 // ============================
 // GET /api/procedimientos/:id
 // ============================
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermiso("procedimientos:read"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -104,7 +128,76 @@ router.get("/:id", async (req, res) => {
     const doc = await db.collection("procedimientos").findOne({ _id: oid });
     if (!doc) return res.status(404).json({ ok: false, error: "No encontrado" });
 
+    const sedeId = sedeDeQuery(req);
+    if (sedeId) doc.costo_sede = costoEnSede(doc, sedeId);
+
     return res.json({ ok: true, data: doc });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// PUT /api/procedimientos/:id/precios/:sede_id
+// Override de precio para una sede. Body: { costo }
+// ============================
+router.put("/:id/precios/:sede_id", requirePermiso("procedimientos:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    const sedeId = oidMaybe(req.params.sede_id);
+    if (!oid || !sedeId) return res.status(400).json({ ok: false, error: "id inválido" });
+    if (!puedeVerSede(req, sedeId)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+
+    const { costo } = PrecioSede.parse(req.body);
+    const db = await connect();
+    const col = db.collection("procedimientos");
+
+    const sede = await db.collection("sedes").findOne({ _id: sedeId });
+    if (!sede) return res.status(404).json({ ok: false, error: "Sede no encontrada" });
+
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "No encontrado" });
+
+    // Actualiza el override existente o lo agrega
+    const now = new Date();
+    const upd = await col.updateOne(
+      { _id: oid, "precios_sede.sede_id": sedeId },
+      { $set: { "precios_sede.$.costo": costo, updatedAt: now } }
+    );
+    if (upd.matchedCount === 0) {
+      await col.updateOne({ _id: oid }, { $push: { precios_sede: { sede_id: sedeId, costo } }, $set: { updatedAt: now } });
+    }
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "procedimientos", entidad_id: oid, accion: "update", antes, despues });
+    return res.json({ ok: true, costo_sede: costo });
+  } catch (e) {
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(400).json({ ok: false, error: msg });
+  }
+});
+
+// ============================
+// DELETE /api/procedimientos/:id/precios/:sede_id
+// Quita el override (vuelve al costo base)
+// ============================
+router.delete("/:id/precios/:sede_id", requirePermiso("procedimientos:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    const sedeId = oidMaybe(req.params.sede_id);
+    if (!oid || !sedeId) return res.status(400).json({ ok: false, error: "id inválido" });
+    if (!puedeVerSede(req, sedeId)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+
+    const db = await connect();
+    const col = db.collection("procedimientos");
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "No encontrado" });
+
+    const r = await col.updateOne({ _id: oid }, { $pull: { precios_sede: { sede_id: sedeId } }, $set: { updatedAt: new Date() } });
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "procedimientos", entidad_id: oid, accion: "update", antes, despues });
+    return res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message });
   }
@@ -113,7 +206,7 @@ router.get("/:id", async (req, res) => {
 // ============================
 // PATCH /api/procedimientos/:id
 // ============================
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", requirePermiso("procedimientos:write"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -125,10 +218,17 @@ router.patch("/:id", async (req, res) => {
     const $set = { updatedAt: new Date() };
     if (patch.tipo_procedimiento != null) $set.tipo_procedimiento = patch.tipo_procedimiento.trim();
     if (patch.costo != null) $set.costo = patch.costo;
+    if (patch.duracion_min !== undefined) $set.duracion_min = patch.duracion_min;
     if (patch.activo != null) $set.activo = patch.activo;
 
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "No encontrado" });
+
     const r = await col.updateOne({ _id: oid }, { $set });
     if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "No encontrado" });
+
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "procedimientos", entidad_id: oid, accion: "update", antes, despues });
     return res.json({ ok: true, modified: r.modifiedCount });
   } catch (e) {
     if (e && e.code === 11000) {
@@ -143,7 +243,7 @@ router.patch("/:id", async (req, res) => {
 // Protegido: si está referenciado en citas.procedimientos.procedimiento_id
 // (legacy), bloquea borrado salvo ?force=1
 // ============================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermiso("procedimientos:delete"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -160,8 +260,10 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    const antes = await db.collection("procedimientos").findOne({ _id: oid });
     const r = await db.collection("procedimientos").deleteOne({ _id: oid });
     if (r.deletedCount === 0) return res.status(404).json({ ok: false, error: "No encontrado" });
+    await registrarAuditoria(db, req, { entidad: "procedimientos", entidad_id: oid, accion: "delete", antes });
     return res.json({ ok: true, deleted: r.deletedCount });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message });
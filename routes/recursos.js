@@ -0,0 +1,205 @@
+// routes/recursos.js
+// Catálogo de recursos reservables por sede (sillones, sala de rayos X...)
+// y su ocupación diaria. Las citas los reservan con recurso_ids.
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, puedeVerSede, resolverSedeId } = require("../lib/sedes");
+const { TIPOS_RECURSO, utilizacionDelDia } = require("../lib/recursos");
+const { ESTADOS_LIBERAN_AGENDA } = require("../lib/agenda");
+const { ZONA, parseFecha } = require("../lib/zonaHoraria");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const RecursoCreate = z.object({
+  nombre: z.string().min(1).transform(s => s.trim()),
+  tipo: z.enum(TIPOS_RECURSO),
+  sede_id: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(), // si falta se deduce (ver resolverSedeId)
+  descripcion: z.string().optional(),
+  activo: z.boolean().optional().default(true),
+});
+
+const RecursoPatch = z.object({
+  nombre: z.string().min(1).optional(),
+  tipo: z.enum(TIPOS_RECURSO).optional(),
+  descripcion: z.string().optional(),
+  activo: z.boolean().optional(),
+}).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
+
+// Citas futuras que aún reservan el recurso
+const citasFuturas = (db, oid) =>
+  db.collection("citas").countDocuments({
+    recurso_ids: oid, fin: { $gt: new Date() }, estado: { $nin: ESTADOS_LIBERAN_AGENDA },
+  });
+
+// ============================
+// POST /api/recursos
+// ============================
+router.post("/", requirePermiso("recursos:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const parsed = RecursoCreate.parse(req.body);
+    const sedeId = await resolverSedeId(db, req, parsed.sede_id);
+
+    const now = new Date();
+    const doc = {
+      nombre: parsed.nombre,
+      tipo: parsed.tipo,
+      sede_id: sedeId,
+      descripcion: parsed.descripcion?.trim() || null,
+      activo: parsed.activo ?? true,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const r = await db.collection("recursos").insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "recursos", entidad_id: r.insertedId, accion: "create", despues: doc });
+    return res.status(201).json({ ok: true, id: r.insertedId.toString() });
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).json({ ok: false, error: "Ya existe un recurso con ese nombre en la sede" });
+    }
+    return res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/recursos
+// Filtros: ?sede_id=&tipo=&activo=true|false
+// ============================
+router.get("/", requirePermiso("recursos:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const { sede_id, tipo, activo } = req.query;
+
+    let q = {};
+    if (sede_id) {
+      const oid = oidMaybe(sede_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "sede_id inválido" });
+      if (!puedeVerSede(req, oid)) return res.status(403).json({ ok: false, error: "Sin acceso a esa sede" });
+      q.sede_id = oid;
+    }
+    if (tipo) {
+      if (!TIPOS_RECURSO.includes(String(tipo))) return res.status(400).json({ ok: false, error: "tipo inválido" });
+      q.tipo = String(tipo);
+    }
+    if (activo != null) q.activo = String(activo) === "false" ? false : { $ne: false };
+    q = scopeSede(req, q);
+
+    const data = await db.collection("recursos").find(q).sort({ sede_id: 1, tipo: 1, nombre: 1 }).toArray();
+    return res.json({ ok: true, total: data.length, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/recursos/utilizacion?fecha=YYYY-MM-DD&sede_id=&tipo=  <-- ¡antes de :id!
+// Por recurso: citas del día, minutos ocupados en la jornada y % de ocupación
+// ============================
+router.get("/utilizacion", requirePermiso("recursos:read"), requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const sedeId = await resolverSedeId(db, req, req.query.sede_id);
+
+    const fecha = req.query.fecha ? parseFecha(req.query.fecha) : new Date();
+    if (!fecha) return res.status(400).json({ ok: false, error: "fecha inválida" });
+    const tipo = req.query.tipo ? String(req.query.tipo) : null;
+    if (tipo && !TIPOS_RECURSO.includes(tipo)) return res.status(400).json({ ok: false, error: "tipo inválido" });
+
+    const out = await utilizacionDelDia(db, { sede_id: sedeId, fecha, tipo });
+    return res.json({ ok: true, sede_id: sedeId, zona: ZONA, ...out });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/recursos/:id
+// ============================
+router.get("/:id", requirePermiso("recursos:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const doc = await db.collection("recursos").findOne(scopeSede(req, { _id: oid }));
+    if (!doc) return res.status(404).json({ ok: false, error: "Recurso no encontrado" });
+    return res.json({ ok: true, data: doc });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// PATCH /api/recursos/:id
+// Desactivar no mueve las citas que ya lo reservan (se informa cuántas quedan)
+// ============================
+router.patch("/:id", requirePermiso("recursos:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const patch = RecursoPatch.parse(req.body);
+    const db = await connect();
+    const col = db.collection("recursos");
+
+    const antes = await col.findOne(scopeSede(req, { _id: oid }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Recurso no encontrado" });
+
+    const $set = { updatedAt: new Date() };
+    if (patch.nombre != null) $set.nombre = patch.nombre.trim();
+    if (patch.tipo != null) $set.tipo = patch.tipo;
+    if (patch.descripcion != null) $set.descripcion = patch.descripcion.trim() || null;
+    if (patch.activo != null) $set.activo = patch.activo;
+
+    const r = await col.updateOne({ _id: oid }, { $set });
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "recursos", entidad_id: oid, accion: "update", antes, despues });
+
+    const citasAfectadas = patch.activo === false ? await citasFuturas(db, oid) : undefined;
+    return res.json({ ok: true, modified: r.modifiedCount, ...(citasAfectadas != null ? { citasAfectadas } : {}) });
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).json({ ok: false, error: "Ya existe un recurso con ese nombre en la sede" });
+    }
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// DELETE /api/recursos/:id
+// Protegido si alguna cita lo reservó (usa PATCH { activo: false } para retirarlo)
+// ============================
+router.delete("/:id", requirePermiso("recursos:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const antes = await db.collection("recursos").findOne(scopeSede(req, { _id: oid }));
+    if (!antes) return res.status(404).json({ ok: false, error: "Recurso no encontrado" });
+
+    const citas = await db.collection("citas").countDocuments({ recurso_ids: oid });
+    if (citas > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: "No se puede eliminar: hay citas que lo reservan. Desactívalo con PATCH { activo: false }.",
+        refs: { citas },
+      });
+    }
+
+    const r = await db.collection("recursos").deleteOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "recursos", entidad_id: oid, accion: "delete", antes });
+    return res.json({ ok: true, deleted: r.deletedCount });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
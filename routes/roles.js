@@ -2,23 +2,33 @@
 const express = require("express");
 const { z } = require("zod");
 const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { PERMISOS, permisoValido } = require("../lib/permisos");
 
 const router = express.Router();
 
 // ============================
 // Schemas (Zod)
 // ============================
-const RoleNombreEnum = z.enum(["Administrador", "Odontologo", "Asistente", "Laboratorista"]);
+// Los nombres son libres (Recepcionista, Higienista...); la unicidad se valida sin
+// distinguir mayúsculas. Los roles de sistema (lib/roles.js) están protegidos.
+const RoleNombre = z.string().transform(s => s.trim()).pipe(z.string().min(2).max(60));
+
+// Cada permiso debe existir en lib/permisos.js (acepta "*" y "<recurso>:*")
+const Permiso = z.string().min(1).refine(permisoValido, (p) => ({ message: `Permiso desconocido: ${p}` }));
 
 const RoleCreate = z.object({
-  nombre: RoleNombreEnum,
+  nombre: RoleNombre,
   descripcion: z.string().optional().transform(s => s?.trim() || undefined),
-  permisos: z.array(z.string().min(1)).optional().default([]),
+  permisos: z.array(Permiso).optional().default([]),
 });
 
 const RolePatch = z.object({
+  nombre: RoleNombre.optional(),      // renombrar (se propaga a usuarios.rol)
+  activo: z.boolean().optional(),     // false => retirado: no se puede asignar
   descripcion: z.string().optional(),
-  permisos: z.array(z.string().min(1)).optional(),
+  permisos: z.array(Permiso).optional(),
 }).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
 
 // ============================
@@ -32,35 +42,77 @@ function parseBool(v) {
   return null;
 }
 
+const escapeRx = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ¿Existe otro rol con ese nombre (sin distinguir mayúsculas)?
+async function nombreEnUso(col, nombre, exceptId = null) {
+  const q = { nombre: new RegExp(`^${escapeRx(nombre)}$`, "i") };
+  if (exceptId) q._id = { $ne: exceptId };
+  return (await col.countDocuments(q)) > 0;
+}
+
+// Usuarios que tienen asignado el rol (por rol_id o por nombre)
+async function usuariosConRol(db, role) {
+  const [byId, byString] = await Promise.all([
+    db.collection("usuarios").countDocuments({ rol_id: role._id }),
+    db.collection("usuarios").countDocuments({ rol: role.nombre, rol_id: { $ne: role._id } }),
+  ]);
+  return { byId, byString, total: (byId || 0) + (byString || 0) };
+}
+
 // ============================
 // GET /api/roles/catalogo/oficial  <-- ¡antes de :id!
+// Roles asignables (activos), leídos de la colección
+// ============================
+router.get("/catalogo/oficial", requirePermiso("roles:read"), async (_req, res) => {
+  try {
+    const db = await connect();
+    const roles = await db.collection("roles")
+      .find({ activo: { $ne: false } }, { projection: { nombre: 1 } })
+      .sort({ nombre: 1 })
+      .toArray();
+    res.json({ ok: true, data: roles.map(r => r.nombre) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // ============================
-router.get("/catalogo/oficial", (_req, res) => {
+// GET /api/roles/catalogo/permisos  <-- ¡antes de :id!
+// ============================
+router.get("/catalogo/permisos", requirePermiso("roles:read"), (_req, res) => {
   res.json({
     ok: true,
-    data: RoleNombreEnum.options,
+    data: Object.entries(PERMISOS).map(([clave, descripcion]) => ({ clave, descripcion })),
   });
 });
 
 // ============================
 // POST /api/roles
 // ============================
-router.post("/", async (req, res) => {
+router.post("/", requirePermiso("roles:write"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("roles");
     const body = RoleCreate.parse(req.body);
 
+    if (await nombreEnUso(col, body.nombre)) {
+      return res.status(409).json({ ok: false, error: "El rol ya existe" });
+    }
+
     const now = new Date();
     const doc = {
       nombre: body.nombre,
       descripcion: body.descripcion ?? null,
       permisos: body.permisos ?? [],
+      sistema: false,
+      activo: true,
       createdAt: now,
       updatedAt: now,
     };
 
     const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "roles", entidad_id: r.insertedId, accion: "create", despues: doc });
     return res.status(201).json({ ok: true, id: r.insertedId.toString() });
   } catch (e) {
     if (e && e.code === 11000) {
@@ -72,8 +124,9 @@ router.post("/", async (req, res) => {
 
 // ============================
 // GET /api/roles
+// Filtros: ?q=&activo=true|false&page=&limit=
 // ============================
-router.get("/", async (req, res) => {
+router.get("/", requirePermiso("roles:read"), async (req, res) => {
   try {
     const db = await connect();
     const col = db.collection("roles");
@@ -86,6 +139,9 @@ router.get("/", async (req, res) => {
       const rx = new RegExp(String(q), "i");
       query.$or = [{ nombre: rx }, { descripcion: rx }];
     }
+    const activo = parseBool(req.query.activo);
+    if (activo === true) query.activo = { $ne: false };
+    if (activo === false) query.activo = false;
 
     limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
     page = Math.max(parseInt(page ?? "1", 10), 1);
@@ -106,7 +162,7 @@ router.get("/", async (req, res) => {
 // ============================
 // GET /api/roles/:id
 // ============================
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermiso("roles:read"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -122,8 +178,11 @@ router.get("/:id", async (req, res) => {
 
 // ============================
 // PATCH /api/roles/:id
+// - nombre: renombra y actualiza usuarios.rol de quienes lo tienen
+// - activo: false retira el rol (solo si nadie lo tiene asignado)
+// Los roles de sistema no se renombran ni se retiran.
 // ============================
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", requirePermiso("roles:write"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -131,22 +190,72 @@ router.patch("/:id", async (req, res) => {
     const patch = RolePatch.parse(req.body);
     const db = await connect();
 
+    const col = db.collection("roles");
+
     const $set = { updatedAt: new Date() };
     if (patch.descripcion != null) $set.descripcion = patch.descripcion.trim();
     if (patch.permisos != null) $set.permisos = patch.permisos;
 
-    const r = await db.collection("roles").updateOne({ _id: oid }, { $set });
+    const antes = await col.findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "No encontrado" });
+
+    const renombrar = patch.nombre != null && patch.nombre !== antes.nombre;
+    const retirar = patch.activo === false && antes.activo !== false;
+
+    if (antes.sistema && (renombrar || retirar)) {
+      return res.status(409).json({ ok: false, error: "Los roles de sistema no se pueden renombrar ni retirar" });
+    }
+    // Sin esto se podría dejar el sistema sin nadie capaz de administrarlo
+    if (antes.sistema && antes.nombre === "Administrador" && patch.permisos != null) {
+      return res.status(409).json({ ok: false, error: "El rol Administrador siempre tiene todos los permisos" });
+    }
+    if (renombrar) {
+      if (await nombreEnUso(col, patch.nombre, oid)) {
+        return res.status(409).json({ ok: false, error: "El rol ya existe" });
+      }
+      $set.nombre = patch.nombre;
+    }
+    if (retirar) {
+      const inUse = await usuariosConRol(db, antes);
+      if (inUse.total > 0) {
+        return res.status(409).json({
+          ok: false,
+          error: `No se puede retirar: el rol está asignado a ${inUse.total} usuario(s). Reasigna usuarios antes de retirarlo.`,
+          inUseBy: { byId: inUse.byId, byString: inUse.byString },
+        });
+      }
+    }
+    if (patch.activo != null) $set.activo = patch.activo;
+
+    const r = await col.updateOne({ _id: oid }, { $set });
     if (r.matchedCount === 0) return res.status(404).json({ ok: false, error: "No encontrado" });
-    return res.json({ ok: true, modified: r.modifiedCount });
+
+    // usuarios.rol guarda el nombre: se propaga el renombrado
+    let usuariosActualizados = 0;
+    if (renombrar) {
+      const u = await db.collection("usuarios").updateMany(
+        { $or: [{ rol_id: oid }, { rol: antes.nombre }] },
+        { $set: { rol: patch.nombre, rol_id: oid, updatedAt: new Date() } }
+      );
+      usuariosActualizados = u.modifiedCount;
+    }
+
+    const despues = await db.collection("roles").findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "roles", entidad_id: oid, accion: "update", antes, despues });
+    return res.json({ ok: true, modified: r.modifiedCount, ...(renombrar ? { usuariosActualizados } : {}) });
   } catch (e) {
-    return res.status(400).json({ ok: false, error: e.message });
+    if (e && e.code === 11000) {
+      return res.status(409).json({ ok: false, error: "El rol ya existe" });
+    }
+    const msg = e?.errors ? JSON.stringify(e.errors, null, 2) : e.message;
+    return res.status(400).json({ ok: false, error: msg });
   }
 });
 
 // ============================
 // DELETE /api/roles/:id
 // ============================
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermiso("roles:delete"), async (req, res) => {
   try {
     const oid = oidMaybe(req.params.id);
     if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
@@ -154,6 +263,9 @@ router.delete("/:id", async (req, res) => {
     const db = await connect();
     const role = await db.collection("roles").findOne({ _id: oid });
     if (!role) return res.status(404).json({ ok: false, error: "No encontrado" });
+    if (role.sistema) {
+      return res.status(409).json({ ok: false, error: "Los roles de sistema no se pueden eliminar" });
+    }
 
     const [byId, byString] = await Promise.all([
       db.collection("usuarios").countDocuments({ rol_id: oid }),
@@ -170,6 +282,7 @@ router.delete("/:id", async (req, res) => {
     }
 
     const r = await db.collection("roles").deleteOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "roles", entidad_id: oid, accion: "delete", antes: role });
     return res.json({ ok: true, deleted: r.deletedCount });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message });
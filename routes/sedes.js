@@ -0,0 +1,163 @@
+// routes/sedes.js
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede } = require("../lib/sedes");
+
+const router = express.Router();
+
+// ============================
+// Schemas (Zod)
+// ============================
+const SedeCreate = z.object({
+  nombre: z.string().min(1).transform(s => s.trim()),
+  direccion: z.string().optional().transform(s => s?.trim() || undefined),
+  telefono: z.string().optional().transform(s => s?.trim() || undefined),
+  activo: z.boolean().optional().default(true),
+});
+
+const SedePatch = z.object({
+  nombre: z.string().min(1).optional(),
+  direccion: z.string().optional(),
+  telefono: z.string().optional(),
+  activo: z.boolean().optional(),
+}).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" });
+
+// ============================
+// POST /api/sedes
+// ============================
+router.post("/", requirePermiso("sedes:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("sedes");
+    const parsed = SedeCreate.parse(req.body);
+
+    const now = new Date();
+    const doc = {
+      nombre: parsed.nombre,
+      direccion: parsed.direccion ?? null,
+      telefono: parsed.telefono ?? null,
+      activo: parsed.activo ?? true,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const r = await col.insertOne(doc);
+    await registrarAuditoria(db, req, { entidad: "sedes", entidad_id: r.insertedId, accion: "create", despues: doc });
+    return res.status(201).json({ ok: true, id: r.insertedId.toString() });
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).json({ ok: false, error: "La sede ya existe" });
+    }
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/sedes
+// Solo las sedes a las que tiene acceso quien llama
+// ============================
+router.get("/", requirePermiso("sedes:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("sedes");
+
+    const query = scopeSede(req, {}, "_id");
+    const data = await col.find(query).sort({ nombre: 1 }).toArray();
+    return res.json({ ok: true, total: data.length, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/sedes/:id
+// ============================
+router.get("/:id", requirePermiso("sedes:read"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const doc = await db.collection("sedes").findOne(scopeSede(req, { _id: oid }, "_id"));
+    if (!doc) return res.status(404).json({ ok: false, error: "Sede no encontrada" });
+    return res.json({ ok: true, data: doc });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// PATCH /api/sedes/:id
+// ============================
+router.patch("/:id", requirePermiso("sedes:write"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const patch = SedePatch.parse(req.body);
+    const db = await connect();
+    const col = db.collection("sedes");
+
+    const $set = { updatedAt: new Date() };
+    if (patch.nombre != null) $set.nombre = patch.nombre.trim();
+    if (patch.direccion != null) $set.direccion = patch.direccion.trim();
+    if (patch.telefono != null) $set.telefono = patch.telefono.trim();
+    if (patch.activo != null) $set.activo = patch.activo;
+
+    const antes = await col.findOne(scopeSede(req, { _id: oid }, "_id"));
+    if (!antes) return res.status(404).json({ ok: false, error: "Sede no encontrada" });
+
+    const r = await col.updateOne({ _id: oid }, { $set });
+    const despues = await col.findOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "sedes", entidad_id: oid, accion: "update", antes, despues });
+    return res.json({ ok: true, modified: r.modifiedCount });
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).json({ ok: false, error: "La sede ya existe" });
+    }
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// DELETE /api/sedes/:id
+// Protegido si hay citas, órdenes, usuarios o pacientes en la sede
+// (usa PATCH { activo: false } para retirarla).
+// ============================
+router.delete("/:id", requirePermiso("sedes:delete"), async (req, res) => {
+  try {
+    const oid = oidMaybe(req.params.id);
+    if (!oid) return res.status(400).json({ ok: false, error: "id inválido" });
+
+    const db = await connect();
+    const antes = await db.collection("sedes").findOne({ _id: oid });
+    if (!antes) return res.status(404).json({ ok: false, error: "Sede no encontrada" });
+
+    const [citas, ordenesLab, ordenesCompras, usuarios, pacientes] = await Promise.all([
+      db.collection("citas").countDocuments({ sede_id: oid }),
+      db.collection("ordenes_laboratorio").countDocuments({ sede_id: oid }),
+      db.collection("ordenes_compras").countDocuments({ sede_id: oid }),
+      db.collection("usuarios").countDocuments({ sede_ids: oid }),
+      db.collection("pacientes").countDocuments({ sede_ids: oid }),
+    ]);
+    const refs = { citas, ordenesLab, ordenesCompras, usuarios, pacientes };
+    if (Object.values(refs).some(n => n > 0)) {
+      return res.status(409).json({
+        ok: false,
+        error: "No se puede eliminar: la sede tiene referencias. Desactívala con PATCH { activo: false }.",
+        refs,
+      });
+    }
+
+    const r = await db.collection("sedes").deleteOne({ _id: oid });
+    await registrarAuditoria(db, req, { entidad: "sedes", entidad_id: oid, accion: "delete", antes });
+    return res.json({ ok: true, deleted: r.deletedCount });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
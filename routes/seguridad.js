@@ -0,0 +1,56 @@
+// routes/seguridad.js
+const express = require("express");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { connect } = require("../lib/mongo");
+const { CONFIG, listarBloqueos, quitarBloqueo } = require("../lib/rateLimit");
+
+const router = express.Router();
+
+router.use(requirePermiso("seguridad:manage"));
+
+// ============================
+// GET /api/seguridad/bloqueos
+// Bloqueos vigentes por fallos de autenticación ("ip:<ip>" o "cred:<correo|userId>")
+// ============================
+router.get("/bloqueos", async (_req, res) => {
+  try {
+    const data = await listarBloqueos();
+    data.sort((a, b) => b.hasta - a.hasta);
+    return res.json({
+      ok: true,
+      total: data.length,
+      config: {
+        max_fallos: CONFIG.authMaxFallos,
+        ventana_min: CONFIG.authVentanaMs / 60000,
+        bloqueo_min: CONFIG.authBloqueoMs / 60000,
+      },
+      data,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// DELETE /api/seguridad/bloqueos/:clave
+// Levanta un bloqueo antes de que expire (p. ej. ip:10.0.0.1)
+// ============================
+router.delete("/bloqueos/:clave", async (req, res) => {
+  try {
+    const clave = String(req.params.clave);
+    const removed = await quitarBloqueo(clave);
+    if (!removed) return res.status(404).json({ ok: false, error: "Bloqueo no encontrado" });
+
+    const db = await connect();
+    await registrarAuditoria(db, req, {
+      entidad: "bloqueos_auth", entidad_id: clave, accion: "delete",
+      antes: { clave }, despues: null,
+    });
+    return res.json({ ok: true, removed });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
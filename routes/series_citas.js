@@ -0,0 +1,455 @@
+// routes/series_citas.js
+// Series de citas recurrentes (ortodoncia mensual, mantenimiento periodontal...)
+// Montado en /api/citas/series (antes que /api/citas para no chocar con /:id)
+const express = require("express");
+const { z } = require("zod");
+const { connect, oidMaybe } = require("../lib/mongo");
+const { requirePermiso } = require("../middlewares/permisos");
+const { registrarAuditoria } = require("../lib/auditoria");
+const { scopeSede, resolverSedeId } = require("../lib/sedes");
+const { partes, enZona, sumarDias, aLaHora, parseFecha } = require("../lib/zonaHoraria");
+const { notificarCita } = require("../lib/notificaciones");
+const { publicarCita } = require("../lib/eventos");
+const { advertenciaAlAgendar } = require("../lib/asistencia");
+const { validarRecursos } = require("../lib/recursos");
+const {
+  CitaCreate,
+  Proc,
+  asNumber,
+  resolverProcedimientos,
+  computeTotal,
+  totalManual,
+  sendError,
+  assertPuedeForzar,
+  prepararCita,
+  insertarCita,
+  transicionarCita,
+} = require("../lib/citas");
+const {
+  validarOdontologo,
+  sumarMinutos,
+  calcularDuracion,
+  buscarConflictos,
+  conflictosParaRespuesta,
+  DURACION_DEFAULT_MIN,
+} = require("../lib/agenda");
+
+const router = express.Router();
+
+const MAX_OCURRENCIAS = 60;
+// Solo se editan/cancelan en bloque las citas que aún no se atendieron
+const ESTADOS_EDITABLES = ["Pendiente", "Confirmada"];
+
+// ============================
+// Schemas (Zod)
+// ============================
+const OidStr = z.string().regex(/^[0-9a-fA-F]{24}$/);
+const Hora = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Hora inválida (HH:MM)");
+
+const Regla = z.object({
+  frecuencia: z.enum(["semanal", "mensual"]),
+  intervalo: z.number().int().min(1).max(52).optional().default(1), // cada N semanas/meses
+  hasta: z.preprocess((v) => (v == null ? v : parseFecha(v, { finDeDia: true }) ?? v), z.date()).optional(),
+  repeticiones: z.number().int().min(2).max(MAX_OCURRENCIAS).optional(),
+}).refine(v => v.hasta || v.repeticiones, { message: "Debe incluir 'hasta' o 'repeticiones'" });
+
+const SerieCreate = CitaCreate.extend({
+  regla: Regla,
+  omitir_conflictos: z.boolean().optional(), // crea las que no chocan y reporta el resto
+});
+
+const Alcance = z.enum(["una", "siguientes", "todas"]);
+
+const SeriePatch = z.object({
+  alcance: Alcance,
+  cita_id: OidStr.optional(), // ocurrencia de referencia (obligatoria salvo "todas")
+  cambios: z.object({
+    fecha: z.preprocess((v) => (v == null ? v : parseFecha(v) ?? v), z.date()).optional(), // solo alcance "una"
+    hora: Hora.optional(), // mueve cada ocurrencia a esa hora, mismo día
+    usuario_id: OidStr.optional(),
+    sede_id: OidStr.optional(),
+    recurso_ids: z.array(OidStr).max(5).optional(),
+    duracion_min: z.number().int().min(5).max(600).optional(),
+    motivo: z.string().optional(),
+    procedimientos: z.array(Proc).optional(),
+    total: z.preprocess(asNumber, z.number().nonnegative()).optional(),
+  }).refine(v => Object.keys(v).length > 0, { message: "Nada para actualizar" }),
+  forzar: z.boolean().optional(),
+}).refine(v => v.alcance === "todas" || v.cita_id, { message: "cita_id es requerido" })
+  .refine(v => !v.cambios.fecha || v.alcance === "una", { message: "fecha solo aplica a una ocurrencia; usa 'hora' para varias" });
+
+const SerieCancelar = z.object({
+  alcance: Alcance,
+  cita_id: OidStr.optional(),
+  motivo: z.string().trim().min(1, "motivo es requerido para cancelar"),
+}).refine(v => v.alcance === "todas" || v.cita_id, { message: "cita_id es requerido" });
+
+// ============================
+// Helpers
+// ============================
+
+// Suma meses conservando el día y la hora de la clínica (31 ene + 1 mes => 28/29 feb)
+function sumarMeses(fecha, n) {
+  const p = partes(fecha);
+  const ultimo = new Date(Date.UTC(p.y, p.m - 1 + n + 1, 0)).getUTCDate();
+  return enZona(p.y, p.m + n, Math.min(p.d, ultimo), p.h, p.mi);
+}
+
+// Fechas de las ocurrencias según la regla (la primera es la propia fecha)
+function fechasSerie(inicio, regla) {
+  const out = [];
+  const limite = regla.repeticiones ?? MAX_OCURRENCIAS + 1;
+  for (let i = 0; i < limite; i++) {
+    const f = regla.frecuencia === "mensual"
+      ? sumarMeses(inicio, i * regla.intervalo)
+      : sumarDias(inicio, i * 7 * regla.intervalo);
+    if (regla.hasta && f > regla.hasta) break;
+    out.push(f);
+  }
+  if (out.length > MAX_OCURRENCIAS) {
+    throw Object.assign(new Error(`La serie supera el máximo de ${MAX_OCURRENCIAS} citas`), { status: 400 });
+  }
+  return out;
+}
+
+async function cargarSerie(db, req, id) {
+  const oid = oidMaybe(id);
+  if (!oid) throw Object.assign(new Error("id inválido"), { status: 400 });
+  const serie = await db.collection("series_citas").findOne(scopeSede(req, { _id: oid }));
+  if (!serie) throw Object.assign(new Error("Serie no encontrada"), { status: 404 });
+  return serie;
+}
+
+// Citas afectadas según el alcance: una ocurrencia, esta y las siguientes, o todas
+async function citasDelAlcance(db, serie, alcance, citaId) {
+  const col = db.collection("citas");
+  const base = { serie_id: serie._id, estado: { $in: ESTADOS_EDITABLES } };
+
+  if (alcance === "todas") return col.find(base).sort({ fecha: 1 }).toArray();
+
+  const ref = await col.findOne({ _id: oidMaybe(citaId), serie_id: serie._id });
+  if (!ref) throw Object.assign(new Error("La cita no pertenece a la serie"), { status: 404 });
+  if (alcance === "una") {
+    if (!ESTADOS_EDITABLES.includes(ref.estado)) {
+      throw Object.assign(new Error(`La cita está ${ref.estado}`), { status: 409 });
+    }
+    return [ref];
+  }
+  return col.find({ ...base, fecha: { $gte: ref.fecha } }).sort({ fecha: 1 }).toArray();
+}
+
+// 409 con los cruces agrupados por ocurrencia
+function errorConflictos(porOcurrencia) {
+  const err = Object.assign(
+    new Error(`${porOcurrencia.length} ocurrencia(s) se cruzan con otras citas`),
+    { status: 409 }
+  );
+  err.conflictos = porOcurrencia;
+  return err;
+}
+
+// ============================
+// POST /api/citas/series
+// Body: campos de una cita + regla { frecuencia, intervalo?, hasta? | repeticiones? }
+//       + forzar? (sobrecupo) + omitir_conflictos?
+// Si alguna ocurrencia choca responde 409 con los cruces de cada una y no crea nada,
+// salvo forzar (crea todas) u omitir_conflictos (crea las que no chocan).
+// ============================
+router.post("/", requirePermiso("citas:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const parsed = SerieCreate.parse(req.body);
+    assertPuedeForzar(req, parsed.forzar);
+
+    const fechas = fechasSerie(parsed.fecha, parsed.regla);
+    const base = await prepararCita(db, req, parsed);
+
+    const docs = fechas.map((fecha, i) => ({
+      ...base,
+      procedimientos: base.procedimientos.map(p => ({ ...p })),
+      fecha,
+      fin: sumarMinutos(fecha, base.duracion_min),
+      ocurrencia: i + 1,
+    }));
+
+    // Cruces por ocurrencia, antes de crear nada
+    const conflictos = [];
+    for (const d of docs) {
+      const c = await buscarConflictos(db, d);
+      if (c.length) conflictos.push({ ocurrencia: d.ocurrencia, fecha: d.fecha, conflictos: c });
+    }
+    if (conflictos.length && !parsed.forzar && !parsed.omitir_conflictos) throw errorConflictos(conflictos);
+
+    const now = new Date();
+    const serie = {
+      regla: parsed.regla,
+      plantilla: {
+        paciente_id: base.paciente_id,
+        usuario_id: base.usuario_id,
+        recurso_ids: base.recurso_ids,
+        duracion_min: base.duracion_min,
+        motivo: base.motivo,
+        procedimientos: base.procedimientos,
+        total: base.total,
+      },
+      sede_id: base.sede_id,
+      paciente_id: base.paciente_id,
+      fecha_inicio: parsed.fecha,
+      estado: "activa",
+      creadaPor: req.user?._id ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const r = await db.collection("series_citas").insertOne(serie);
+    await registrarAuditoria(db, req, { entidad: "series_citas", entidad_id: r.insertedId, accion: "create", despues: serie });
+
+    const creadas = [];
+    const omitidas = [];
+    const chocan = new Set(conflictos.map(c => c.ocurrencia));
+    for (const d of docs) {
+      if (chocan.has(d.ocurrencia) && !parsed.forzar) {
+        omitidas.push(conflictos.find(c => c.ocurrencia === d.ocurrencia));
+        continue;
+      }
+      try {
+        const { id } = await insertarCita(db, req, { ...d, serie_id: r.insertedId }, { forzar: parsed.forzar });
+        creadas.push({ id: id.toString(), ocurrencia: d.ocurrencia, fecha: d.fecha });
+      } catch (e) {
+        // Alguien agendó en ese hueco mientras tanto
+        if (!e.conflictos) throw e;
+        omitidas.push({ ocurrencia: d.ocurrencia, fecha: d.fecha, conflictos: e.conflictos });
+      }
+    }
+
+    const advertencia = creadas.length ? await advertenciaAlAgendar(db, serie.paciente_id) : null;
+    return res.status(201).json({
+      ok: true,
+      serie_id: r.insertedId.toString(),
+      creadas,
+      omitidas: conflictosParaRespuesta(req, omitidas),
+      ...(advertencia ? { advertencia } : {}),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// GET /api/citas/series
+// Filtros: ?paciente_id=&usuario_id=&estado=activa|cancelada&limit=&page=
+// ============================
+router.get("/", requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const col = db.collection("series_citas");
+
+    const { paciente_id, usuario_id, estado } = req.query;
+    let { limit, page } = req.query;
+
+    let q = {};
+    if (paciente_id) q.paciente_id = String(paciente_id);
+    if (usuario_id) {
+      const oid = oidMaybe(usuario_id);
+      if (!oid) return res.status(400).json({ ok: false, error: "usuario_id inválido" });
+      q["plantilla.usuario_id"] = oid;
+    }
+    if (estado) q.estado = String(estado);
+    q = scopeSede(req, q);
+
+    limit = Math.min(Math.max(parseInt(limit ?? "50", 10), 1), 200);
+    page = Math.max(parseInt(page ?? "1", 10), 1);
+
+    const [data, total] = await Promise.all([
+      col.find(q).sort({ fecha_inicio: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      col.countDocuments(q),
+    ]);
+    return res.json({ ok: true, total, page, pageSize: limit, data });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ============================
+// GET /api/citas/series/:id
+// La serie y sus citas (todas, incluidas canceladas y atendidas)
+// ============================
+router.get("/:id", requirePermiso("citas:read"), async (req, res) => {
+  try {
+    const db = await connect();
+    const serie = await cargarSerie(db, req, req.params.id);
+    const citas = await db.collection("citas").find({ serie_id: serie._id }).sort({ fecha: 1 }).toArray();
+    return res.json({ ok: true, data: { ...serie, citas } });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// PATCH /api/citas/series/:id
+// Body: { alcance: "una"|"siguientes"|"todas", cita_id?, cambios: {...}, forzar? }
+// Todo o nada: si alguna ocurrencia choca responde 409 con los cruces de cada una.
+// ============================
+router.patch("/:id", requirePermiso("citas:write"), async (req, res) => {
+  try {
+    const db = await connect();
+    const body = SeriePatch.parse(req.body);
+    assertPuedeForzar(req, body.forzar);
+    const { cambios } = body;
+
+    const serie = await cargarSerie(db, req, req.params.id);
+    const citas = await citasDelAlcance(db, serie, body.alcance, body.cita_id);
+    if (!citas.length) return res.json({ ok: true, modificadas: 0 });
+
+    // Cambios comunes a todas las ocurrencias
+    const comun = {};
+    if (cambios.usuario_id) comun.usuario_id = oidMaybe(cambios.usuario_id);
+    if (cambios.sede_id) comun.sede_id = await resolverSedeId(db, req, cambios.sede_id);
+    if (cambios.recurso_ids) {
+      comun.recurso_ids = await validarRecursos(db, cambios.recurso_ids, comun.sede_id || serie.sede_id);
+    } else if (comun.sede_id && serie.plantilla.recurso_ids?.length) {
+      await validarRecursos(db, serie.plantilla.recurso_ids, comun.sede_id);
+    }
+    if (cambios.motivo !== undefined) comun.motivo = cambios.motivo.trim() || null;
+    if (cambios.procedimientos) {
+      comun.procedimientos = await resolverProcedimientos(db, req, cambios.procedimientos, comun.sede_id || serie.sede_id, {
+        previos: (body.alcance === "una" ? citas[0].procedimientos : serie.plantilla.procedimientos) || [],
+      });
+      comun.total = computeTotal(comun.procedimientos);
+      comun.total_manual = null;
+    }
+    if (cambios.total != null) {
+      comun.total = cambios.total;
+      comun.total_manual = totalManual(req, cambios.total, computeTotal(comun.procedimientos || serie.plantilla.procedimientos));
+    }
+    if (cambios.duracion_min) {
+      comun.duracion_min = cambios.duracion_min;
+      comun.duracion_origen = "manual";
+    } else if (comun.procedimientos) {
+      const d = await calcularDuracion(db, { procedimientos: comun.procedimientos });
+      comun.duracion_min = d.duracion_min;
+      comun.duracion_origen = d.origen;
+    }
+
+    // Odontólogo activo y que atiende en cada sede involucrada
+    if (comun.usuario_id || comun.sede_id) {
+      const sedes = new Set(citas.map(c => String(comun.sede_id || c.sede_id)));
+      for (const s of sedes) await validarOdontologo(db, comun.usuario_id || citas[0].usuario_id, s);
+    }
+
+    const ids = citas.map(c => c._id);
+    const planes = citas.map((antes) => {
+      const $set = { ...comun, updatedAt: new Date() };
+      if (cambios.fecha) $set.fecha = cambios.fecha;
+      if (cambios.hora) $set.fecha = aLaHora(antes.fecha, cambios.hora); // misma fecha, otra hora de la clínica
+      $set.fin = sumarMinutos($set.fecha || antes.fecha, $set.duracion_min || antes.duracion_min || DURACION_DEFAULT_MIN);
+      return { antes, $set };
+    });
+
+    // El total de ninguna ocurrencia puede quedar por debajo de lo que ya se pagó de ella
+    if (comun.total != null) {
+      const pagadas = planes.filter(({ antes }) => comun.total < (antes.pagado || 0));
+      if (pagadas.length) {
+        return res.status(409).json({
+          ok: false,
+          error: "El total no puede quedar por debajo de lo ya pagado",
+          citas: pagadas.map(({ antes }) => ({ cita_id: antes._id, ocurrencia: antes.ocurrencia ?? null, pagado: antes.pagado })),
+        });
+      }
+    }
+
+    // Cruces por ocurrencia (las de la propia serie que se mueven juntas no cuentan)
+    const conflictos = [];
+    for (const { antes, $set } of planes) {
+      const c = await buscarConflictos(db, { ...antes, ...$set, excluir: ids });
+      if (c.length) conflictos.push({ cita_id: antes._id, ocurrencia: antes.ocurrencia ?? null, fecha: $set.fecha || antes.fecha, conflictos: c });
+    }
+    if (conflictos.length && !body.forzar) throw errorConflictos(conflictos);
+
+    const col = db.collection("citas");
+    const conflictoDe = new Map(conflictos.map(c => [String(c.cita_id), c.conflictos.map(x => x._id)]));
+    for (const { antes, $set } of planes) {
+      if (conflictoDe.has(String(antes._id))) {
+        $set.sobrecupo = { conflictos: conflictoDe.get(String(antes._id)), autorizadoPor: req.user?._id ?? null, en: new Date() };
+      }
+      // Filtro por el estado leído (no editar una cita que se canceló o empezó entre medio)
+      // y, si cambia el total, que no se haya aplicado un pago que lo supere mientras tanto
+      const filtro = { _id: antes._id, estado: antes.estado };
+      if ($set.total != null) filtro.$expr = { $lte: [{ $ifNull: ["$pagado", 0] }, $set.total] };
+      const r = await col.updateOne(filtro, { $set });
+      if (r.matchedCount === 0) {
+        return res.status(409).json({
+          ok: false,
+          error: "Una cita de la serie cambió durante la edición; vuelve a cargarla",
+          cita_id: antes._id,
+          modificadas: planes.findIndex((p) => p.antes === antes),
+        });
+      }
+      const despues = await col.findOne({ _id: antes._id });
+      await registrarAuditoria(db, req, { entidad: "citas", entidad_id: antes._id, accion: "update", antes, despues });
+      await notificarCita(db, antes, despues);
+      await publicarCita(db, antes, despues);
+    }
+
+    // Las ediciones en bloque actualizan también la plantilla de la serie
+    if (body.alcance !== "una") {
+      const $setSerie = { updatedAt: new Date() };
+      for (const k of ["usuario_id", "recurso_ids", "motivo", "procedimientos", "total", "total_manual", "duracion_min"]) {
+        if (comun[k] !== undefined) $setSerie[`plantilla.${k}`] = comun[k];
+      }
+      if (comun.sede_id) $setSerie.sede_id = comun.sede_id;
+      if (cambios.hora) $setSerie["plantilla.hora"] = cambios.hora;
+      await db.collection("series_citas").updateOne({ _id: serie._id }, { $set: $setSerie });
+      const despuesSerie = await db.collection("series_citas").findOne({ _id: serie._id });
+      await registrarAuditoria(db, req, { entidad: "series_citas", entidad_id: serie._id, accion: "update", antes: serie, despues: despuesSerie });
+    }
+
+    return res.json({ ok: true, modificadas: planes.length });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ============================
+// POST /api/citas/series/:id/cancelar
+// Body: { alcance: "una"|"siguientes"|"todas", cita_id?, motivo }
+// Cita por cita: las que cambiaron entre medio (409) se devuelven en "omitidas"
+// y la serie se cierra/acorta igual.
+// ============================
+router.post("/:id/cancelar", requirePermiso("citas:delete"), async (req, res) => {
+  try {
+    const db = await connect();
+    const body = SerieCancelar.parse(req.body);
+
+    const serie = await cargarSerie(db, req, req.params.id);
+    const citas = await citasDelAlcance(db, serie, body.alcance, body.cita_id);
+
+    const now = new Date();
+    const procesadas = [];
+    const omitidas = [];
+    for (const antes of citas) {
+      try {
+        await transicionarCita(db, req, antes, "Cancelada", { motivo: body.motivo });
+        procesadas.push(antes._id.toString());
+      } catch (e) {
+        if (e.status !== 409) throw e;
+        omitidas.push({ id: antes._id.toString(), ocurrencia: antes.ocurrencia ?? null, error: e.message });
+      }
+    }
+
+    // "todas" cierra la serie; "siguientes" la acorta hasta la ocurrencia indicada
+    if (body.alcance !== "una") {
+      const $setSerie = body.alcance === "todas"
+        ? { estado: "cancelada", canceladaEn: now, updatedAt: now }
+        : { finalizaEn: citas[0]?.fecha ?? now, updatedAt: now };
+      await db.collection("series_citas").updateOne({ _id: serie._id }, { $set: $setSerie });
+      const despuesSerie = await db.collection("series_citas").findOne({ _id: serie._id });
+      await registrarAuditoria(db, req, { entidad: "series_citas", entidad_id: serie._id, accion: "update", antes: serie, despues: despuesSerie });
+    }
+
+    return res.json({ ok: true, canceladas: procesadas.length, procesadas, omitidas });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+module.exports = router;
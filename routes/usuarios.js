@@ -5,22 +5,37 @@ const usuariosController = require("../controllers/usuariosController");
 const { connect, oidMaybe } = require("../lib/mongo");
 const { usuarioSchemaCreate, usuarioSchemaPatch } = require("../lib/validate");
 const { normalizeRole } = require("../lib/roles");
+const { requirePermiso } = require("../middlewares/permisos");
 
 // Rutas de usuario
 
 // GET /api/usuarios
 // Soporta: ?search=&rol=&estado=&page=&limit=
-router.get("/", usuariosController.listarUsuarios); // Devuelve lista resumida (nombre completo, rol string y rol_id)
+router.get("/", requirePermiso("usuarios:read"), usuariosController.listarUsuarios); // Devuelve lista resumida (nombre completo, rol string y rol_id)
 // GET /api/usuarios/:id
-router.get("/:id", usuariosController.obtenerUsuario);
+router.get("/:id", requirePermiso("usuarios:read"), usuariosController.obtenerUsuario);
 // POST /api/usuarios
 // Acepta rol o rol_id (normalizeRole deja ambos consistentes).
-router.post("/", usuariosController.crearUsuario); // "especialidad" es OPCIONAL 
+// Sin password => estado "invitado" y devuelve el token de invitación.
+router.post("/", requirePermiso("usuarios:write"), usuariosController.crearUsuario); // "especialidad" es OPCIONAL 
 // PATCH /api/usuarios/:id
 // Permite actualizar parciales, incluido cambio de rol/rol_id.
-router.patch("/:id", usuariosController.actualizarUsuario); // Si envían userId en el body, se usa ese filtro en lugar de :id.
+router.patch("/:id", requirePermiso("usuarios:write"), usuariosController.actualizarUsuario); // Si envían userId en el body, se usa ese filtro en lugar de :id.
 // DELETE /api/usuarios/:id
 // Hard delete simple (no hay referencia fuerte por ahora).
-router.delete("/:id", usuariosController.eliminarUsuario);
+router.delete("/:id", requirePermiso("usuarios:delete"), usuariosController.eliminarUsuario);
+// Invitaciones (usuarios en estado "invitado")
+// POST   /api/usuarios/:id/invitacion/reenviar -> token nuevo, el anterior deja de valer
+// DELETE /api/usuarios/:id/invitacion          -> cancela y deja al usuario "inactivo"
+router.post("/:id/invitacion/reenviar", requirePermiso("usuarios:write"), usuariosController.reenviarInvitacion);
+router.delete("/:id/invitacion", requirePermiso("usuarios:write"), usuariosController.cancelarInvitacion);
+// Feed iCalendar de la agenda (GET /ical/:token.ics, sin Bearer)
+// POST   /api/usuarios/:id/calendario -> token nuevo + URL de suscripción (rota el anterior)
+// DELETE /api/usuarios/:id/calendario -> revoca el feed
+// Cada usuario gestiona el suyo; para otros hace falta usuarios:write.
+const permisoCalendario = (req) =>
+  usuariosController.esPropio(req, req.params.id) ? "citas:read" : "usuarios:write";
+router.post("/:id/calendario", requirePermiso(permisoCalendario), usuariosController.generarCalendario);
+router.delete("/:id/calendario", requirePermiso(permisoCalendario), usuariosController.revocarCalendario);
 
 module.exports = router;
\ No newline at end of file
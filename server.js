@@ -4,20 +4,48 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 dotenv.config();
 
-const apiKeyAuth = require("./middlewares/auth");
+const { authenticate } = require("./middlewares/auth");
+const { limitePorIp, limitePorCredencial, limiteIcal, bloqueoPorIp } = require("./middlewares/rateLimit");
 
 // Rutas
+const auth = require("./routes/auth");
 const usuarios = require("./routes/usuarios");
 const pacientes = require("./routes/pacientes");
 const citas = require("./routes/citas");
+const seriesCitas = require("./routes/series_citas");
 const historias = require("./routes/historias");
 const procedimientos = require("./routes/procedimientos");
 const roles = require("./routes/roles");
 const ordenesLab = require("./routes/ordenes_laboratorio");
+const ordenesCompras = require("./routes/ordenes_compras");
 const historiasClinicas = require("./routes/historiasClinicas");
+const auditoria = require("./routes/auditoria");
+const sedes = require("./routes/sedes");
+const apiKeys = require("./routes/api_keys");
+const seguridad = require("./routes/seguridad");
+const horarios = require("./routes/horarios");
+const listaEspera = require("./routes/lista_espera");
+const ical = require("./routes/ical");
+const notificaciones = require("./routes/notificaciones");
+const recursos = require("./routes/recursos");
+const eventos = require("./routes/eventos");
+const pagos = require("./routes/pagos");
+const facturas = require("./routes/facturas");
+const planesTratamiento = require("./routes/planes_tratamiento");
+const { connect } = require("./lib/mongo");
+const { iniciarWorker: iniciarWorkerNotificaciones } = require("./lib/notificaciones");
+const { iniciarWorker: iniciarWorkerAsistencia } = require("./lib/asistencia");
+const { iniciarSync: iniciarSyncEventos } = require("./lib/eventos");
 
 const app = express();
 
+// Detrás de un proxy (Railway, nginx...) req.ip debe salir de X-Forwarded-For
+// TRUST_PROXY=1 (nº de saltos) | true | lista de IPs/subredes
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(tp) ? Number(tp) : tp === "true" ? true : tp);
+}
+
 // Middlewares base
 app.use(cors());
 app.use(express.json());
@@ -38,28 +66,52 @@ app.get("/", (_req, res) => {
 // Health (público)
 app.get("/health", (_req, res) => res.json({ ok: true, ts: Date.now() }));
 
-// 🔐 Protección por API Key opcional controlada por ENV
-// Activa solo si DEFINES API_KEY (y opcional ENABLE_API_KEY !== 'false')
-const enableApiKey =
-  (process.env.ENABLE_API_KEY ?? "true").toLowerCase() !== "false" &&
-  !!process.env.API_KEY;
+// ⏱️ Rate limit por IP (RATE_LIMIT_STORE=mongo para compartir contadores entre instancias)
+app.use("/api", limitePorIp);
+
+// ---- Login / refresh (públicas, antes del middleware de auth)
+// El bloqueo por IP tras intentos fallidos solo corta /api/auth: una clínica detrás
+// de una sola IP no pierde el resto de la API por una contraseña mal escrita.
+// Las API keys se bloquean por key (ver middlewares/auth.js).
+app.use("/api/auth", bloqueoPorIp, auth);
+
+// ---- Feeds iCalendar (públicos: el token secreto de la URL es la credencial)
+app.use("/ical", limiteIcal, ical);
+
+// 🔐 Autenticación por usuario (Bearer) o por API key (x-api-key: API_KEY legacy o api_keys)
+// Se puede desactivar en desarrollo con ENABLE_AUTH=false
+const enableAuth = (process.env.ENABLE_AUTH ?? "true").toLowerCase() !== "false";
 
-if (enableApiKey) {
-  app.use("/api", apiKeyAuth);
+if (enableAuth) {
+  app.use("/api", authenticate, limitePorCredencial);
 }
 
-// ---- rutas de depuración (públicas si no activas API key)
+// ---- rutas de depuración (públicas si desactivas auth)
 app.use("/api/_debug", require("./routes/_debug"));
 
 // ---- Subrutas de API
 app.use("/api/usuarios", usuarios);
 app.use("/api/pacientes", pacientes);
+app.use("/api/citas/series", seriesCitas); // antes que /api/citas (su /:id la capturaría)
 app.use("/api/citas", citas);
 app.use("/api/historias", historias);
 app.use("/api/procedimientos", procedimientos);
 app.use("/api/roles", roles);
 app.use("/api/ordenes-laboratorio", ordenesLab);
+app.use("/api/ordenes-compras", ordenesCompras);
 app.use("/api/historias-clinicas", historiasClinicas);
+app.use("/api/auditoria", auditoria);
+app.use("/api/sedes", sedes);
+app.use("/api/api-keys", apiKeys);
+app.use("/api/seguridad", seguridad);
+app.use("/api/horarios", horarios);
+app.use("/api/lista-espera", listaEspera);
+app.use("/api/notificaciones", notificaciones);
+app.use("/api/recursos", recursos);
+app.use("/api/eventos", eventos);
+app.use("/api/pagos", pagos);
+app.use("/api/facturas", facturas);
+app.use("/api/planes-tratamiento", planesTratamiento);
 
 // 404 para endpoints no encontrados
 app.use((req, res) => res.status(404).json({ ok: false, error: "Not found" }));
@@ -77,4 +129,10 @@ const PORT = Number(process.env.PORT) || 3000;
 app.listen(PORT, HOST, () => {
   console.log(`DentalFlow server running on http://${HOST}:${PORT}`);
   console.log(`Health check: http://${HOST}:${PORT}/health`);
+  // Envío de recordatorios y avisos (outbox); NOTIF_WORKER=false para desactivarlo
+  iniciarWorkerNotificaciones(connect);
+  // Marca "No asistió" en citas vencidas sin iniciar; NO_SHOW_AUTO=false para desactivarlo
+  iniciarWorkerAsistencia(connect);
+  // Con varias instancias: EVENTOS_SYNC_SEG > 0 reparte también los eventos de las demás
+  iniciarSyncEventos(connect);
 });
\ No newline at end of file